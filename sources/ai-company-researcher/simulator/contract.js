@@ -0,0 +1,112 @@
+/**
+ * AI Company Researcher OpenAPI contract
+ * Published at /openapi.json; the validators reject requests that break it
+ * with a 400 listing the offending fields. Results arrive only by webhook, so
+ * the payloads are documented under webhooks.
+ */
+
+const { OPERATION_IDS, createOpenApi, objectTypeSchema } = require('../../shared/openapi');
+
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const error = description => json(description, { $ref: '#/components/schemas/Error' });
+
+// Webhook payloads POSTed to webhook_url (signed with X-Simulator-Signature when the source has an auth_key)
+const webhook = (description, properties) => ({
+  post: {
+    requestBody: json(description, { type: 'object', properties: { run_id: { type: 'string' }, ...properties } }),
+    responses: { 200: { description: 'Acknowledged' } }
+  }
+});
+
+/**
+ * Contract for the simulator: { openApi, validators } with one validator per
+ * route (analyze, cancel, events)
+ */
+function createContract({ port, runRequest, auth, onInvalid }) {
+  const openApi = createOpenApi({
+    title: 'AI Company Researcher Simulator',
+    description: 'Simulated AI Company Researcher API: asynchronous company research delivered by webhook.',
+    port,
+    auth,
+    error: (message, errors) => ({ error: 'Invalid request', message: errors.map(item => item.message).join('; '), errors }),
+    onInvalid,
+    schemas: {
+      Company: objectTypeSchema('company'),
+      AnalyzeRequest: {
+        type: 'object',
+        required: ['query'],
+        properties: {
+          ...(runRequest ? runRequest.schemaProperties() : {}),
+          query: { type: 'string', minLength: 1, description: 'Research question, e.g. "healthcare startups in series a"' },
+          webhook_url: { type: 'string', format: 'uri' },
+          run_id: { type: 'string', description: 'External run id' },
+          seed: { type: ['integer', 'string'] },
+          simulate_faults: { type: ['object', 'string'] }
+        }
+      },
+      RunAccepted: {
+        type: 'object',
+        required: ['status', 'run_id'],
+        properties: {
+          status: { type: 'string', enum: ['waiting', 'queued'] },
+          run_id: { type: 'string', format: 'uuid' },
+          estimated_duration: { type: 'number' },
+          queue_position: { type: 'integer' }
+        }
+      }
+    },
+    webhooks: {
+      'run.completed': webhook('Run completed', {
+        status: { type: 'string', enum: ['completed'] },
+        total_records: { type: 'integer' },
+        completed_at: { type: 'string', format: 'date-time' },
+        data: { type: 'array', items: { $ref: '#/components/schemas/Company' } },
+        metadata: { type: 'object' }
+      }),
+      'run.failed': webhook('Run failed or timed out', {
+        status: { type: 'string', enum: ['failed', 'timedout'] },
+        error: { type: 'string' },
+        failed_at: { type: 'string', format: 'date-time' }
+      }),
+      'run.cancelled': webhook('Run cancelled', {
+        status: { type: 'string', enum: ['cancelled'] },
+        cancelled_at: { type: 'string', format: 'date-time' }
+      })
+    }
+  });
+
+  const validators = {
+    analyze: openApi.operation('post', '/api/analyze', {
+      operationId: OPERATION_IDS.run,
+      summary: 'Start a company research run',
+      requestSchema: { $ref: '#/components/schemas/AnalyzeRequest' },
+      responses: {
+        200: json('Run accepted', { $ref: '#/components/schemas/RunAccepted' }),
+        429: error('Concurrency limit reached')
+      }
+    }),
+    cancel: openApi.operation('post', '/api/analyze/:run_id/cancel', {
+      operationId: OPERATION_IDS.cancel,
+      summary: 'Cancel a run',
+      responses: {
+        200: json('Run cancelled', { type: 'object', properties: { run_id: { type: 'string' }, status: { type: 'string' }, cancelled_at: { type: 'string', format: 'date-time' } } }),
+        404: error('Run not found'),
+        409: error('Run already finished')
+      }
+    }),
+    events: openApi.operation('get', '/api/analyze/:run_id/events', {
+      operationId: OPERATION_IDS.events,
+      summary: 'Run status events',
+      responses: {
+        200: { description: 'Server-Sent Events: status, progress and end', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        404: error('Run not found')
+      }
+    })
+  };
+
+  return { openApi, validators };
+}
+
+module.exports = {
+  createContract
+};
@@ -3,7 +3,7 @@
  * Generates realistic company data for AI research
  */
 
-const { generateObject } = require('../../shared/data-generators');
+const { faker, generateObject, random, referenceDate } = require('../../shared/data-generators');
 const { calculateFieldCompleteness, calculateDataQualityMetrics } = require('../../shared/logging');
 
 /**
@@ -23,8 +23,6 @@ class AICompanyResearcherGenerator {
    * Generate company records based on query parameters
    */
   generateCompanyRecords(query, maxObjects = 100) {
-    const startTime = Date.now();
-    
     // Parse query parameters
     const filters = this.parseQuery(query);
     const recordCount = this.calculateRecordCount(filters, maxObjects);
@@ -38,8 +36,6 @@ class AICompanyResearcherGenerator {
     // Add AI research specific enhancements
     records = this.enhanceAIResearchData(records);
     
-    const generationTime = Date.now() - startTime;
-    
     // Calculate quality metrics
     const fieldCompleteness = calculateFieldCompleteness(records, this.requiredFields);
     const dataQuality = calculateDataQualityMetrics(records, this.objectType);
@@ -48,7 +44,6 @@ class AICompanyResearcherGenerator {
       records,
       metadata: {
         total_records: records.length,
-        generation_time_ms: generationTime,
         field_completeness: fieldCompleteness,
         data_quality: dataQuality,
         query_processed: query,
@@ -103,7 +98,7 @@ class AICompanyResearcherGenerator {
    * Calculate number of records to generate based on query complexity
    */
   calculateRecordCount(filters, maxObjects) {
-    let baseCount = Math.floor(Math.random() * 80) + 20; // 20-100 base records
+    let baseCount = Math.floor(random() * 80) + 20; // 20-100 base records
     
     // Adjust based on query complexity
     if (filters.industry_focus) {
@@ -219,9 +214,9 @@ class AICompanyResearcherGenerator {
       record.risk_assessment = this.generateRiskAssessment(record);
       
       // Add research metadata
-      record.research_confidence = Math.random() * 0.3 + 0.7; // 0.7-1.0
+      record.research_confidence = random() * 0.3 + 0.7; // 0.7-1.0
       record.data_freshness = this.generateDataFreshness();
-      record.source_reliability = Math.random() * 0.2 + 0.8; // 0.8-1.0
+      record.source_reliability = random() * 0.2 + 0.8; // 0.8-1.0
       
       return record;
     });
@@ -306,11 +301,11 @@ class AICompanyResearcherGenerator {
     const weights = [0.1, 0.3, 0.4, 0.2]; // Most companies are followers or challengers
     
     let cumulative = 0;
-    const random = Math.random();
+    const roll = random();
     
     for (let i = 0; i < positions.length; i++) {
       cumulative += weights[i];
-      if (random <= cumulative) {
+      if (roll <= cumulative) {
         return positions[i];
       }
     }
@@ -332,7 +327,7 @@ class AICompanyResearcherGenerator {
       rounds.push({
         round: 'Seed',
         amount: Math.min(totalFunding * 0.1, 2000000),
-        year: foundedYear + Math.floor(Math.random() * 2),
+        year: foundedYear + Math.floor(random() * 2),
         investors: this.generateInvestors(3)
       });
     }
@@ -342,7 +337,7 @@ class AICompanyResearcherGenerator {
       rounds.push({
         round: 'Series A',
         amount: Math.min(totalFunding * 0.3, 10000000),
-        year: foundedYear + Math.floor(Math.random() * 3) + 1,
+        year: foundedYear + Math.floor(random() * 3) + 1,
         investors: this.generateInvestors(5)
       });
     }
@@ -352,7 +347,7 @@ class AICompanyResearcherGenerator {
       rounds.push({
         round: 'Series B',
         amount: Math.min(totalFunding * 0.4, 50000000),
-        year: foundedYear + Math.floor(Math.random() * 4) + 2,
+        year: foundedYear + Math.floor(random() * 4) + 2,
         investors: this.generateInvestors(8)
       });
     }
@@ -370,8 +365,7 @@ class AICompanyResearcherGenerator {
       'Lightspeed Venture Partners', 'NEA', 'Benchmark', 'First Round Capital'
     ];
     
-    return investors
-      .sort(() => Math.random() - 0.5)
+    return faker.helpers.shuffle(investors)
       .slice(0, Math.min(count, investors.length));
   }
 
@@ -381,13 +375,13 @@ class AICompanyResearcherGenerator {
   generateKeyMetrics(record) {
     return {
       annual_revenue: record.revenue,
-      revenue_growth_rate: Math.random() * 100, // 0-100%
+      revenue_growth_rate: random() * 100, // 0-100%
       employee_count: record.employee_count,
-      employee_growth_rate: Math.random() * 50, // 0-50%
-      customer_count: Math.floor(record.employee_count * (Math.random() * 10 + 5)), // 5-15x employees
-      market_share: Math.random() * 10, // 0-10%
-      customer_acquisition_cost: Math.floor(Math.random() * 1000) + 100, // $100-$1100
-      lifetime_value: Math.floor(Math.random() * 10000) + 1000 // $1000-$11000
+      employee_growth_rate: random() * 50, // 0-50%
+      customer_count: Math.floor(record.employee_count * (random() * 10 + 5)), // 5-15x employees
+      market_share: random() * 10, // 0-10%
+      customer_acquisition_cost: Math.floor(random() * 1000) + 100, // $100-$1100
+      lifetime_value: Math.floor(random() * 10000) + 1000 // $1000-$11000
     };
   }
 
@@ -400,7 +394,7 @@ class AICompanyResearcherGenerator {
       direct_competitors: competitors.slice(0, 3),
       competitive_advantages: this.generateCompetitiveAdvantages(),
       market_threats: this.generateMarketThreats(),
-      differentiation_score: Math.random() * 0.5 + 0.5 // 0.5-1.0
+      differentiation_score: random() * 0.5 + 0.5 // 0.5-1.0
     };
   }
 
@@ -436,9 +430,8 @@ class AICompanyResearcherGenerator {
       'Strong financial position'
     ];
     
-    return advantages
-      .sort(() => Math.random() - 0.5)
-      .slice(0, Math.floor(Math.random() * 3) + 2); // 2-4 advantages
+    return faker.helpers.shuffle(advantages)
+      .slice(0, Math.floor(random() * 3) + 2); // 2-4 advantages
   }
 
   /**
@@ -456,9 +449,8 @@ class AICompanyResearcherGenerator {
       'Funding constraints'
     ];
     
-    return threats
-      .sort(() => Math.random() - 0.5)
-      .slice(0, Math.floor(Math.random() * 3) + 1); // 1-3 threats
+    return faker.helpers.shuffle(threats)
+      .slice(0, Math.floor(random() * 3) + 1); // 1-3 threats
   }
 
   /**
@@ -466,11 +458,11 @@ class AICompanyResearcherGenerator {
    */
   generateRiskAssessment(record) {
     return {
-      overall_risk_score: Math.random() * 0.4 + 0.3, // 0.3-0.7
-      financial_risk: Math.random() * 0.5 + 0.2, // 0.2-0.7
-      market_risk: Math.random() * 0.6 + 0.2, // 0.2-0.8
-      operational_risk: Math.random() * 0.4 + 0.3, // 0.3-0.7
-      technology_risk: Math.random() * 0.5 + 0.2, // 0.2-0.7
+      overall_risk_score: random() * 0.4 + 0.3, // 0.3-0.7
+      financial_risk: random() * 0.5 + 0.2, // 0.2-0.7
+      market_risk: random() * 0.6 + 0.2, // 0.2-0.8
+      operational_risk: random() * 0.4 + 0.3, // 0.3-0.7
+      technology_risk: random() * 0.5 + 0.2, // 0.2-0.7
       risk_factors: this.generateRiskFactors(),
       mitigation_strategies: this.generateMitigationStrategies()
     };
@@ -491,9 +483,8 @@ class AICompanyResearcherGenerator {
       'Operational scalability'
     ];
     
-    return factors
-      .sort(() => Math.random() - 0.5)
-      .slice(0, Math.floor(Math.random() * 4) + 2); // 2-5 factors
+    return faker.helpers.shuffle(factors)
+      .slice(0, Math.floor(random() * 4) + 2); // 2-5 factors
   }
 
   /**
@@ -511,17 +502,16 @@ class AICompanyResearcherGenerator {
       'Improve operational efficiency'
     ];
     
-    return strategies
-      .sort(() => Math.random() - 0.5)
-      .slice(0, Math.floor(Math.random() * 4) + 2); // 2-5 strategies
+    return faker.helpers.shuffle(strategies)
+      .slice(0, Math.floor(random() * 4) + 2); // 2-5 strategies
   }
 
   /**
    * Generate data freshness timestamp
    */
   generateDataFreshness() {
-    const now = new Date();
-    const daysAgo = Math.floor(Math.random() * 7) + 1; // 1-7 days ago
+    const now = referenceDate();
+    const daysAgo = Math.floor(random() * 7) + 1; // 1-7 days ago
     const freshnessDate = new Date(now.getTime() - (daysAgo * 24 * 60 * 60 * 1000));
     return freshnessDate.toISOString();
   }
@@ -536,7 +526,7 @@ class AICompanyResearcherGenerator {
       status: 'completed',
       data: records,
       total_records: records.length,
-      generated_at: new Date().toISOString(),
+      generated_at: referenceDate().toISOString(),
       metadata: metadata
     };
   }
@@ -1,5 +1,4 @@
-const { faker } = require('@faker-js/faker');
-const { generateUUID } = require('../../../shared/data-generators');
+const { faker, generateUUID } = require('../../shared/data-generators');
 
 function generateVehicle(filters = {}) {
     const makes = ['Toyota', 'Honda', 'Ford', 'Chevrolet', 'BMW', 'Mercedes-Benz', 'Audi', 'Nissan', 'Hyundai', 'Kia', 'Volkswagen', 'Mazda', 'Subaru', 'Lexus', 'Acura'];
@@ -7,6 +6,7 @@ function generateVehicle(filters = {}) {
     const bodyTypes = ['Sedan', 'SUV', 'Truck', 'Hatchback', 'Coupe', 'Convertible', 'Wagon', 'Crossover'];
     const fuelTypes = ['Gasoline', 'Hybrid', 'Electric', 'Diesel', 'Plug-in Hybrid'];
     const transmissions = ['Automatic', 'Manual', 'CVT', 'Semi-Automatic'];
+    const features = ['Backup Camera', 'Bluetooth', 'Heated Seats', 'Sunroof', 'Navigation System', 'Apple CarPlay', 'Android Auto', 'Blind Spot Monitoring', 'Lane Departure Warning', 'Adaptive Cruise Control', 'Leather Seats', 'Keyless Entry', 'Remote Start', 'Third Row Seating', 'Premium Audio', 'Alloy Wheels', 'Tow Package'];
     
     const make = faker.helpers.arrayElement(makes);
     const model = faker.helpers.arrayElement(models);
@@ -39,7 +39,7 @@ function generateVehicle(filters = {}) {
         condition: faker.helpers.arrayElement(['Excellent', 'Good', 'Fair', 'Poor']),
         color: faker.color.human(),
         interior_color: faker.color.human(),
-        features: Array.from({ length: faker.number.int({ min: 5, max: 15 }) }, () => faker.vehicle.accessories()),
+        features: faker.helpers.arrayElements(features, { min: 5, max: 15 }),
         safety_rating: faker.number.int({ min: 1, max: 5 }),
         mpg_city: faker.number.int({ min: 15, max: 40 }),
         mpg_highway: faker.number.int({ min: 20, max: 50 }),
@@ -0,0 +1,592 @@
+#!/usr/bin/env node
+/**
+ * Conformance Runner
+ * Checks each simulator against its source's source-setup.json. The runner
+ * starts the simulator, builds a run request from run_request_template the way
+ * the backend does, drives the run to a terminal status through the status,
+ * events and delivery endpoints (plus a local webhook receiver) and reports:
+ *
+ * - every template request path the simulator's OpenAPI contract cannot
+ *   resolve (a body field, query parameter or URL id it does not read), and
+ *   every response path missing from the responses it actually sent
+ * - every status the simulator emitted that the template's
+ *   status_translations has no entry for (LinkedIn's in_progress, for instance)
+ * - with --mappings, every mappings.json key_mapping that matches nothing in
+ *   the delivered payload (the delivery response, or the completion webhook
+ *   for webhook-only sources)
+ *
+ * Template paths start at the request body unless their first segment is
+ * body, url, query or headers; on endpoints without a body, bare paths are
+ * query parameters. Simulators run with SIM_AUTH_DISABLED and an accelerated
+ * clock. Exits 1 when anything is reported.
+ */
+
+const http = require('http');
+const net = require('net');
+const { spawn } = require('child_process');
+const { randomUUID } = require('crypto');
+const { loadSourceSetups, loadSourceMappings } = require('../shared/source-config');
+const { reportMappings } = require('../shared/mappings');
+const { PATH_ROOTS, splitPath, getPath } = require('../shared/run-request');
+const { OPERATION_IDS } = require('../shared/openapi');
+const { TERMINAL_STATUSES } = require('../shared/admin');
+const { discoverSimulators, waitForHealth } = require('../launcher');
+
+const SETUP_FILE = 'source-setup.json';
+const POLL_INTERVAL_MS = 250;
+const WEBHOOK_GRACE_MS = 1000;
+
+const USAGE = `Usage: node data/sources/conformance [options]
+
+  --only <ids>         Comma-separated sources to check (default: every simulator with a ${SETUP_FILE})
+  --time-scale <n>     SIM_TIME_SCALE for the simulators (default 100)
+  --timeout <s>        Seconds to wait for a run to finish (default 60)
+  --mappings           Also run the delivered payload through the source's mappings.json
+                       and list the mappings that match nothing
+  --json               Print the report as JSON`;
+
+function parseArgs(argv) {
+    const options = { only: null, timeScale: 100, timeout: 60, mappings: false, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].split('=');
+        const value = () => (inline !== undefined ? inline : argv[++i]);
+        switch (flag) {
+            case '--only': options.only = String(value() || '').split(',').map(id => id.trim()).filter(Boolean); break;
+            case '--time-scale': options.timeScale = Number(value()); break;
+            case '--timeout': options.timeout = Number(value()); break;
+            case '--mappings': options.mappings = true; break;
+            case '--json': options.json = true; break;
+            case '--help':
+            case '-h': options.help = true; break;
+            default: throw new Error(`Unknown option '${argv[i]}'`);
+        }
+    }
+    return options;
+}
+
+// Template for statuses seen on an endpoint; empty templates fall back to the run template
+function translationsTemplate(templates, name) {
+    const template = templates[name];
+    if (template && template.response && template.response.status_translations) return name;
+    return 'run_request_template';
+}
+
+// Path helpers
+
+function setPath(target, segments, value) {
+    if (segments.length === 0) {
+        if (value && typeof value === 'object') Object.assign(target, value);
+        return;
+    }
+    let current = target;
+    segments.slice(0, -1).forEach(key => {
+        if (!current[key] || typeof current[key] !== 'object') current[key] = {};
+        current = current[key];
+    });
+    current[segments[segments.length - 1]] = value;
+}
+
+function resolveSchema(schema, document) {
+    if (schema && schema.$ref) return document.components.schemas[schema.$ref.replace('#/components/schemas/', '')];
+    return schema;
+}
+
+/**
+ * Walks segments through a body schema. Declared properties are followed;
+ * below an object schema that declares none (an opaque filter object) the
+ * rest of the path is taken as read. Returns { schema } or { missing } with
+ * the first segment the schema does not have.
+ */
+function schemaAt(schema, segments, document) {
+    let current = resolveSchema(schema, document);
+    for (let index = 0; index < segments.length; index++) {
+        if (!current) return { missing: segments.slice(0, index + 1) };
+        if (current.properties && current.properties[segments[index]]) {
+            current = resolveSchema(current.properties[segments[index]], document);
+        } else if (!current.properties && [].concat(current.type || 'object').includes('object')) {
+            return { schema: {} };
+        } else {
+            return { missing: segments.slice(0, index + 1) };
+        }
+    }
+    return { schema: current || {} };
+}
+
+// A minimal valid value for a schema
+function sampleFor(schema, document) {
+    const resolved = resolveSchema(schema, document) || {};
+    if (resolved.enum) return resolved.enum[0];
+    const type = [].concat(resolved.type || 'object').find(candidate => candidate !== 'null');
+    switch (type) {
+        case 'string': return resolved.format === 'uri' ? 'https://example.com' : 'conformance';
+        case 'integer':
+        case 'number': return resolved.minimum !== undefined ? resolved.minimum : 1;
+        case 'boolean': return true;
+        case 'array': return [];
+        default: {
+            const value = {};
+            (resolved.required || []).forEach(key => {
+                value[key] = sampleFor((resolved.properties || {})[key], document);
+            });
+            return value;
+        }
+    }
+}
+
+// OpenAPI lookups
+
+function findOperation(document, role) {
+    const operationId = OPERATION_IDS[role];
+    for (const [route, methods] of Object.entries(document.paths || {})) {
+        for (const [method, operation] of Object.entries(methods)) {
+            if (operation.operationId === operationId) return { method, route, operation };
+        }
+    }
+    return null;
+}
+
+function requestSchemaOf(found, document) {
+    const content = found.operation.requestBody && found.operation.requestBody.content['application/json'];
+    return content ? resolveSchema(content.schema, document) : null;
+}
+
+/**
+ * Why a template request path cannot reach the operation, or null when it
+ * resolves.
+ */
+function unresolvedRequestPath(found, segments, document) {
+    const requestSchema = requestSchemaOf(found, document);
+    const { root: parsedRoot, path: rest } = splitPath(segments);
+    const root = PATH_ROOTS.includes(segments[0]) || requestSchema ? parsedRoot : 'query';
+    const parameters = found.operation.parameters || [];
+
+    switch (root) {
+        case 'url':
+            return /\{\w+\}/.test(found.route) ? null : `${found.route} takes no id in its URL`;
+        case 'query':
+        case 'headers': {
+            const location = root === 'query' ? 'query' : 'header';
+            const declared = parameters.some(parameter => parameter.in === location && parameter.name.toLowerCase() === String(rest[0]).toLowerCase());
+            return declared ? null : `${found.route} has no ${location} parameter '${rest[0]}'`;
+        }
+        default: {
+            if (!requestSchema) return `${found.route} takes no request body`;
+            const { missing } = schemaAt(requestSchema, rest, document);
+            return missing ? `no field '${missing.join('.')}' in the ${found.route} request body` : null;
+        }
+    }
+}
+
+// The top-level body field a simulator uses for a run id or webhook URL, to point at in reports
+function counterpartField(requestSchema, key, document) {
+    const properties = (requestSchema && requestSchema.properties) || {};
+    return Object.keys(properties).find(name => {
+        const schema = resolveSchema(properties[name], document) || {};
+        if (key === 'run_id') return /external (run|request) id/i.test(schema.description || '');
+        if (key === 'webhook_url') return schema.format === 'uri';
+        return false;
+    }) || null;
+}
+
+// The run id the simulator issued: the uuid-formatted field of the accepted response
+function runIdFrom(found, body, document) {
+    const responses = found.operation.responses || {};
+    const accepted = Object.keys(responses).find(code => code.startsWith('2'));
+    const content = accepted && responses[accepted].content && responses[accepted].content['application/json'];
+    const schema = content && resolveSchema(content.schema, document);
+    const field = schema && Object.keys(schema.properties || {}).find(key => schema.properties[key].format === 'uuid');
+    return body && (body[field] || body.run_id || body.request_id || body.id);
+}
+
+// URL for an operation on a run: the id in the path, or in the required query parameter
+function runUrl(base, found, runId) {
+    let route = found.route;
+    const query = new URLSearchParams();
+    if (/\{\w+\}/.test(route)) {
+        route = route.replace(/\{\w+\}/, encodeURIComponent(runId));
+    } else {
+        const idParameter = (found.operation.parameters || []).find(parameter => parameter.in === 'query' && parameter.required);
+        if (idParameter) query.set(idParameter.name, runId);
+    }
+    const search = query.toString();
+    return `${base}${route}${search ? `?${search}` : ''}`;
+}
+
+// Processes and transport
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+async function startSimulator(simulator, options) {
+    const port = await freePort();
+    const child = spawn(process.execPath, [simulator.entry, ...simulator.args], {
+        cwd: simulator.dir,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            SIM_TIME_SCALE: String(options.timeScale),
+            SIM_AUTH_DISABLED: '1',
+            SIM_RUN_STORE: 'memory',
+            SIM_RECORD_MODE: 'off',
+            SIM_FAULTS: ''
+        },
+        stdio: ['ignore', 'ignore', 'pipe']
+    });
+    let stderr = '';
+    child.stderr.on('data', chunk => {
+        stderr = `${stderr}${chunk}`.slice(-2000);
+    });
+    const state = await waitForHealth(port, 30000);
+    if (state !== 'ready') {
+        child.kill();
+        throw new Error(`${simulator.id} did not become healthy${stderr ? `: ${stderr.trim().split('\n').pop()}` : ''}`);
+    }
+    return { child, base: `http://127.0.0.1:${port}` };
+}
+
+function startWebhookReceiver(onPayload) {
+    return new Promise(resolve => {
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                try {
+                    onPayload(JSON.parse(body));
+                } catch (error) {
+                    // Not JSON; nothing to check
+                }
+                res.end('ok');
+            });
+        });
+        server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}/webhook` }));
+    });
+}
+
+async function requestJson(url, { method = 'GET', body } = {}) {
+    const response = await fetch(url, {
+        method: method.toUpperCase(),
+        headers: body !== undefined ? { 'Content-Type': 'application/json' } : {},
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        json = null;
+    }
+    return { status: response.status, json, text };
+}
+
+// Collects the status of every SSE event until the end event or the deadline
+async function readEvents(url, deadline, onStatus) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), Math.max(0, deadline - Date.now()));
+    try {
+        const response = await fetch(url, { headers: { Accept: 'text/event-stream' }, signal: controller.signal });
+        if (!response.ok || !response.body) return false;
+        const decoder = new TextDecoder();
+        let buffered = '';
+        for await (const chunk of response.body) {
+            buffered += decoder.decode(chunk, { stream: true });
+            const messages = buffered.split('\n\n');
+            buffered = messages.pop();
+            for (const message of messages) {
+                const event = (message.match(/^event: (.*)$/m) || [])[1];
+                const data = (message.match(/^data: (.*)$/m) || [])[1];
+                if (data) {
+                    try {
+                        const parsed = JSON.parse(data);
+                        if (typeof parsed.status === 'string') onStatus(parsed.status);
+                    } catch (error) {
+                        // Keep-alive or non-JSON data
+                    }
+                }
+                if (event === 'end') return true;
+            }
+        }
+        return false;
+    } catch (error) {
+        return false;
+    } finally {
+        clearTimeout(timer);
+        controller.abort();
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Drives one setup through a full lifecycle against a running simulator and
+ * returns { unresolved, untranslated, errors }.
+ */
+async function checkSetup(base, setup, options) {
+    const { templates } = setup;
+    const unresolved = [];
+    const errors = [];
+    const seen = new Map(); // status -> { template, sources: Set }
+
+    const document = (await requestJson(`${base}/openapi.json`)).json;
+    if (!document) {
+        return { unresolved, untranslated: [], errors: ['No OpenAPI document at /openapi.json'] };
+    }
+    const operations = Object.fromEntries(Object.keys(OPERATION_IDS).map(role => [role, findOperation(document, role)]));
+
+    function record(status, source, templateName) {
+        if (typeof status !== 'string') return;
+        const entry = seen.get(status) || { template: translationsTemplate(templates, templateName), sources: new Set() };
+        entry.sources.add(source);
+        seen.set(status, entry);
+    }
+
+    // Request paths, checked against the contract
+    const checkRequest = (templateName, found, label) => {
+        const request = (templates[templateName] || {}).request || {};
+        Object.entries(request).forEach(([key, segments]) => {
+            const reason = found ? unresolvedRequestPath(found, segments, document) : `the simulator has no ${label} endpoint`;
+            if (!reason) return;
+            const field = found && counterpartField(requestSchemaOf(found, document), key, document);
+            unresolved.push({ template: templateName, side: 'request', key, path: segments, reason: field ? `${reason} (the simulator reads '${field}')` : reason });
+        });
+    };
+    checkRequest('run_request_template', operations.run, 'run');
+    checkRequest('status_request_template', operations.status, 'status');
+    checkRequest('delivery_request_template', operations.delivery, 'delivery');
+
+    if (!operations.run) {
+        errors.push('The OpenAPI document has no startRun operation');
+        return { unresolved, untranslated: [], errors };
+    }
+
+    // Response paths, checked against what the simulator sent (reported once each)
+    const reportedResponsePaths = new Set();
+    const statusFrom = (templateName, body, label) => {
+        const template = templates[templateName] || {};
+        const segments = (template.response && template.response.status) || null;
+        if (!segments) return undefined;
+        const value = getPath(body, segments);
+        if (value === undefined && !reportedResponsePaths.has(templateName)) {
+            reportedResponsePaths.add(templateName);
+            unresolved.push({ template: templateName, side: 'response', key: 'status', path: segments, reason: `not in the ${label} response` });
+        }
+        return value;
+    };
+
+    const webhookStatuses = [];
+    let deliveredPayload = null;
+    const receiver = await startWebhookReceiver(payload => {
+        webhookStatuses.push(payload.status);
+        // The completion webhook carries the data for webhook-only sources
+        if (payload.event === 'run.completed' || payload.data !== undefined) deliveredPayload = payload;
+        record(payload.status, 'webhook', 'run_request_template');
+    });
+
+    try {
+        // The run request, built from the template like the backend builds it
+        const externalRunId = `conformance-${randomUUID()}`;
+        const requestSchema = requestSchemaOf(operations.run, document) || {};
+        const body = {};
+        Object.entries((templates.run_request_template || {}).request || {}).forEach(([key, segments]) => {
+            const { root, path: rest } = splitPath(segments);
+            if (root !== 'body') return;
+            const value = key === 'run_id' ? externalRunId
+                : key === 'webhook_url' ? receiver.url
+                    : sampleFor(schemaAt(requestSchema, rest, document).schema || {}, document);
+            setPath(body, rest, value);
+        });
+        // Fields the simulator needs that the template does not place
+        Object.entries(requestSchema.properties || {}).forEach(([key, property]) => {
+            if (body[key] !== undefined) return;
+            const schema = resolveSchema(property, document) || {};
+            if (/external (run|request) id/i.test(schema.description || '')) body[key] = externalRunId;
+            else if (schema.format === 'uri') body[key] = receiver.url;
+            else if ((requestSchema.required || []).includes(key)) body[key] = sampleFor(schema, document);
+        });
+
+        const runUrlBase = `${base}${operations.run.route}`;
+        const run = await requestJson(runUrlBase, { method: operations.run.method, body });
+        if (run.status >= 400) {
+            errors.push(`Run request answered ${run.status}: ${run.text.slice(0, 300)}`);
+            return { unresolved, untranslated: untranslatedStatuses(seen, templates), errors };
+        }
+        record(statusFrom('run_request_template', run.json, 'run'), 'run response', 'run_request_template');
+
+        const runId = runIdFrom(operations.run, run.json, document);
+        if (!runId) {
+            errors.push('No run id in the run response');
+            return { unresolved, untranslated: untranslatedStatuses(seen, templates), errors };
+        }
+
+        // Status polls and the event stream until the run finishes
+        const deadline = Date.now() + options.timeout * 1000;
+        let finished = false;
+        const poll = async () => {
+            if (!operations.status) return;
+            while (!finished && Date.now() < deadline) {
+                const response = await requestJson(runUrl(base, operations.status, runId), { method: operations.status.method });
+                const status = response.json && (statusFrom('status_request_template', response.json, 'status') || response.json.status);
+                record(status, 'status', 'status_request_template');
+                if (TERMINAL_STATUSES.includes(status) || response.status >= 400) {
+                    finished = true;
+                    return;
+                }
+                await sleep(POLL_INTERVAL_MS);
+            }
+        };
+        const events = async () => {
+            if (!operations.events) return;
+            const ended = await readEvents(runUrl(base, operations.events, runId), deadline, status => {
+                record(status, 'events', 'status_request_template');
+            });
+            if (ended) finished = true;
+        };
+        const webhook = async () => {
+            if (operations.status || operations.events) return;
+            while (!finished && webhookStatuses.length === 0 && Date.now() < deadline) await sleep(POLL_INTERVAL_MS);
+        };
+        await Promise.all([poll(), events(), webhook()]);
+        if (!finished && webhookStatuses.length === 0) {
+            errors.push(`Run ${runId} did not finish within ${options.timeout}s`);
+        }
+        await sleep(WEBHOOK_GRACE_MS);
+
+        if (operations.delivery) {
+            const delivery = await requestJson(runUrl(base, operations.delivery, runId), { method: operations.delivery.method });
+            if (delivery.json && delivery.status < 400) {
+                deliveredPayload = delivery.json;
+                record(statusFrom('delivery_request_template', delivery.json, 'delivery') || delivery.json.status, 'delivery', 'delivery_request_template');
+            } else {
+                errors.push(`Delivery answered ${delivery.status}: ${delivery.text.slice(0, 300)}`);
+            }
+        }
+    } finally {
+        receiver.server.close();
+    }
+
+    const result = { unresolved, untranslated: untranslatedStatuses(seen, templates), errors };
+    if (options.mappings) {
+        if (deliveredPayload) {
+            result.mappings = options.mappingSources.map(source => ({ source: source.name, ...reportMappings(deliveredPayload, source) }));
+        } else {
+            errors.push('No delivered payload to check mappings.json against');
+        }
+    }
+    return result;
+}
+
+// Statuses whose template has no translation for them
+function untranslatedStatuses(seen, templates) {
+    return [...seen.entries()]
+        .filter(([status, { template }]) => {
+            const translations = ((templates[template] || {}).response || {}).status_translations || {};
+            return !Object.prototype.hasOwnProperty.call(translations, status);
+        })
+        .map(([status, { template, sources }]) => ({ status, template, seen_in: [...sources] }));
+}
+
+/**
+ * Checks one simulator against every setup in its source-setup.json:
+ * { id, setups: [{ setupId, name, unresolved, untranslated, errors, mappings }] }
+ * (mappings only with --mappings).
+ */
+async function checkSimulator(simulator, options) {
+    const setups = loadSourceSetups(simulator.id);
+    let process_ = null;
+    try {
+        process_ = await startSimulator(simulator, options);
+        const setupOptions = { ...options, mappingSources: loadSourceMappings(simulator.id) };
+        const results = [];
+        for (const setup of setups) {
+            results.push({ setupId: setup.setupId, name: setup.name, ...(await checkSetup(process_.base, setup, setupOptions)) });
+        }
+        return { id: simulator.id, setups: results };
+    } catch (error) {
+        return { id: simulator.id, setups: [], errors: [error.message] };
+    } finally {
+        if (process_) process_.child.kill();
+    }
+}
+
+function unmatchedMappings(setup) {
+    return (setup.mappings || []).reduce((total, report) => total + report.unmatched.length, 0);
+}
+
+function findingsOf(result) {
+    return (result.errors || []).length + result.setups.reduce((total, setup) => total + setup.unresolved.length + setup.untranslated.length + setup.errors.length + unmatchedMappings(setup), 0);
+}
+
+function printReport(results) {
+    results.forEach(result => {
+        const count = findingsOf(result);
+        console.log(`${result.id}: ${count === 0 ? 'conforms' : `${count} finding${count === 1 ? '' : 's'}`}`);
+        (result.errors || []).forEach(error => console.log(`  error: ${error}`));
+        result.setups.forEach(setup => {
+            if (result.setups.length > 1) console.log(`  ${setup.name} (${setup.setupId})`);
+            setup.errors.forEach(error => console.log(`  error: ${error}`));
+            setup.unresolved.forEach(item => {
+                console.log(`  unresolved ${item.template}.${item.side}.${item.key} ${JSON.stringify(item.path)}: ${item.reason}`);
+            });
+            setup.untranslated.forEach(item => {
+                console.log(`  untranslated status '${item.status}' (${item.seen_in.join(', ')}): no entry in ${item.template}.response.status_translations`);
+            });
+            (setup.mappings || []).forEach(report => {
+                console.log(`  mappings (${report.source}): ${report.matched} of ${report.total} matched`);
+                report.unmatched.forEach(item => {
+                    const target = item.kind === 'datapoint' ? `datapoint ${item.datapoint_id}` : `object ${item.object_type_id}`;
+                    console.log(`  unmatched mapping ${item.mapping_id} (${target}, ${item.status}) ${JSON.stringify(item.key_mapping)}: ${item.reason}`);
+                });
+            });
+        });
+    });
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    const simulators = discoverSimulators()
+        .filter(simulator => loadSourceSetups(simulator.id).length > 0)
+        .filter(simulator => !options.only || options.only.includes(simulator.id));
+    const unknown = (options.only || []).filter(id => !simulators.some(simulator => simulator.id === id));
+    if (unknown.length > 0) {
+        throw new Error(`No simulator with a ${SETUP_FILE}: ${unknown.join(', ')}`);
+    }
+
+    const results = [];
+    for (const simulator of simulators) {
+        results.push(await checkSimulator(simulator, options));
+    }
+    if (options.json) {
+        console.log(JSON.stringify(results, null, 2));
+    } else {
+        printReport(results);
+    }
+    return results.some(result => findingsOf(result) > 0) ? 1 : 0;
+}
+
+if (require.main === module) {
+    main().then(code => process.exit(code)).catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    schemaAt,
+    unresolvedRequestPath,
+    checkSetup,
+    checkSimulator,
+    main
+};
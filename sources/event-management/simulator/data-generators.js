@@ -1,5 +1,4 @@
-const { faker } = require('@faker-js/faker');
-const { generateUUID } = require('../../../shared/data-generators');
+const { faker, generateUUID, referenceDate } = require('../../shared/data-generators');
 
 function generateEvent(filters = {}) {
     const eventName = faker.lorem.words(3);
@@ -60,7 +59,7 @@ function generateEvent(filters = {}) {
         requirements: Array.from({ length: faker.number.int({ min: 0, max: 3 }) }, () => faker.lorem.sentence()),
         tags: Array.from({ length: faker.number.int({ min: 2, max: 5 }) }, () => faker.lorem.word()),
         status: faker.helpers.arrayElement(['upcoming', 'ongoing', 'completed', 'cancelled']),
-        registration_deadline: faker.date.between({ from: new Date(), to: startDate }).toISOString(),
+        registration_deadline: faker.date.between({ from: referenceDate(), to: startDate }).toISOString(),
         created_at: faker.date.past({ days: 30 }).toISOString(),
         updated_at: faker.date.recent({ days: 7 }).toISOString()
     };
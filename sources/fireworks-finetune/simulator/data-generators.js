@@ -1,5 +1,4 @@
-const { faker } = require('@faker-js/faker');
-const { generateUUID } = require('../../../shared/data-generators');
+const { faker, generateUUID } = require('../../shared/data-generators');
 
 function generateFineTuningJob(trainingData = {}) {
     const baseModels = ['llama-2-7b', 'llama-2-13b', 'llama-2-70b', 'mistral-7b', 'mistral-8x7b', 'codellama-7b', 'codellama-13b'];
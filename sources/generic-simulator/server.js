@@ -0,0 +1,20 @@
+/**
+ * Generic simulator entry point: serves one source that has no dedicated
+ * simulator, configured from its detail JSON and optional simulator.json.
+ *
+ *   node server.js <source-id>      (or SOURCE_ID=<source-id> node server.js)
+ */
+
+const { createGenericSimulator } = require('../shared/generic-simulator');
+
+const sourceId = process.argv[2] || process.env.SOURCE_ID;
+if (!sourceId) {
+    console.error('Usage: node server.js <source-id>');
+    process.exit(1);
+}
+
+const simulator = createGenericSimulator(sourceId);
+
+simulator.listen();
+
+module.exports = simulator.app;
@@ -1,5 +1,4 @@
-const { faker } = require('@faker-js/faker');
-const { generateUUID } = require('../../../shared/data-generators');
+const { faker, generateUUID } = require('../../shared/data-generators');
 
 function generateJobPost(filters = {}) {
     const companyName = faker.company.name();
@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+/**
+ * Simulator Launcher
+ * Discovers every simulator ({source-id}/simulator/server.js), starts them and
+ * prints a port map once each one answers /api/health.
+ *
+ * - children (default): one supervised child process per simulator, output
+ *   prefixed with the source id; crashed children restart with exponential
+ *   backoff (1 s doubling to 30 s, reset after 30 s of uptime).
+ * - inline: every simulator loaded into this process (one shared simulator
+ *   clock, unprefixed output, no restarts).
+ *
+ * Ports come from each server.js default (process.env.PORT || 3001), so the
+ * port map always matches what the simulators bind. With --generic, every
+ * source without a dedicated simulator is served by the generic simulator on
+ * its descriptor port or 4000 + its position in the source list.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+const { SOURCES_ROOT } = require('../shared/source-config');
+const { listGenericSources, genericPort } = require('../shared/generic-simulator/sources');
+
+const MODES = ['children', 'inline'];
+const GENERIC_ENTRY = path.join(__dirname, '..', 'generic-simulator', 'server.js');
+const BACKOFF = { baseMs: 1000, maxMs: 30000, stableMs: 30000 };
+const COLORS = [36, 33, 32, 35, 34, 91, 92, 93, 94, 95, 96];
+
+const USAGE = `Usage: node data/sources/launcher [options]
+
+  --only <ids>           Comma-separated simulators to start (default: all dedicated ones)
+  --generic              Also start the generic simulator for every source without one
+  --exclude <ids>        Comma-separated simulators to skip
+  --mode <mode>          children (supervised processes, default) or inline (one process)
+  --max-restarts <n>     Restarts per crashed child before giving up (default 5)
+  --ready-timeout <s>    Seconds to wait for /api/health (default 30)
+  --list                 Print the port map without starting anything`;
+
+/**
+ * Every simulator under sources/, sorted by port:
+ * [{ id, kind, dir, entry, args, port }]. kind is 'dedicated' for a
+ * {source-id}/simulator/server.js (port is null when it has no default) and
+ * 'generic' for a source served by the generic simulator.
+ */
+function discoverSimulators(root = SOURCES_ROOT) {
+    const dedicated = fs.readdirSync(root, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => {
+            const dir = path.join(root, entry.name, 'simulator');
+            const entryFile = path.join(dir, 'server.js');
+            if (!fs.existsSync(entryFile)) return null;
+            const match = fs.readFileSync(entryFile, 'utf8').match(/process\.env\.PORT\s*\|\|\s*(\d+)/);
+            return { id: entry.name, kind: 'dedicated', dir, entry: entryFile, args: [], port: match ? Number(match[1]) : null };
+        })
+        .filter(Boolean);
+
+    const generic = root === SOURCES_ROOT
+        ? listGenericSources().map(id => ({
+            id,
+            kind: 'generic',
+            dir: path.dirname(GENERIC_ENTRY),
+            entry: GENERIC_ENTRY,
+            args: [id],
+            port: genericPort(id)
+        }))
+        : [];
+
+    return [...dedicated, ...generic]
+        .sort((a, b) => (a.port || Infinity) - (b.port || Infinity) || a.id.localeCompare(b.id));
+}
+
+function parseArgs(argv) {
+    const options = { only: null, exclude: [], generic: false, mode: 'children', maxRestarts: 5, readyTimeout: 30, list: false };
+    const list = value => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].split('=');
+        const value = () => (inline !== undefined ? inline : argv[++i]);
+        switch (flag) {
+            case '--only': options.only = list(value()); break;
+            case '--exclude': options.exclude = list(value()); break;
+            case '--mode': options.mode = value(); break;
+            case '--max-restarts': options.maxRestarts = Number(value()); break;
+            case '--ready-timeout': options.readyTimeout = Number(value()); break;
+            case '--generic': options.generic = true; break;
+            case '--list': options.list = true; break;
+            case '--help':
+            case '-h': options.help = true; break;
+            default: throw new Error(`Unknown option '${argv[i]}'`);
+        }
+    }
+    if (!MODES.includes(options.mode)) {
+        throw new Error(`Unknown mode '${options.mode}' (expected ${MODES.join(' or ')})`);
+    }
+    return options;
+}
+
+/**
+ * Applies --only / --exclude / --generic. Generic sources are started when
+ * named in --only or with --generic. Unknown ids are an error so a typo in a
+ * workflow's selection does not silently start nothing.
+ */
+function selectSimulators(simulators, { only, exclude, generic }) {
+    const known = new Set(simulators.map(simulator => simulator.id));
+    const unknown = [...(only || []), ...exclude].filter(id => !known.has(id));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown simulator(s): ${unknown.join(', ')}`);
+    }
+    return simulators.filter(simulator => {
+        if (exclude.includes(simulator.id)) return false;
+        if (only) return only.includes(simulator.id);
+        return simulator.kind === 'dedicated' || generic;
+    });
+}
+
+// Resolves 'ready' once GET /api/health answers 200, the reported status
+// ('down', 'maintenance') when a scripted outage answers 503, null after timeoutMs
+function waitForHealth(port, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    return new Promise(resolve => {
+        const attempt = () => {
+            const req = http.get({ host: '127.0.0.1', port, path: '/api/health', timeout: 1000 }, res => {
+                let body = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => {
+                    body += chunk;
+                });
+                res.on('end', () => {
+                    if (res.statusCode === 200) return resolve('ready');
+                    if (res.statusCode === 503) {
+                        try {
+                            return resolve(JSON.parse(body).status || 'down');
+                        } catch (error) {
+                            return resolve('down');
+                        }
+                    }
+                    retry();
+                });
+            });
+            req.on('timeout', () => req.destroy());
+            req.on('error', retry);
+        };
+        const retry = () => {
+            if (Date.now() >= deadline) return resolve(false);
+            setTimeout(attempt, 250);
+        };
+        attempt();
+    });
+}
+
+function printPortMap(simulators, states) {
+    const width = Math.max(...simulators.map(simulator => simulator.id.length), 'Simulator'.length);
+    const lines = [
+        `${'Simulator'.padEnd(width)}  Port   State        URL`,
+        `${'-'.repeat(width)}  -----  -----------  ---`
+    ];
+    simulators.forEach(simulator => {
+        const state = states.get(simulator.id) || 'unknown';
+        lines.push(`${simulator.id.padEnd(width)}  ${String(simulator.port || '-').padEnd(5)}  ${state.padEnd(11)}  http://localhost:${simulator.port}`);
+    });
+    console.log(`\n${lines.join('\n')}\n`);
+}
+
+/**
+ * Pipes a child's stream line by line with a padded, colored source prefix.
+ */
+function prefixLines(stream, prefix, write) {
+    let buffered = '';
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => {
+        buffered += chunk;
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        lines.forEach(line => write(`${prefix} ${line}\n`));
+    });
+    stream.on('end', () => {
+        if (buffered) write(`${prefix} ${buffered}\n`);
+    });
+}
+
+function createSupervisor(simulators, options) {
+    const width = Math.max(...simulators.map(simulator => simulator.id.length));
+    const color = process.stdout.isTTY && !process.env.NO_COLOR;
+    const children = new Map(); // id -> { process, restarts, startedAt, timer }
+    let stopping = false;
+
+    function prefixFor(simulator, index) {
+        const label = `[${simulator.id}]`.padEnd(width + 2);
+        return color ? `\u001b[${COLORS[index % COLORS.length]}m${label}\u001b[0m` : label;
+    }
+
+    function start(simulator, index) {
+        const state = children.get(simulator.id) || { restarts: 0 };
+        const child = spawn(process.execPath, [simulator.entry, ...simulator.args], {
+            cwd: simulator.dir,
+            env: { ...process.env, PORT: String(simulator.port) },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        const prefix = prefixFor(simulator, index);
+        prefixLines(child.stdout, prefix, line => process.stdout.write(line));
+        prefixLines(child.stderr, prefix, line => process.stderr.write(line));
+
+        state.process = child;
+        state.startedAt = Date.now();
+        children.set(simulator.id, state);
+
+        child.on('exit', (code, signal) => {
+            state.process = null;
+            if (stopping) return;
+
+            // A child that stayed up long enough earns a fresh backoff
+            if (Date.now() - state.startedAt >= BACKOFF.stableMs) state.restarts = 0;
+            if (state.restarts >= options.maxRestarts) {
+                console.error(`${prefix} exited (${signal || code}); giving up after ${state.restarts} restarts`);
+                return;
+            }
+            const delay = Math.min(BACKOFF.baseMs * 2 ** state.restarts, BACKOFF.maxMs);
+            state.restarts++;
+            console.error(`${prefix} exited (${signal || code}); restarting in ${delay / 1000}s (attempt ${state.restarts}/${options.maxRestarts})`);
+            state.timer = setTimeout(() => {
+                start(simulator, index);
+                waitForHealth(simulator.port, options.readyTimeout * 1000).then(ready => {
+                    if (ready) console.log(`${prefix} ready again on port ${simulator.port}`);
+                });
+            }, delay);
+        });
+        return child;
+    }
+
+    function stop() {
+        stopping = true;
+        const running = [...children.values()];
+        running.forEach(state => clearTimeout(state.timer));
+        return Promise.all(running
+            .filter(state => state.process)
+            .map(state => new Promise(resolve => {
+                const child = state.process;
+                const kill = setTimeout(() => child.kill('SIGKILL'), 5000);
+                child.once('exit', () => {
+                    clearTimeout(kill);
+                    resolve();
+                });
+                child.kill('SIGTERM');
+            })));
+    }
+
+    return {
+        start: () => simulators.forEach(start),
+        stop
+    };
+}
+
+function startInline(simulators) {
+    simulators.forEach(simulator => {
+        // Simulators read PORT when their module loads
+        process.env.PORT = String(simulator.port);
+        if (simulator.kind === 'generic') {
+            // The generic entry point is one module, so build each app directly
+            require('../shared/generic-simulator').createGenericSimulator(simulator.id).listen();
+        } else {
+            require(simulator.entry);
+        }
+    });
+    delete process.env.PORT;
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const simulators = selectSimulators(discoverSimulators(), options);
+    if (simulators.length === 0) {
+        throw new Error('No simulators selected');
+    }
+
+    const missingPort = simulators.filter(simulator => simulator.port === null);
+    if (missingPort.length > 0) {
+        throw new Error(`No default port in server.js for: ${missingPort.map(simulator => simulator.id).join(', ')}`);
+    }
+    const ports = new Map();
+    simulators.forEach(simulator => {
+        if (ports.has(simulator.port)) {
+            throw new Error(`Port ${simulator.port} is claimed by both ${ports.get(simulator.port)} and ${simulator.id}`);
+        }
+        ports.set(simulator.port, simulator.id);
+    });
+
+    if (options.list) {
+        printPortMap(simulators, new Map(simulators.map(simulator => [simulator.id, 'listed'])));
+        return;
+    }
+
+    console.log(`Starting ${simulators.length} simulator(s) in ${options.mode} mode`);
+    let supervisor = null;
+    if (options.mode === 'inline') {
+        startInline(simulators);
+    } else {
+        supervisor = createSupervisor(simulators, options);
+        supervisor.start();
+
+        ['SIGINT', 'SIGTERM'].forEach(signal => {
+            process.once(signal, async () => {
+                console.log(`${signal} received, stopping simulators`);
+                await supervisor.stop();
+                process.exit(0);
+            });
+        });
+    }
+
+    const states = new Map();
+    await Promise.all(simulators.map(async simulator => {
+        const state = await waitForHealth(simulator.port, options.readyTimeout * 1000);
+        states.set(simulator.id, state || 'failed');
+    }));
+    printPortMap(simulators, states);
+
+    const failed = simulators.filter(simulator => states.get(simulator.id) === 'failed');
+    if (failed.length > 0) {
+        console.error(`Not healthy after ${options.readyTimeout}s: ${failed.map(simulator => simulator.id).join(', ')}`);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    MODES,
+    discoverSimulators,
+    selectSimulators,
+    waitForHealth,
+    main
+};
@@ -0,0 +1,178 @@
+/**
+ * LinkedIn People Dataset OpenAPI contract
+ * Published at /openapi.json; the validators reject requests that break it
+ * with a LinkedIn-style 400 listing the offending fields.
+ */
+
+const { OPERATION_IDS, createOpenApi, objectTypeSchema } = require('../../shared/openapi');
+const { FORMAT_NAMES } = require('../../shared/formats');
+
+const STATUSES = ['queued', 'waiting', 'in_progress', 'ready', 'failed', 'timedout', 'cancelled'];
+
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const error = description => json(description, { $ref: '#/components/schemas/Error' });
+
+// Webhook payloads POSTed to webhook_url (signed with X-Simulator-Signature when the source has an auth_key)
+const webhook = (description, properties) => ({
+  post: {
+    requestBody: json(description, { type: 'object', properties: { run_id: { type: 'string' }, ...properties } }),
+    responses: { 200: { description: 'Acknowledged' } }
+  }
+});
+
+/**
+ * Contract for the simulator: { openApi, validators } with one validator per
+ * route (search, status, cancel, events, download)
+ */
+function createContract({ port, runRequest, auth, pagination, onInvalid }) {
+  const openApi = createOpenApi({
+    title: 'LinkedIn People Dataset Simulator',
+    description: 'Simulated LinkedIn People Dataset API: asynchronous people searches delivered by download or webhook.',
+    port,
+    auth,
+    error: (message, errors) => ({ error: 'Invalid request', message: errors.map(item => item.message).join('; '), errors }),
+    onInvalid,
+    schemas: {
+      Person: objectTypeSchema('person'),
+      SearchRequest: {
+        type: 'object',
+        required: ['filter'],
+        properties: {
+          ...(runRequest ? runRequest.schemaProperties() : {}),
+          filter: {
+            type: 'object',
+            required: ['filters'],
+            properties: {
+              // Filter criteria (location, skills, role, ...), possibly JSON-encoded
+              filters: { type: ['object', 'array', 'string'] }
+            }
+          },
+          max_objects: { type: 'integer', minimum: 1, maximum: 10000 },
+          webhook_url: { type: 'string', format: 'uri' },
+          run_id: { type: 'string', description: 'External run id' },
+          seed: { type: ['integer', 'string'] },
+          simulate_faults: { type: ['object', 'string'] }
+        }
+      },
+      RunAccepted: {
+        type: 'object',
+        required: ['status', 'run_id'],
+        properties: {
+          status: { type: 'string', enum: ['waiting', 'queued'] },
+          run_id: { type: 'string', format: 'uuid' },
+          estimated_duration: { type: 'number' },
+          queue_position: { type: 'integer' }
+        }
+      },
+      RunStatus: {
+        type: 'object',
+        required: ['status', 'progress', 'timestamp'],
+        properties: {
+          status: { type: 'string', enum: STATUSES },
+          progress: { type: 'integer', minimum: 0, maximum: 100 },
+          timestamp: { type: 'string', format: 'date-time' },
+          queue_position: { type: 'integer' }
+        }
+      },
+      Download: {
+        type: 'object',
+        required: ['status', 'data'],
+        properties: {
+          status: { type: 'string', enum: ['done'] },
+          data: { type: 'array', items: { $ref: '#/components/schemas/Person' } },
+          total_records: { type: 'integer' },
+          pagination: { type: 'object' },
+          generated_at: { type: 'string', format: 'date-time' },
+          metadata: { type: 'object' }
+        }
+      }
+    },
+    webhooks: {
+      'run.completed': webhook('Run completed', {
+        status: { type: 'string', enum: ['completed'] },
+        total_records: { type: 'integer' },
+        completed_at: { type: 'string', format: 'date-time' },
+        data: { type: 'array', items: { $ref: '#/components/schemas/Person' } },
+        metadata: { type: 'object' }
+      }),
+      'run.failed': webhook('Run failed or timed out', {
+        status: { type: 'string', enum: ['failed', 'timedout'] },
+        error: { type: 'string' },
+        failed_at: { type: 'string', format: 'date-time' }
+      }),
+      'run.cancelled': webhook('Run cancelled', {
+        status: { type: 'string', enum: ['cancelled'] },
+        cancelled_at: { type: 'string', format: 'date-time' }
+      })
+    }
+  });
+
+  const pageParameters = pagination
+    ? [
+      { name: pagination.params.offset, in: 'query', schema: { type: 'integer', minimum: 0 } },
+      { name: pagination.params.limit, in: 'query', schema: { type: 'integer', minimum: 1 } }
+    ]
+    : [];
+
+  const validators = {
+    search: openApi.operation('post', '/v2/people/search', {
+      operationId: OPERATION_IDS.run,
+      summary: 'Start a people search run',
+      requestSchema: { $ref: '#/components/schemas/SearchRequest' },
+      responses: {
+        200: json('Run accepted', { $ref: '#/components/schemas/RunAccepted' }),
+        429: error('Concurrency limit reached')
+      }
+    }),
+    status: openApi.operation('get', '/v2/runs/:runId/status', {
+      operationId: OPERATION_IDS.status,
+      summary: 'Run status',
+      responses: {
+        200: json('Run status', { $ref: '#/components/schemas/RunStatus' }),
+        404: error('Run not found')
+      }
+    }),
+    cancel: openApi.operation('post', '/v2/runs/:runId/cancel', {
+      operationId: OPERATION_IDS.cancel,
+      summary: 'Cancel a run',
+      responses: {
+        200: json('Run cancelled', { type: 'object', properties: { run_id: { type: 'string' }, status: { type: 'string' }, cancelled_at: { type: 'string', format: 'date-time' } } }),
+        404: error('Run not found'),
+        409: error('Run already finished')
+      }
+    }),
+    events: openApi.operation('get', '/v2/runs/:runId/events', {
+      operationId: OPERATION_IDS.events,
+      summary: 'Run status events',
+      responses: {
+        200: { description: 'Server-Sent Events: status, progress and end', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        404: error('Run not found')
+      }
+    }),
+    download: openApi.operation('get', '/v2/runs/:runId/download', {
+      operationId: OPERATION_IDS.delivery,
+      summary: 'Download run results',
+      parameters: [
+        { name: 'format', in: 'query', description: 'Download the records as a file', schema: { type: 'string', enum: FORMAT_NAMES } },
+        ...pageParameters
+      ],
+      responses: {
+        200: {
+          description: 'Run results (Accept: application/x-ndjson streams them)',
+          content: {
+            'application/json': { schema: { $ref: '#/components/schemas/Download' } },
+            'application/x-ndjson': { schema: { $ref: '#/components/schemas/Person' } }
+          }
+        },
+        404: error('Run not found'),
+        410: error('Run cancelled')
+      }
+    })
+  };
+
+  return { openApi, validators };
+}
+
+module.exports = {
+  createContract
+};
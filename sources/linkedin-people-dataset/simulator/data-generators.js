@@ -3,7 +3,7 @@
  * Generates realistic person profiles with professional information
  */
 
-const { generateObject } = require('../../shared/data-generators');
+const { generateObject, random, referenceDate } = require('../../shared/data-generators');
 const { calculateFieldCompleteness, calculateDataQualityMetrics } = require('../../shared/logging');
 
 /**
@@ -20,13 +20,11 @@ class LinkedInDataGenerator {
   }
 
   /**
-   * Generate person records based on request parameters
+   * Generate person records based on the run setup
    */
-  generatePeopleRecords(requestParams, maxObjects = 500) {
-    const startTime = Date.now();
-    
+  generatePeopleRecords(runSetup, maxObjects = 500) {
     // Parse request parameters
-    const filters = this.parseFilters(requestParams);
+    const filters = this.parseFilters(runSetup);
     const recordCount = this.calculateRecordCount(filters, maxObjects);
     
     // Generate base records
@@ -38,8 +36,6 @@ class LinkedInDataGenerator {
     // Add LinkedIn-specific enhancements
     records = this.enhanceLinkedInData(records);
     
-    const generationTime = Date.now() - startTime;
-    
     // Calculate quality metrics
     const fieldCompleteness = calculateFieldCompleteness(records, this.requiredFields);
     const dataQuality = calculateDataQualityMetrics(records, this.objectType);
@@ -48,7 +44,6 @@ class LinkedInDataGenerator {
       records,
       metadata: {
         total_records: records.length,
-        generation_time_ms: generationTime,
         field_completeness: fieldCompleteness,
         data_quality: dataQuality,
         filters_applied: filters
@@ -57,15 +52,15 @@ class LinkedInDataGenerator {
   }
 
   /**
-   * Parse request filters from run_setup
+   * Parse request filters from run_setup (the filter object, possibly JSON-encoded)
    */
-  parseFilters(requestParams) {
+  parseFilters(runSetup) {
     const filters = {};
     
-    if (requestParams.filter && requestParams.filter.filters) {
-      const filterData = typeof requestParams.filter.filters === 'string' 
-        ? JSON.parse(requestParams.filter.filters) 
-        : requestParams.filter.filters;
+    if (runSetup) {
+      const filterData = typeof runSetup === 'string' 
+        ? JSON.parse(runSetup) 
+        : runSetup;
         
       if (filterData.location) filters.location = filterData.location;
       if (filterData.experience_years) filters.experience_years = filterData.experience_years;
@@ -81,7 +76,7 @@ class LinkedInDataGenerator {
    * Calculate number of records to generate based on filters
    */
   calculateRecordCount(filters, maxObjects) {
-    let baseCount = Math.floor(Math.random() * 400) + 50; // 50-450 base records
+    let baseCount = Math.floor(random() * 400) + 50; // 50-450 base records
     
     // Adjust based on filters
     if (filters.skills && filters.skills.length > 0) {
@@ -139,7 +134,7 @@ class LinkedInDataGenerator {
   matchesLocation(record, locationFilter) {
     // For LinkedIn, we'll use a simple city-based match
     const cities = ['San Francisco', 'New York', 'Austin', 'Seattle', 'Boston', 'Chicago', 'Denver', 'Los Angeles', 'Miami', 'Portland'];
-    const recordLocation = cities[Math.floor(Math.random() * cities.length)];
+    const recordLocation = cities[Math.floor(random() * cities.length)];
     return recordLocation.toLowerCase().includes(locationFilter.toLowerCase());
   }
 
@@ -195,10 +190,10 @@ class LinkedInDataGenerator {
   enhanceLinkedInData(records) {
     return records.map(record => {
       // Add LinkedIn-specific fields
-      record.linkedin_profile_views = Math.floor(Math.random() * 1000) + 10;
-      record.connections_count = Math.floor(Math.random() * 500) + 50;
-      record.endorsements_count = Math.floor(Math.random() * 100) + 5;
-      record.recommendations_count = Math.floor(Math.random() * 20) + 1;
+      record.linkedin_profile_views = Math.floor(random() * 1000) + 10;
+      record.connections_count = Math.floor(random() * 500) + 50;
+      record.endorsements_count = Math.floor(random() * 100) + 5;
+      record.recommendations_count = Math.floor(random() * 20) + 1;
       
       // Add current company (derived from email domain)
       const emailDomain = record.email.split('@')[1];
@@ -273,8 +268,8 @@ class LinkedInDataGenerator {
    * Generate last activity date
    */
   generateLastActivityDate() {
-    const now = new Date();
-    const daysAgo = Math.floor(Math.random() * 30) + 1; // 1-30 days ago
+    const now = referenceDate();
+    const daysAgo = Math.floor(random() * 30) + 1; // 1-30 days ago
     const activityDate = new Date(now.getTime() - (daysAgo * 24 * 60 * 60 * 1000));
     return activityDate.toISOString();
   }
@@ -282,14 +277,14 @@ class LinkedInDataGenerator {
   /**
    * Generate API response based on request
    */
-  generateApiResponse(requestParams, maxObjects = 500) {
-    const { records, metadata } = this.generatePeopleRecords(requestParams, maxObjects);
+  generateApiResponse(runSetup, maxObjects = 500) {
+    const { records, metadata } = this.generatePeopleRecords(runSetup, maxObjects);
     
     return {
       status: 'done',
       data: records,
       total_records: records.length,
-      generated_at: new Date().toISOString(),
+      generated_at: referenceDate().toISOString(),
       metadata: metadata
     };
   }
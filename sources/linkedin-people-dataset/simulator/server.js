@@ -8,11 +8,21 @@ const cors = require('cors');
 const helmet = require('helmet');
 const { v4: uuidv4 } = require('uuid');
 const LinkedInDataGenerator = require('./data-generators');
-const { SimulatorLogger } = require('../../shared/logging');
+const { createContract } = require('./contract');
+const { requireApiKey } = require('../../shared/auth');
+const { TERMINAL_STATUSES } = require('../../shared/admin');
+const { createRunRequestResolver } = require('../../shared/run-request');
+const { createRunLifecycle } = require('../../shared/run-lifecycle');
+const { resolvePagination, createPaginator, setPageLinks } = require('../../shared/pagination');
+const { wantsNdjson, streamNdjson, streamEvents } = require('../../shared/streaming');
+const { FORMAT_NAMES, parseFormat, sendRecords } = require('../../shared/formats');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Simulated processing time per run (45 seconds as per plan), on the simulator clock
+const PROCESSING_TIME = 45000;
+
 // Middleware
 app.use(helmet());
 app.use(cors());
@@ -20,68 +30,122 @@ app.use(express.json());
 
 // Initialize components
 const dataGenerator = new LinkedInDataGenerator();
-const logger = new SimulatorLogger('linkedin-people-dataset');
 
-// Store for active runs
-const activeRuns = new Map();
+// run_setup, webhook URL and external run id are read from source-setup.json's
+// run_request_template paths, falling back to the provider's own fields
+const runRequest = createRunRequestResolver('linkedin-people-dataset', {
+  run_setup: ['filter', 'filters'],
+  webhook_url: ['webhook_url'],
+  run_id: ['run_id']
+});
+
+// Run store, concurrency (excess runs get a 429), metrics, recording, health,
+// faults and the run lifecycle shared with the other class-based simulators
+const lifecycle = createRunLifecycle('linkedin-people-dataset', {
+  label: 'LinkedIn People Dataset',
+  processingTime: PROCESSING_TIME,
+  timeout: 60,
+  idField: 'run_id',
+  generator: dataGenerator,
+  generate: runInfo => dataGenerator.generateApiResponse(runInfo.request_params.run_setup, runInfo.request_params.max_objects),
+  runRequest,
+  runRoute: { method: 'POST', path: '/v2/people/search' },
+  concurrency: { limit: 50, mode: 'reject' },
+  health: {
+    sourceType: 'Dataset',
+    unavailable: message => ({
+      status: 503,
+      code: 'SERVICE_UNAVAILABLE',
+      message
+    })
+  }
+});
+const { logger, sourceConfiguration, runs: activeRuns, faults } = lifecycle;
+app.use(lifecycle.middleware());
+
+// API key from configuration.auth_key (Authorization: Bearer <key>)
+app.use(requireApiKey({
+  key: sourceConfiguration.auth_key,
+  style: sourceConfiguration.auth_style || 'bearer',
+  unauthorized: message => ({
+    status: 401,
+    serviceErrorCode: 65600,
+    code: 'INVALID_ACCESS_TOKEN',
+    message
+  }),
+  onReject: (req, reason) => logger.logError(null, 'authentication', `Rejected ${req.method} ${req.path} with ${reason} API key`)
+}));
+// Recorded fixtures (SIM_RECORD_MODE=replay) are only served past the API key check
+app.use(lifecycle.replayMiddleware());
+
+// Downloads are paged LinkedIn-style: ?start=100&count=100
+const pagination = resolvePagination(sourceConfiguration, {
+  style: 'offset',
+  pageSize: 100,
+  params: { offset: 'start', limit: 'count' }
+});
+const paginator = pagination && createPaginator(pagination);
+
+// OpenAPI contract served at /openapi.json; requests are validated against it
+const { openApi, validators } = createContract({
+  port: PORT,
+  runRequest,
+  auth: sourceConfiguration.auth_key ? { style: sourceConfiguration.auth_style || 'bearer' } : null,
+  pagination,
+  onInvalid: (req, errors) => logger.logError(null, 'validation', `Rejected ${req.method} ${req.path}: ${errors.map(error => error.message).join('; ')}`)
+});
+openApi.serve(app);
+lifecycle.metrics.serve(app);
+
+/**
+ * Fault profile stored on the run addressed by the request, if any
+ */
+function lookupRunFaults(req) {
+  const runInfo = activeRuns.get(req.params.runId);
+  return runInfo ? runInfo.faults : null;
+}
 
 /**
  * Health check endpoint
  */
 app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    uptime: process.uptime(),
-    source_type: 'Dataset',
-    max_concurrent_runs: 50,
-    timeout: 60,
-    simulator_name: 'linkedin-people-dataset'
-  });
+  lifecycle.health.send(res);
 });
 
 /**
  * Run request endpoint - POST /v2/people/search
  */
-app.post('/v2/people/search', (req, res) => {
+app.post('/v2/people/search', faults.http('run'), validators.search, (req, res) => {
   const startTime = Date.now();
   const runId = uuidv4();
   
   try {
-    const { filter, max_objects = 500, webhook_url, run_id } = req.body;
+    const { max_objects = 500, seed } = req.body;
+    const { run_setup: runSetup, webhook_url, run_id } = runRequest.extract(req);
     
-    // Validate request
-    if (!filter || !filter.filters) {
-      return res.status(400).json({
-        error: 'Invalid request',
-        message: 'filter.filters is required'
-      });
-    }
-    
-    // Store run information
-    const runInfo = {
-      id: runId,
-      external_id: run_id || runId,
-      status: 'waiting',
-      created_at: new Date().toISOString(),
-      estimated_duration: 45, // 45 seconds as per plan
-      request_params: { filter, max_objects, webhook_url },
-      webhook_url: webhook_url
-    };
+    if (lifecycle.rejectOverCapacity(res)) return;
     
-    activeRuns.set(runId, runInfo);
+    // Store the run and start background processing, or queue it until a slot frees up
+    const admission = lifecycle.submitRun(req, runId, {
+      externalId: run_id,
+      webhookUrl: webhook_url,
+      requestParams: { run_setup: runSetup, max_objects, webhook_url },
+      seed
+    });
     
     // Log API call
     logger.logApiCall(runId, '/v2/people/search', 'POST', 'success', Date.now() - startTime);
     
-    // Start background processing
-    processRunAsync(runId, filter, max_objects);
-    
     // Return immediate response
-    res.json({
-      status: 'waiting',
+    const response = {
+      status: admission.queued ? 'queued' : 'waiting',
       run_id: runId,
-      estimated_duration: 45
-    });
+      estimated_duration: activeRuns.get(runId).estimated_duration
+    };
+    if (admission.queued) {
+      response.queue_position = admission.position;
+    }
+    res.json(response);
     
   } catch (error) {
     logger.logError(runId, 'request_processing', error.message);
@@ -95,7 +159,7 @@ app.post('/v2/people/search', (req, res) => {
 /**
  * Status check endpoint - GET /v2/runs/:runId/status
  */
-app.get('/v2/runs/:runId/status', (req, res) => {
+app.get('/v2/runs/:runId/status', faults.http('status', lookupRunFaults), validators.status, (req, res) => {
   const { runId } = req.params;
   const startTime = Date.now();
   
@@ -112,15 +176,7 @@ app.get('/v2/runs/:runId/status', (req, res) => {
     // Log status check
     logger.logApiCall(runId, `/v2/runs/${runId}/status`, 'GET', 'success', Date.now() - startTime);
     
-    // Calculate progress based on elapsed time
-    const elapsed = Date.now() - new Date(runInfo.created_at).getTime();
-    const progress = Math.min(Math.floor((elapsed / (runInfo.estimated_duration * 1000)) * 100), 100);
-    
-    res.json({
-      status: runInfo.status,
-      progress: progress,
-      timestamp: new Date().toISOString()
-    });
+    res.json(lifecycle.statusView(runId, runInfo));
     
   } catch (error) {
     logger.logError(runId, 'status_check', error.message);
@@ -132,10 +188,10 @@ app.get('/v2/runs/:runId/status', (req, res) => {
 });
 
 /**
- * Delivery endpoint - GET /v2/runs/:runId/download
+ * Cancel endpoint - POST /v2/runs/:runId/cancel
  */
-app.get('/v2/runs/:runId/download', (req, res) => {
-  const { runId } = req.params;
+app.post('/v2/runs/:runId/cancel', validators.cancel, (req, res) => {
+  const runId = req.params.runId;
   const startTime = Date.now();
   
   try {
@@ -148,25 +204,27 @@ app.get('/v2/runs/:runId/download', (req, res) => {
       });
     }
     
-    if (runInfo.status !== 'ready') {
-      return res.status(400).json({
-        error: 'Run not ready',
-        message: `Run ${runId} is not ready for download`
-      });
+    // Cancelling twice is a no-op; finished runs cannot be cancelled
+    if (runInfo.status !== 'cancelled') {
+      if (TERMINAL_STATUSES.includes(runInfo.status)) {
+        return res.status(409).json({
+          error: 'Run already finished',
+          message: `Run ${runId} is already ${runInfo.status}`
+        });
+      }
+      lifecycle.cancelRun(runId);
     }
     
-    // Log delivery request
-    logger.logApiCall(runId, `/v2/runs/${runId}/download`, 'GET', 'success', Date.now() - startTime, runInfo.record_count);
+    logger.logApiCall(runId, `/v2/runs/${runId}/cancel`, 'POST', 'success', Date.now() - startTime);
     
     res.json({
-      status: 'done',
-      data: runInfo.data,
-      total_records: runInfo.record_count,
-      generated_at: runInfo.completed_at
+      run_id: runId,
+      status: runInfo.status,
+      cancelled_at: runInfo.cancelled_at
     });
     
   } catch (error) {
-    logger.logError(runId, 'delivery', error.message);
+    logger.logError(runId, 'cancellation', error.message);
     res.status(500).json({
       error: 'Internal server error',
       message: error.message
@@ -175,137 +233,128 @@ app.get('/v2/runs/:runId/download', (req, res) => {
 });
 
 /**
- * Process run asynchronously
+ * Status event stream - GET /v2/runs/:runId/events (Server-Sent Events)
+ */
+app.get('/v2/runs/:runId/events', validators.events, (req, res) => {
+  const { runId } = req.params;
+  
+  if (!activeRuns.has(runId)) {
+    return res.status(404).json({
+      error: 'Run not found',
+      message: `Run ${runId} does not exist`
+    });
+  }
+  
+  logger.logApiCall(runId, `/v2/runs/${runId}/events`, 'GET', 'success', 0);
+  
+  streamEvents(req, res, {
+    snapshot: () => (activeRuns.has(runId) ? lifecycle.statusView(runId, activeRuns.get(runId)) : null),
+    final: view => TERMINAL_STATUSES.includes(view.status)
+  });
+});
+
+/**
+ * Delivery endpoint - GET /v2/runs/:runId/download
+ * (Accept: application/x-ndjson streams the records instead, starting before the run is ready;
+ * ?format=csv|ndjson|xlsx|json, optionally .gz, downloads them as a file)
  */
-async function processRunAsync(runId, filter, maxObjects) {
-  const runInfo = activeRuns.get(runId);
-  if (!runInfo) return;
+app.get('/v2/runs/:runId/download', faults.http('delivery', lookupRunFaults), validators.download, (req, res) => {
+  const { runId } = req.params;
+  const startTime = Date.now();
   
   try {
-    // Update status to in_progress
-    runInfo.status = 'in_progress';
-    runInfo.started_at = new Date().toISOString();
-    
-    logger.logStatusTransition(runId, 'waiting', 'in_progress', 0);
-    
-    // Simulate processing time (45 seconds as per plan)
-    const processingTime = 45000; // 45 seconds
-    await new Promise(resolve => setTimeout(resolve, processingTime));
-    
-    // Generate data
-    const response = dataGenerator.generateApiResponse(filter, maxObjects);
-    
-    // Update run info with results
-    runInfo.status = 'ready';
-    runInfo.data = response.data;
-    runInfo.record_count = response.total_records;
-    runInfo.completed_at = new Date().toISOString();
-    runInfo.metadata = response.metadata;
+    const runInfo = activeRuns.get(runId);
     
-    logger.logStatusTransition(runId, 'in_progress', 'ready', processingTime);
+    if (!runInfo) {
+      return res.status(404).json({
+        error: 'Run not found',
+        message: `Run ${runId} does not exist`
+      });
+    }
     
-    // Log data generation
-    logger.logDataGeneration(
-      runId, 
-      'person', 
-      response.total_records, 
-      response.metadata.field_completeness, 
-      response.metadata.data_quality
-    );
+    if (wantsNdjson(req) && !['failed', 'timedout', 'cancelled'].includes(runInfo.status)) {
+      logger.logApiCall(runId, `/v2/runs/${runId}/download`, 'GET', 'success', Date.now() - startTime);
+      return streamNdjson(req, res, {
+        poll: () => {
+          const current = activeRuns.get(runId);
+          if (!current) return { done: true, error: `Run ${runId} was deleted` };
+          return {
+            records: current.status === 'ready' ? current.data : null,
+            done: TERMINAL_STATUSES.includes(current.status),
+            error: current.status === 'ready' ? null : current.error || `Run ${runId} ${current.status}`
+          };
+        }
+      });
+    }
     
-    // Send webhook if configured
-    if (runInfo.webhook_url) {
-      sendWebhook(runId, runInfo);
+    if (runInfo.status === 'cancelled') {
+      return res.status(410).json({
+        error: 'Run cancelled',
+        message: `Run ${runId} was cancelled at ${runInfo.cancelled_at}`
+      });
     }
     
-  } catch (error) {
-    runInfo.status = 'failed';
-    runInfo.error = error.message;
-    runInfo.failed_at = new Date().toISOString();
+    if (runInfo.status !== 'ready') {
+      return res.status(400).json({
+        error: 'Run not ready',
+        message: `Run ${runId} is not ready for download`
+      });
+    }
     
-    logger.logError(runId, 'data_generation', error.message, true, false);
+    if (req.query.format !== undefined) {
+      const format = parseFormat(req.query.format);
+      if (!format) {
+        return res.status(400).json({
+          error: 'Unsupported format',
+          message: `Format '${req.query.format}' is not supported. Supported formats: ${FORMAT_NAMES.join(', ')}`
+        });
+      }
+      logger.logApiCall(runId, `/v2/runs/${runId}/download`, 'GET', 'success', Date.now() - startTime, runInfo.record_count);
+      sendRecords(res, runInfo.data, format, `linkedin-people-${runId}`);
+      return;
+    }
     
-    // Send error webhook if configured
-    if (runInfo.webhook_url) {
-      sendErrorWebhook(runId, runInfo);
+    const page = paginator ? paginator.paginate(req, runInfo.data, runId) : { data: runInfo.data };
+    if (page.error) {
+      return res.status(400).json({
+        error: 'Invalid pagination',
+        message: page.error
+      });
     }
-  }
-}
-
-/**
- * Send webhook notification
- */
-async function sendWebhook(runId, runInfo) {
-  try {
-    const webhookData = {
-      run_id: runId,
-      status: 'completed',
-      total_records: runInfo.record_count,
-      completed_at: runInfo.completed_at,
-      data: runInfo.data
-    };
     
-    // In a real implementation, this would make an HTTP request to the webhook URL
-    console.log(`Webhook sent to ${runInfo.webhook_url}:`, JSON.stringify(webhookData, null, 2));
+    // Log delivery request
+    logger.logApiCall(runId, `/v2/runs/${runId}/download`, 'GET', 'success', Date.now() - startTime, page.data.length);
     
-  } catch (error) {
-    logger.logError(runId, 'webhook_delivery', error.message);
-  }
-}
-
-/**
- * Send error webhook notification
- */
-async function sendErrorWebhook(runId, runInfo) {
-  try {
-    const webhookData = {
-      run_id: runId,
-      status: 'failed',
-      error: runInfo.error,
-      failed_at: runInfo.failed_at
+    const response = {
+      status: 'done',
+      data: page.data,
+      total_records: runInfo.record_count,
+      generated_at: runInfo.completed_at,
+      metadata: runInfo.metadata
     };
-    
-    // In a real implementation, this would make an HTTP request to the webhook URL
-    console.log(`Error webhook sent to ${runInfo.webhook_url}:`, JSON.stringify(webhookData, null, 2));
+    if (page.pagination) {
+      response.pagination = page.pagination;
+      setPageLinks(res, page);
+    }
+    res.json(response);
     
   } catch (error) {
-    logger.logError(runId, 'error_webhook_delivery', error.message);
-  }
-}
-
-/**
- * Cleanup old runs periodically
- */
-setInterval(() => {
-  const now = Date.now();
-  const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-  
-  for (const [runId, runInfo] of activeRuns.entries()) {
-    const runAge = now - new Date(runInfo.created_at).getTime();
-    if (runAge > maxAge) {
-      activeRuns.delete(runId);
-    }
+    logger.logError(runId, 'delivery', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
   }
-}, 60 * 60 * 1000); // Cleanup every hour
+});
 
 /**
- * Graceful shutdown
+ * Admin API (/admin): list, inspect, steer and purge runs
  */
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
-
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
+app.use('/admin', lifecycle.adminRouter());
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`LinkedIn People Dataset Simulator running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/api/health`);
-  console.log(`API endpoint: http://localhost:${PORT}/v2/people/search`);
-});
+lifecycle.listen(app, PORT, [
+  `API endpoint: http://localhost:${PORT}/v2/people/search`
+]);
 
 module.exports = app;
@@ -1,5 +1,4 @@
-const { faker } = require('@faker-js/faker');
-const { generateUUID } = require('../../../shared/data-generators');
+const { faker, generateUUID, referenceDate } = require('../../shared/data-generators');
 
 function generateInferenceResult(inferenceData = {}) {
     const predictionTypes = ['classification', 'regression', 'clustering', 'anomaly_detection', 'recommendation'];
@@ -51,7 +50,7 @@ function generateInferenceResult(inferenceData = {}) {
             feature_3: faker.number.float({ min: 0, max: 1, fractionDigits: 3 })
         },
         processing_time: faker.number.float({ min: 0.001, max: 2.0, fractionDigits: 4 }),
-        timestamp: new Date().toISOString(),
+        timestamp: referenceDate().toISOString(),
         metadata: {
             model_framework: faker.helpers.arrayElement(['TensorFlow', 'PyTorch', 'Scikit-learn', 'XGBoost']),
             model_size: faker.number.int({ min: 1, max: 1000 }) + 'MB',
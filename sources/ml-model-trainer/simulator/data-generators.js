@@ -1,5 +1,4 @@
-const { faker } = require('@faker-js/faker');
-const { generateUUID } = require('../../../shared/data-generators');
+const { faker, generateUUID } = require('../../shared/data-generators');
 
 function generateTrainingJob(trainingData = {}) {
     const modelTypes = ['Linear Regression', 'Random Forest', 'Neural Network', 'SVM', 'XGBoost', 'LSTM', 'Transformer', 'CNN'];
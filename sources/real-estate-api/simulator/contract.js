@@ -0,0 +1,114 @@
+/**
+ * Real Estate API OpenAPI contract
+ * Published at /openapi.json; the validators reject requests that break it
+ * with a 400 listing the offending fields. Results arrive only by webhook, so
+ * the payloads are documented under webhooks.
+ */
+
+const { OPERATION_IDS, createOpenApi, objectTypeSchema } = require('../../shared/openapi');
+
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const error = description => json(description, { $ref: '#/components/schemas/Error' });
+
+// Webhook payloads POSTed to callback_url (signed with X-Simulator-Signature when the source has an auth_key)
+const webhook = (description, properties) => ({
+  post: {
+    requestBody: json(description, { type: 'object', properties: { request_id: { type: 'string' }, ...properties } }),
+    responses: { 200: { description: 'Acknowledged' } }
+  }
+});
+
+/**
+ * Contract for the simulator: { openApi, validators } with one validator per
+ * route (search, cancel, events)
+ */
+function createContract({ port, runRequest, auth, onInvalid }) {
+  const openApi = createOpenApi({
+    title: 'Real Estate API Simulator',
+    description: 'Simulated Real Estate API: asynchronous property searches delivered by webhook.',
+    port,
+    auth,
+    error: (message, errors) => ({ error: 'Invalid request', message: errors.map(item => item.message).join('; '), errors }),
+    onInvalid,
+    schemas: {
+      Property: objectTypeSchema('property'),
+      SearchRequest: {
+        type: 'object',
+        required: ['filters'],
+        properties: {
+          ...(runRequest ? runRequest.schemaProperties() : {}),
+          // A filter object (city, state, price_range, bedrooms, ...), or the same object JSON-encoded
+          filters: { type: ['object', 'string'] },
+          max_results: { type: 'integer', minimum: 1, maximum: 10000 },
+          callback_url: { type: 'string', format: 'uri' },
+          request_id: { type: 'string', description: 'External request id' },
+          seed: { type: ['integer', 'string'] },
+          simulate_faults: { type: ['object', 'string'] }
+        }
+      },
+      RequestAccepted: {
+        type: 'object',
+        required: ['status', 'request_id'],
+        properties: {
+          status: { type: 'string', enum: ['waiting', 'queued'] },
+          request_id: { type: 'string', format: 'uuid' },
+          estimated_duration: { type: 'number' },
+          queue_position: { type: 'integer' }
+        }
+      }
+    },
+    webhooks: {
+      'run.completed': webhook('Request completed', {
+        status: { type: 'string', enum: ['completed'] },
+        total_records: { type: 'integer' },
+        completed_at: { type: 'string', format: 'date-time' },
+        data: { type: 'array', items: { $ref: '#/components/schemas/Property' } },
+        metadata: { type: 'object' }
+      }),
+      'run.failed': webhook('Request failed or timed out', {
+        status: { type: 'string', enum: ['failed', 'timedout'] },
+        error: { type: 'string' },
+        failed_at: { type: 'string', format: 'date-time' }
+      }),
+      'run.cancelled': webhook('Request cancelled', {
+        status: { type: 'string', enum: ['cancelled'] },
+        cancelled_at: { type: 'string', format: 'date-time' }
+      })
+    }
+  });
+
+  const validators = {
+    search: openApi.operation('post', '/v1/properties/search', {
+      operationId: OPERATION_IDS.run,
+      summary: 'Start a property search',
+      requestSchema: { $ref: '#/components/schemas/SearchRequest' },
+      responses: {
+        200: json('Request accepted', { $ref: '#/components/schemas/RequestAccepted' }),
+        429: error('Concurrency limit reached')
+      }
+    }),
+    cancel: openApi.operation('delete', '/v1/requests/:request_id', {
+      operationId: OPERATION_IDS.cancel,
+      summary: 'Cancel a request',
+      responses: {
+        200: json('Request cancelled', { type: 'object', properties: { request_id: { type: 'string' }, status: { type: 'string' }, cancelled_at: { type: 'string', format: 'date-time' } } }),
+        404: error('Request not found'),
+        409: error('Request already finished')
+      }
+    }),
+    events: openApi.operation('get', '/v1/requests/:request_id/events', {
+      operationId: OPERATION_IDS.events,
+      summary: 'Request status events',
+      responses: {
+        200: { description: 'Server-Sent Events: status, progress and end', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        404: error('Request not found')
+      }
+    })
+  };
+
+  return { openApi, validators };
+}
+
+module.exports = {
+  createContract
+};
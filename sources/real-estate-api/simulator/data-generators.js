@@ -3,7 +3,7 @@
  * Generates realistic property listings data
  */
 
-const { generateObject } = require('../../shared/data-generators');
+const { faker, generateObject, random, referenceDate } = require('../../shared/data-generators');
 const { calculateFieldCompleteness, calculateDataQualityMetrics } = require('../../shared/logging');
 
 /**
@@ -22,11 +22,9 @@ class RealEstateDataGenerator {
   /**
    * Generate property records based on request parameters
    */
-  generatePropertyRecords(requestParams, maxResults = 300) {
-    const startTime = Date.now();
-    
+  generatePropertyRecords(runSetup, maxResults = 300) {
     // Parse request parameters
-    const filters = this.parseFilters(requestParams);
+    const filters = this.parseFilters(runSetup);
     const recordCount = this.calculateRecordCount(filters, maxResults);
     
     // Generate base records
@@ -38,8 +36,6 @@ class RealEstateDataGenerator {
     // Add real estate specific enhancements
     records = this.enhanceRealEstateData(records);
     
-    const generationTime = Date.now() - startTime;
-    
     // Calculate quality metrics
     const fieldCompleteness = calculateFieldCompleteness(records, this.requiredFields);
     const dataQuality = calculateDataQualityMetrics(records, this.objectType);
@@ -48,7 +44,6 @@ class RealEstateDataGenerator {
       records,
       metadata: {
         total_records: records.length,
-        generation_time_ms: generationTime,
         field_completeness: fieldCompleteness,
         data_quality: dataQuality,
         filters_applied: filters
@@ -57,16 +52,20 @@ class RealEstateDataGenerator {
   }
 
   /**
-   * Parse request filters from run_setup
+   * Parse request filters from run_setup (the filter object, possibly JSON-encoded).
+   * Location fields may sit under filters.location, where source-setup.json's
+   * run_request_template puts the platform's price_range.
    */
-  parseFilters(requestParams) {
+  parseFilters(runSetup) {
     const filters = {};
-    
-    if (requestParams.filters) {
-      const filterData = typeof requestParams.filters === 'string' 
-        ? JSON.parse(requestParams.filters) 
-        : requestParams.filters;
-        
+
+    if (runSetup) {
+      const parsed = typeof runSetup === 'string'
+        ? JSON.parse(runSetup)
+        : runSetup;
+      const location = parsed.location && typeof parsed.location === 'object' ? parsed.location : {};
+      const filterData = { ...location, ...parsed };
+
       if (filterData.city) filters.city = filterData.city;
       if (filterData.state) filters.state = filterData.state;
       if (filterData.price_range) filters.price_range = filterData.price_range;
@@ -84,7 +83,7 @@ class RealEstateDataGenerator {
    * Calculate number of records to generate based on filters
    */
   calculateRecordCount(filters, maxResults) {
-    let baseCount = Math.floor(Math.random() * 250) + 50; // 50-300 base records
+    let baseCount = Math.floor(random() * 250) + 50; // 50-300 base records
     
     // Adjust based on filters
     if (filters.city) {
@@ -265,7 +264,7 @@ class RealEstateDataGenerator {
       record.virtual_tour_url = this.generateVirtualTourUrl(record);
       record.open_house_dates = this.generateOpenHouseDates();
       record.price_per_sqft = Math.round(record.price / record.square_feet);
-      record.days_on_market = Math.floor(Math.random() * 90) + 1; // 1-90 days
+      record.days_on_market = Math.floor(random() * 90) + 1; // 1-90 days
       record.price_history = this.generatePriceHistory(record);
       record.comparable_properties = this.generateComparableProperties(record);
       
@@ -279,8 +278,8 @@ class RealEstateDataGenerator {
   generateAgentName() {
     const firstNames = ['Sarah', 'Michael', 'Jennifer', 'David', 'Lisa', 'Robert', 'Maria', 'James', 'Patricia', 'John'];
     const lastNames = ['Johnson', 'Smith', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis', 'Rodriguez', 'Martinez'];
-    const firstName = firstNames[Math.floor(Math.random() * firstNames.length)];
-    const lastName = lastNames[Math.floor(Math.random() * lastNames.length)];
+    const firstName = firstNames[Math.floor(random() * firstNames.length)];
+    const lastName = lastNames[Math.floor(random() * lastNames.length)];
     return `${firstName} ${lastName}`;
   }
 
@@ -289,9 +288,9 @@ class RealEstateDataGenerator {
    */
   generateAgentPhone() {
     const areaCodes = ['212', '415', '310', '312', '617', '404', '305', '713', '214', '206'];
-    const areaCode = areaCodes[Math.floor(Math.random() * areaCodes.length)];
-    const exchange = Math.floor(Math.random() * 900) + 100;
-    const number = Math.floor(Math.random() * 9000) + 1000;
+    const areaCode = areaCodes[Math.floor(random() * areaCodes.length)];
+    const exchange = Math.floor(random() * 900) + 100;
+    const number = Math.floor(random() * 9000) + 1000;
     return `+1-${areaCode}-${exchange}-${number}`;
   }
 
@@ -301,7 +300,7 @@ class RealEstateDataGenerator {
   generateAgentEmail(agentName) {
     const [firstName, lastName] = agentName.toLowerCase().split(' ');
     const domains = ['realestate.com', 'properties.com', 'homes.com', 'realtor.com'];
-    const domain = domains[Math.floor(Math.random() * domains.length)];
+    const domain = domains[Math.floor(random() * domains.length)];
     return `${firstName}.${lastName}@${domain}`;
   }
 
@@ -309,21 +308,21 @@ class RealEstateDataGenerator {
    * Generate MLS number
    */
   generateMLSNumber() {
-    return `MLS-${Math.floor(Math.random() * 900000) + 100000}`;
+    return `MLS-${Math.floor(random() * 900000) + 100000}`;
   }
 
   /**
    * Generate year built
    */
   generateYearBuilt() {
-    return Math.floor(Math.random() * 50) + 1975; // 1975-2024
+    return Math.floor(random() * 50) + 1975; // 1975-2024
   }
 
   /**
    * Generate lot size based on square footage
    */
   generateLotSize(squareFeet) {
-    const lotSizeMultiplier = Math.random() * 3 + 1; // 1-4x the house size
+    const lotSizeMultiplier = random() * 3 + 1; // 1-4x the house size
     return Math.round(squareFeet * lotSizeMultiplier);
   }
 
@@ -360,7 +359,7 @@ class RealEstateDataGenerator {
     };
     
     const baseFee = hoaRates[propertyType] || 0;
-    return baseFee > 0 ? Math.floor(Math.random() * 200) + baseFee : 0;
+    return baseFee > 0 ? Math.floor(random() * 200) + baseFee : 0;
   }
 
   /**
@@ -368,8 +367,8 @@ class RealEstateDataGenerator {
    */
   generateUtilitiesInfo() {
     return {
-      heating: ['Gas', 'Electric', 'Heat Pump'][Math.floor(Math.random() * 3)],
-      cooling: ['Central Air', 'Window Units', 'None'][Math.floor(Math.random() * 3)],
+      heating: ['Gas', 'Electric', 'Heat Pump'][Math.floor(random() * 3)],
+      cooling: ['Central Air', 'Window Units', 'None'][Math.floor(random() * 3)],
       water: 'Public',
       sewer: 'Public',
       trash: 'Public'
@@ -406,9 +405,8 @@ class RealEstateDataGenerator {
       'Hospital', 'School', 'Public Transportation', 'Bike Path'
     ];
     
-    const numAmenities = Math.floor(Math.random() * 8) + 5; // 5-12 amenities
-    return amenities
-      .sort(() => Math.random() - 0.5)
+    const numAmenities = Math.floor(random() * 8) + 5; // 5-12 amenities
+    return faker.helpers.shuffle(amenities)
       .slice(0, numAmenities);
   }
 
@@ -437,10 +435,10 @@ class RealEstateDataGenerator {
    */
   generateMarketAnalysis(record) {
     return {
-      market_trend: ['Rising', 'Stable', 'Declining'][Math.floor(Math.random() * 3)],
+      market_trend: ['Rising', 'Stable', 'Declining'][Math.floor(random() * 3)],
       price_per_sqft: Math.round(record.price / record.square_feet),
-      market_competitiveness: ['High', 'Medium', 'Low'][Math.floor(Math.random() * 3)],
-      estimated_days_to_sell: Math.floor(Math.random() * 60) + 15, // 15-75 days
+      market_competitiveness: ['High', 'Medium', 'Low'][Math.floor(random() * 3)],
+      estimated_days_to_sell: Math.floor(random() * 60) + 15, // 15-75 days
       market_insights: this.generateMarketInsights(record)
     };
   }
@@ -460,9 +458,8 @@ class RealEstateDataGenerator {
       'Prime location near transportation hubs'
     ];
     
-    const numInsights = Math.floor(Math.random() * 3) + 2; // 2-4 insights
-    return insights
-      .sort(() => Math.random() - 0.5)
+    const numInsights = Math.floor(random() * 3) + 2; // 2-4 insights
+    return faker.helpers.shuffle(insights)
       .slice(0, numInsights);
   }
 
@@ -477,9 +474,8 @@ class RealEstateDataGenerator {
       'Pantry', 'Breakfast Nook', 'Formal Dining', 'Home Office'
     ];
     
-    const numFeatures = Math.floor(Math.random() * 10) + 5; // 5-14 features
-    return features
-      .sort(() => Math.random() - 0.5)
+    const numFeatures = Math.floor(random() * 10) + 5; // 5-14 features
+    return faker.helpers.shuffle(features)
       .slice(0, numFeatures);
   }
 
@@ -487,7 +483,7 @@ class RealEstateDataGenerator {
    * Generate photo URLs
    */
   generatePhotoUrls(record) {
-    const numPhotos = Math.floor(Math.random() * 15) + 10; // 10-24 photos
+    const numPhotos = Math.floor(random() * 15) + 10; // 10-24 photos
     const photos = [];
     
     for (let i = 0; i < numPhotos; i++) {
@@ -509,11 +505,11 @@ class RealEstateDataGenerator {
    */
   generateOpenHouseDates() {
     const dates = [];
-    const numOpenHouses = Math.floor(Math.random() * 3) + 1; // 1-3 open houses
+    const numOpenHouses = Math.floor(random() * 3) + 1; // 1-3 open houses
     
     for (let i = 0; i < numOpenHouses; i++) {
-      const now = new Date();
-      const daysFromNow = Math.floor(Math.random() * 14) + 1; // Next 1-14 days
+      const now = referenceDate();
+      const daysFromNow = Math.floor(random() * 14) + 1; // Next 1-14 days
       const openHouseDate = new Date(now.getTime() + (daysFromNow * 24 * 60 * 60 * 1000));
       
       dates.push({
@@ -532,13 +528,13 @@ class RealEstateDataGenerator {
   generatePriceHistory(record) {
     const history = [];
     const currentPrice = record.price;
-    const numChanges = Math.floor(Math.random() * 3) + 1; // 1-3 price changes
+    const numChanges = Math.floor(random() * 3) + 1; // 1-3 price changes
     
     for (let i = 0; i < numChanges; i++) {
-      const priceChange = Math.floor(Math.random() * 50000) - 25000; // ±$25k
+      const priceChange = Math.floor(random() * 50000) - 25000; // ±$25k
       const newPrice = Math.max(currentPrice + priceChange, 100000); // Minimum $100k
       
-      const changeDate = new Date();
+      const changeDate = referenceDate();
       changeDate.setDate(changeDate.getDate() - (i + 1) * 30); // 30 days apart
       
       history.push({
@@ -557,19 +553,19 @@ class RealEstateDataGenerator {
    */
   generateComparableProperties(record) {
     const comparables = [];
-    const numComparables = Math.floor(Math.random() * 3) + 2; // 2-4 comparables
+    const numComparables = Math.floor(random() * 3) + 2; // 2-4 comparables
     
     for (let i = 0; i < numComparables; i++) {
-      const priceVariation = Math.floor(Math.random() * 100000) - 50000; // ±$50k
+      const priceVariation = Math.floor(random() * 100000) - 50000; // ±$50k
       const comparablePrice = Math.max(record.price + priceVariation, 100000);
       
       comparables.push({
-        address: `${Math.floor(Math.random() * 9999) + 1} ${['Oak', 'Pine', 'Maple', 'Elm'][Math.floor(Math.random() * 4)]} St`,
+        address: `${Math.floor(random() * 9999) + 1} ${['Oak', 'Pine', 'Maple', 'Elm'][Math.floor(random() * 4)]} St`,
         price: comparablePrice,
-        bedrooms: record.bedrooms + Math.floor(Math.random() * 3) - 1, // ±1 bedroom
-        bathrooms: record.bathrooms + Math.floor(Math.random() * 2), // 0-1 more bathrooms
-        square_feet: record.square_feet + Math.floor(Math.random() * 500) - 250, // ±250 sqft
-        sold_date: new Date(Date.now() - Math.floor(Math.random() * 90) * 24 * 60 * 60 * 1000).toISOString()
+        bedrooms: record.bedrooms + Math.floor(random() * 3) - 1, // ±1 bedroom
+        bathrooms: record.bathrooms + Math.floor(random() * 2), // 0-1 more bathrooms
+        square_feet: record.square_feet + Math.floor(random() * 500) - 250, // ±250 sqft
+        sold_date: new Date(referenceDate().getTime() - Math.floor(random() * 90) * 24 * 60 * 60 * 1000).toISOString()
       });
     }
     
@@ -579,14 +575,14 @@ class RealEstateDataGenerator {
   /**
    * Generate API response based on request
    */
-  generateApiResponse(requestParams, maxResults = 300) {
-    const { records, metadata } = this.generatePropertyRecords(requestParams, maxResults);
+  generateApiResponse(runSetup, maxResults = 300) {
+    const { records, metadata } = this.generatePropertyRecords(runSetup, maxResults);
     
     return {
       status: 'done',
       data: records,
       total_records: records.length,
-      generated_at: new Date().toISOString(),
+      generated_at: referenceDate().toISOString(),
       metadata: metadata
     };
   }
@@ -8,11 +8,19 @@ const cors = require('cors');
 const helmet = require('helmet');
 const { v4: uuidv4 } = require('uuid');
 const RealEstateDataGenerator = require('./data-generators');
-const { SimulatorLogger } = require('../../shared/logging');
+const { createContract } = require('./contract');
+const { requireApiKey } = require('../../shared/auth');
+const { TERMINAL_STATUSES } = require('../../shared/admin');
+const { createRunRequestResolver } = require('../../shared/run-request');
+const { createRunLifecycle } = require('../../shared/run-lifecycle');
+const { streamEvents } = require('../../shared/streaming');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
+// Simulated processing time per run (78 seconds as per plan), on the simulator clock
+const PROCESSING_TIME = 78000;
+
 // Middleware
 app.use(helmet());
 app.use(cors());
@@ -20,69 +28,94 @@ app.use(express.json());
 
 // Initialize components
 const dataGenerator = new RealEstateDataGenerator();
-const logger = new SimulatorLogger('real-estate-api');
 
-// Store for active runs
-const activeRuns = new Map();
+// run_setup, webhook URL and external run id are read from source-setup.json's
+// run_request_template paths, falling back to the provider's own fields
+const runRequest = createRunRequestResolver('real-estate-api', {
+  run_setup: ['filters'],
+  webhook_url: ['callback_url'],
+  run_id: ['request_id']
+});
+
+// Run store, concurrency (excess runs are queued), metrics, recording, health,
+// faults and the run lifecycle shared with the other class-based simulators
+const lifecycle = createRunLifecycle('real-estate-api', {
+  label: 'Real Estate API',
+  processingTime: PROCESSING_TIME,
+  timeout: 120,
+  idField: 'request_id',
+  webhookField: 'callback_url',
+  generator: dataGenerator,
+  generate: runInfo => dataGenerator.generateApiResponse(runInfo.request_params.run_setup, runInfo.request_params.max_results),
+  runRequest,
+  runRoute: { method: 'POST', path: '/v1/properties/search' },
+  concurrency: { limit: 30 },
+  health: { sourceType: 'Integration' }
+});
+const { logger, sourceConfiguration, runs: activeRuns, faults } = lifecycle;
+app.use(lifecycle.middleware());
+
+// API key from configuration.auth_key (X-API-Key: <key>)
+app.use(requireApiKey({
+  key: sourceConfiguration.auth_key,
+  style: sourceConfiguration.auth_style || 'header',
+  onReject: (req, reason) => logger.logError(null, 'authentication', `Rejected ${req.method} ${req.path} with ${reason} API key`)
+}));
+// Recorded fixtures (SIM_RECORD_MODE=replay) are only served past the API key check
+app.use(lifecycle.replayMiddleware());
+
+// OpenAPI contract served at /openapi.json; requests are validated against it
+const { openApi, validators } = createContract({
+  port: PORT,
+  runRequest,
+  auth: sourceConfiguration.auth_key ? { style: sourceConfiguration.auth_style || 'header' } : null,
+  onInvalid: (req, errors) => logger.logError(null, 'validation', `Rejected ${req.method} ${req.path}: ${errors.map(error => error.message).join('; ')}`)
+});
+openApi.serve(app);
+lifecycle.metrics.serve(app);
 
 /**
  * Health check endpoint
  */
 app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    uptime: process.uptime(),
-    source_type: 'Integration',
-    max_concurrent_runs: 30,
-    timeout: 78,
-    simulator_name: 'real-estate-api'
-  });
+  lifecycle.health.send(res);
 });
 
 /**
  * Run request endpoint - POST /v1/properties/search
  */
-app.post('/v1/properties/search', (req, res) => {
+app.post('/v1/properties/search', faults.http('run'), validators.search, (req, res) => {
   const startTime = Date.now();
   const runId = uuidv4();
-  
+
   try {
-    const { filters, max_results = 300, callback_url, request_id } = req.body;
-    
-    // Validate request
-    if (!filters) {
-      return res.status(400).json({
-        error: 'Invalid request',
-        message: 'filters is required'
-      });
-    }
-    
-    // Store run information
-    const runInfo = {
-      id: runId,
-      external_id: request_id || runId,
-      status: 'waiting',
-      created_at: new Date().toISOString(),
-      estimated_duration: 78, // 78 seconds as per plan
-      request_params: { filters, max_results, callback_url },
-      webhook_url: callback_url
-    };
-    
-    activeRuns.set(runId, runInfo);
-    
+    const { max_results = 300, seed } = req.body;
+    const { run_setup: runSetup, webhook_url: callback_url, run_id: request_id } = runRequest.extract(req);
+
+    if (lifecycle.rejectOverCapacity(res)) return;
+
+    // Store the run and start background processing, or queue it until a slot frees up
+    const admission = lifecycle.submitRun(req, runId, {
+      externalId: request_id,
+      webhookUrl: callback_url,
+      requestParams: { run_setup: runSetup, max_results, callback_url },
+      seed
+    });
+
     // Log API call
     logger.logApiCall(runId, '/v1/properties/search', 'POST', 'success', Date.now() - startTime);
-    
-    // Start background processing
-    processRunAsync(runId, filters, max_results);
-    
+
     // Return immediate response
-    res.json({
-      status: 'waiting',
+    const response = {
+      status: admission.queued ? 'queued' : 'waiting',
       request_id: runId,
-      estimated_duration: 78
-    });
-    
+      estimated_duration: activeRuns.get(runId).estimated_duration
+    };
+    if (admission.queued) {
+      response.queue_position = admission.position;
+    }
+    res.json(response);
+
   } catch (error) {
     logger.logError(runId, 'request_processing', error.message);
     res.status(500).json({
@@ -93,145 +126,80 @@ app.post('/v1/properties/search', (req, res) => {
 });
 
 /**
- * Process run asynchronously (webhook-based, no status check endpoint)
+ * Cancel endpoint - DELETE /v1/requests/:request_id
  */
-async function processRunAsync(runId, filters, maxResults) {
-  const runInfo = activeRuns.get(runId);
-  if (!runInfo) return;
-  
+app.delete('/v1/requests/:request_id', validators.cancel, (req, res) => {
+  const runId = req.params.request_id;
+  const startTime = Date.now();
+
   try {
-    // Update status to in_progress
-    runInfo.status = 'in_progress';
-    runInfo.started_at = new Date().toISOString();
-    
-    logger.logStatusTransition(runId, 'waiting', 'in_progress', 0);
-    
-    // Simulate processing time (78 seconds as per plan)
-    const processingTime = 78000; // 78 seconds
-    await new Promise(resolve => setTimeout(resolve, processingTime));
-    
-    // Generate data
-    const response = dataGenerator.generateApiResponse(filters, maxResults);
-    
-    // Update run info with results
-    runInfo.status = 'ready';
-    runInfo.data = response.data;
-    runInfo.record_count = response.total_records;
-    runInfo.completed_at = new Date().toISOString();
-    runInfo.metadata = response.metadata;
-    
-    logger.logStatusTransition(runId, 'in_progress', 'ready', processingTime);
-    
-    // Log data generation
-    logger.logDataGeneration(
-      runId, 
-      'property', 
-      response.total_records, 
-      response.metadata.field_completeness, 
-      response.metadata.data_quality
-    );
-    
-    // Send webhook notification
-    if (runInfo.webhook_url) {
-      await sendWebhook(runId, runInfo);
+    const runInfo = activeRuns.get(runId);
+
+    if (!runInfo) {
+      return res.status(404).json({
+        error: 'Run not found',
+        message: `Run ${runId} does not exist`
+      });
     }
-    
-  } catch (error) {
-    runInfo.status = 'failed';
-    runInfo.error = error.message;
-    runInfo.failed_at = new Date().toISOString();
-    
-    logger.logError(runId, 'data_generation', error.message, true, false);
-    
-    // Send error webhook if configured
-    if (runInfo.webhook_url) {
-      await sendErrorWebhook(runId, runInfo);
+
+    // Cancelling twice is a no-op; finished runs cannot be cancelled
+    if (runInfo.status !== 'cancelled') {
+      if (TERMINAL_STATUSES.includes(runInfo.status)) {
+        return res.status(409).json({
+          error: 'Run already finished',
+          message: `Run ${runId} is already ${runInfo.status}`
+        });
+      }
+      lifecycle.cancelRun(runId);
     }
-  }
-}
 
-/**
- * Send webhook notification
- */
-async function sendWebhook(runId, runInfo) {
-  try {
-    const webhookData = {
-      request_id: runId,
-      status: 'completed',
-      total_records: runInfo.record_count,
-      completed_at: runInfo.completed_at,
-      data: runInfo.data,
-      metadata: runInfo.metadata
-    };
-    
-    // In a real implementation, this would make an HTTP request to the webhook URL
-    console.log(`Webhook sent to ${runInfo.webhook_url}:`, JSON.stringify(webhookData, null, 2));
-    
-    // Log webhook delivery
-    logger.logApiCall(runId, 'webhook_delivery', 'POST', 'success', 0, runInfo.record_count);
-    
-  } catch (error) {
-    logger.logError(runId, 'webhook_delivery', error.message);
-  }
-}
+    logger.logApiCall(runId, `/v1/requests/${runId}`, 'DELETE', 'success', Date.now() - startTime);
 
-/**
- * Send error webhook notification
- */
-async function sendErrorWebhook(runId, runInfo) {
-  try {
-    const webhookData = {
+    res.json({
       request_id: runId,
-      status: 'failed',
-      error: runInfo.error,
-      failed_at: runInfo.failed_at
-    };
-    
-    // In a real implementation, this would make an HTTP request to the webhook URL
-    console.log(`Error webhook sent to ${runInfo.webhook_url}:`, JSON.stringify(webhookData, null, 2));
-    
-    // Log error webhook delivery
-    logger.logApiCall(runId, 'error_webhook_delivery', 'POST', 'success', 0);
-    
+      status: runInfo.status,
+      cancelled_at: runInfo.cancelled_at
+    });
+
   } catch (error) {
-    logger.logError(runId, 'error_webhook_delivery', error.message);
+    logger.logError(runId, 'cancellation', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
   }
-}
+});
 
 /**
- * Cleanup old runs periodically
+ * Status event stream - GET /v1/requests/:request_id/events (Server-Sent Events)
  */
-setInterval(() => {
-  const now = Date.now();
-  const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-  
-  for (const [runId, runInfo] of activeRuns.entries()) {
-    const runAge = now - new Date(runInfo.created_at).getTime();
-    if (runAge > maxAge) {
-      activeRuns.delete(runId);
-    }
+app.get('/v1/requests/:request_id/events', validators.events, (req, res) => {
+  const runId = req.params.request_id;
+
+  if (!activeRuns.has(runId)) {
+    return res.status(404).json({
+      error: 'Run not found',
+      message: `Run ${runId} does not exist`
+    });
   }
-}, 60 * 60 * 1000); // Cleanup every hour
 
-/**
- * Graceful shutdown
- */
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
+  logger.logApiCall(runId, `/v1/requests/${runId}/events`, 'GET', 'success', 0);
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  process.exit(0);
+  streamEvents(req, res, {
+    snapshot: () => (activeRuns.has(runId) ? lifecycle.statusView(runId, activeRuns.get(runId)) : null),
+    final: view => TERMINAL_STATUSES.includes(view.status)
+  });
 });
 
+/**
+ * Admin API (/admin): list, inspect, steer and purge runs
+ */
+app.use('/admin', lifecycle.adminRouter());
+
 // Start server
-app.listen(PORT, () => {
-  console.log(`Real Estate API Simulator running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/api/health`);
-  console.log(`API endpoint: http://localhost:${PORT}/v1/properties/search`);
-  console.log(`Delivery type: Webhook (no status check endpoint)`);
-});
+lifecycle.listen(app, PORT, [
+  `API endpoint: http://localhost:${PORT}/v1/properties/search`,
+  `Delivery type: Webhook (no status check endpoint)`
+]);
 
 module.exports = app;
@@ -0,0 +1,195 @@
+/**
+ * Simulator Admin API
+ * Control endpoints mounted under /admin on every simulator. They drive the
+ * simulator itself rather than the provider API, so they are not behind the
+ * source's API key.
+ *
+ * - GET    /admin/clock                   simulator time, scale and pending timers
+ * - POST   /admin/clock/advance           { ms } or { seconds }: jump simulator
+ *                                         time forward, firing every timer that
+ *                                         falls due
+ * - GET    /admin/runs                    list runs, newest first; filters:
+ *                                         status (comma-separated),
+ *                                         external_run_id, older_than and
+ *                                         newer_than (simulator seconds), limit
+ * - GET    /admin/runs/:run_id            full run internals
+ * - POST   /admin/runs/:run_id/transition { status: ready|failed|timedout, error }
+ * - POST   /admin/runs/:run_id/faults     { fault, probability, error }: inject
+ *                                         a fault into a pending run
+ * - DELETE /admin/runs/:run_id            purge one run
+ * - DELETE /admin/runs                    purge every run matching the filters
+ * - POST   /admin/reset                   purge all runs and reset the clock
+ *
+ * The run endpoints work on any simulator through a small adapter, since the
+ * kernel and the class-based simulators shape their runs differently.
+ */
+
+const express = require('express');
+const { clock } = require('../clock');
+const { FAULT_TYPES } = require('../faults');
+
+const TERMINAL_STATUSES = ['ready', 'completed', 'failed', 'timedout', 'cancelled'];
+const FORCED_STATUSES = ['ready', 'failed', 'timedout'];
+
+function matchesFilters(summary, query) {
+    if (query.status && !String(query.status).split(',').includes(summary.status)) return false;
+    if (query.external_run_id && summary.external_run_id !== query.external_run_id) return false;
+
+    const ageSeconds = (clock.now() - new Date(summary.created_at).getTime()) / 1000;
+    if (query.older_than !== undefined && !(ageSeconds >= Number(query.older_than))) return false;
+    if (query.newer_than !== undefined && !(ageSeconds <= Number(query.newer_than))) return false;
+    return true;
+}
+
+// Express 4 does not catch rejected promises from async handlers
+function handle(fn) {
+    return (req, res, next) => Promise.resolve(fn(req, res)).catch(next);
+}
+
+/**
+ * Creates the /admin router. Without controls only the clock endpoints are
+ * mounted.
+ *
+ * controls.runs                            the simulator's run store
+ * controls.summarize(runId, run)           { run_id, external_run_id, status,
+ *                                          progress, created_at, completed_at,
+ *                                          error }
+ * controls.inspect(runId, run)             extra internals (queue position, timers)
+ * controls.complete(runId)                 generate the data and mark the run ready
+ * controls.fail(runId, status, message)    end the run as failed or timedout
+ * controls.stall(runId)                    freeze an in-progress run; false when the
+ *                                          run is not in progress
+ * controls.purge(runId)                    stop the run's timers, free its slot and
+ *                                          drop it
+ */
+function createAdminRouter(controls = null) {
+    // JSON bodies are parsed by the simulator app
+    const router = express.Router();
+
+    router.get('/clock', (req, res) => {
+        res.json(clock.state());
+    });
+
+    router.post('/clock/advance', (req, res) => {
+        const body = req.body || {};
+        const ms = body.ms !== undefined ? Number(body.ms) : Number(body.seconds) * 1000;
+        if (!Number.isFinite(ms) || ms < 0) {
+            return res.status(400).json({ error: 'Provide a non-negative ms or seconds value' });
+        }
+        res.json(clock.advance(ms));
+    });
+
+    if (!controls) return router;
+
+    const { runs } = controls;
+
+    function summaries(query) {
+        return [...runs.entries()]
+            .map(([runId, run]) => controls.summarize(runId, run))
+            .filter(summary => matchesFilters(summary, query))
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    }
+
+    // Loads the addressed run, answering 404 (and 409 for finished runs when
+    // the action needs a pending one) itself
+    function findRun(req, res, { pending = false } = {}) {
+        const runId = req.params.run_id;
+        const run = runs.get(runId);
+        if (!run) {
+            res.status(404).json({ error: `Run ${runId} not found` });
+            return null;
+        }
+        if (pending && TERMINAL_STATUSES.includes(run.status)) {
+            res.status(409).json({ error: `Run ${runId} already ${run.status}` });
+            return null;
+        }
+        return { runId, run };
+    }
+
+    router.get('/runs', (req, res) => {
+        const matches = summaries(req.query);
+        const limit = Number(req.query.limit);
+        res.json({
+            total: matches.length,
+            runs: limit > 0 ? matches.slice(0, limit) : matches
+        });
+    });
+
+    router.get('/runs/:run_id', (req, res) => {
+        const found = findRun(req, res);
+        if (!found) return;
+        const { runId, run } = found;
+        res.json({
+            ...controls.summarize(runId, run),
+            ...(controls.inspect ? controls.inspect(runId, run) : {}),
+            run
+        });
+    });
+
+    router.post('/runs/:run_id/transition', handle(async (req, res) => {
+        const { status, error } = req.body || {};
+        if (!FORCED_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${FORCED_STATUSES.join(', ')}` });
+        }
+        const found = findRun(req, res, { pending: true });
+        if (!found) return;
+        const { runId } = found;
+
+        if (status === 'ready') {
+            await controls.complete(runId);
+        } else {
+            await controls.fail(runId, status, error || `Run forced to ${status} via admin API`);
+        }
+        res.json(controls.summarize(runId, runs.get(runId)));
+    }));
+
+    router.post('/runs/:run_id/faults', handle(async (req, res) => {
+        const { fault, probability = 1, error } = req.body || {};
+        if (!FAULT_TYPES.includes(fault)) {
+            return res.status(400).json({ error: `fault must be one of ${FAULT_TYPES.join(', ')}` });
+        }
+        const found = findRun(req, res, { pending: true });
+        if (!found) return;
+        const { runId, run } = found;
+
+        // Run faults act now; the rest join the run's profile for later polls,
+        // deliveries and generation
+        if (fault === 'run_failure') {
+            await controls.fail(runId, 'failed', error || 'Injected failure via admin API');
+        } else if (fault === 'stall') {
+            if (!controls.stall(runId)) {
+                return res.status(409).json({ error: `Run ${runId} is ${run.status}; only runs in progress can stall` });
+            }
+        } else {
+            run.faults = { ...run.faults, [fault]: Math.max(0, Math.min(1, Number(probability))) };
+            runs.save(runId);
+        }
+        res.json({ ...controls.summarize(runId, runs.get(runId)), faults: runs.get(runId).faults });
+    }));
+
+    router.delete('/runs/:run_id', (req, res) => {
+        const found = findRun(req, res);
+        if (!found) return;
+        controls.purge(found.runId);
+        res.json({ purged: 1 });
+    });
+
+    router.delete('/runs', (req, res) => {
+        const matches = summaries(req.query);
+        matches.forEach(summary => controls.purge(summary.run_id));
+        res.json({ purged: matches.length });
+    });
+
+    router.post('/reset', (req, res) => {
+        const runIds = [...runs.keys()];
+        runIds.forEach(runId => controls.purge(runId));
+        res.json({ purged: runIds.length, clock: clock.reset() });
+    });
+
+    return router;
+}
+
+module.exports = {
+    TERMINAL_STATUSES,
+    createAdminRouter
+};
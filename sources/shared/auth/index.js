@@ -0,0 +1,109 @@
+/**
+ * API-Key Authentication
+ * Requires the source's configuration.auth_key on every request except the
+ * health check, the OpenAPI document, /metrics and the simulator's /admin API,
+ * in the style the provider uses:
+ *
+ * - bearer: Authorization: Bearer <key>
+ * - header: X-API-Key: <key> (header name configurable)
+ * - query:  ?api_key=<key> (parameter name configurable)
+ * - any:    any of the above (default)
+ *
+ * Sources without an auth_key are open. SIM_AUTH_DISABLED=1 turns the check
+ * off for local hacking.
+ */
+
+const crypto = require('crypto');
+
+const AUTH_STYLES = ['bearer', 'header', 'query', 'any'];
+
+const DEFAULTS = {
+    style: 'any',
+    header: 'X-API-Key',
+    queryParam: 'api_key',
+    exclude: ['/api/health', '/openapi.json', '/metrics', '/admin']
+};
+
+function isAuthDisabled() {
+    return ['1', 'true', 'yes'].includes(String(process.env.SIM_AUTH_DISABLED || '').toLowerCase());
+}
+
+// Excluded paths cover everything beneath them
+function isExcluded(path, exclude) {
+    return exclude.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+}
+
+function defaultUnauthorized(message) {
+    return { error: 'Unauthorized', message };
+}
+
+/**
+ * The credential presented in the request for the given style, or null.
+ */
+function extractCredential(req, options) {
+    const credentials = {
+        bearer: () => {
+            const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+            return match ? match[1].trim() : null;
+        },
+        header: () => req.get(options.header) || null,
+        query: () => (req.query && req.query[options.queryParam]) || null
+    };
+
+    if (options.style === 'any') {
+        return credentials.bearer() || credentials.header() || credentials.query();
+    }
+    return credentials[options.style]();
+}
+
+function keysMatch(presented, expected) {
+    const a = Buffer.from(String(presented));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Express middleware enforcing the key.
+ *
+ * options.key           expected key (configuration.auth_key); falsy disables
+ * options.style         bearer | header | query | any
+ * options.header        header name for the header style
+ * options.queryParam    parameter name for the query style
+ * options.unauthorized  (message, reason) => provider-style 401 body
+ * options.onReject      (req, reason) => void, for logging
+ */
+function requireApiKey(options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const unauthorized = settings.unauthorized || defaultUnauthorized;
+
+    if (!AUTH_STYLES.includes(settings.style)) {
+        throw new Error(`Unknown auth style '${settings.style}'`);
+    }
+
+    return (req, res, next) => {
+        if (!settings.key || isAuthDisabled() || isExcluded(req.path, settings.exclude)) {
+            return next();
+        }
+
+        const presented = extractCredential(req, settings);
+        if (presented && keysMatch(presented, settings.key)) {
+            return next();
+        }
+
+        const reason = presented ? 'invalid' : 'missing';
+        const message = presented ? 'Invalid API key' : 'Missing API key';
+        if (settings.onReject) settings.onReject(req, reason);
+        if (settings.style === 'bearer') {
+            res.set('WWW-Authenticate', 'Bearer');
+        }
+        res.status(401).json(unauthorized(message, reason));
+    };
+}
+
+module.exports = {
+    AUTH_STYLES,
+    AUTH_DEFAULTS: DEFAULTS,
+    isAuthDisabled,
+    extractCredential,
+    requireApiKey
+};
@@ -0,0 +1,161 @@
+/**
+ * Virtual Clock
+ * Simulator time that runs SIM_TIME_SCALE times faster than real time and can
+ * be advanced by hand. Run lifecycles schedule through this clock instead of
+ * the global timers, so a 45 s provider run takes 0.75 s at SIM_TIME_SCALE=60
+ * (or no time at all after an advance) while relative timing stays intact.
+ *
+ * Durations passed to setTimeout/setInterval are in simulator milliseconds.
+ * Durations reported to clients (estimated_duration, Retry-After) go through
+ * toRealSeconds so they match how long the client actually waits.
+ */
+
+function parseScale(value) {
+    const scale = Number(value);
+    return Number.isFinite(scale) && scale > 0 ? scale : 1;
+}
+
+function createClock(options = {}) {
+    const scale = parseScale(options.scale !== undefined ? options.scale : process.env.SIM_TIME_SCALE);
+    let realStart = Date.now();
+    const timers = new Map();
+    let offset = 0; // Simulator ms added by advance()
+    let pinned = null; // Simulator time while advance() fires a timer
+    let nextId = 1;
+
+    function now() {
+        if (pinned !== null) return pinned;
+        return realStart + (Date.now() - realStart) * scale + offset;
+    }
+
+    function schedule(timer) {
+        const delay = Math.max(0, (timer.deadline - now()) / scale);
+        timer.handle = global.setTimeout(() => fire(timer), delay);
+    }
+
+    function fire(timer) {
+        if (!timers.has(timer.id)) return;
+        if (timer.period === null) {
+            timers.delete(timer.id);
+        } else {
+            timer.deadline += timer.period;
+            schedule(timer);
+        }
+        timer.callback();
+    }
+
+    function add(callback, ms, period) {
+        const timer = {
+            id: nextId++,
+            callback,
+            deadline: now() + Math.max(0, Number(ms) || 0),
+            period,
+            handle: null
+        };
+        timers.set(timer.id, timer);
+        schedule(timer);
+        return timer;
+    }
+
+    function cancel(timer) {
+        if (!timer || !timers.has(timer.id)) return;
+        global.clearTimeout(timer.handle);
+        timers.delete(timer.id);
+    }
+
+    function nextDue(target) {
+        let due = null;
+        for (const timer of timers.values()) {
+            if (timer.deadline <= target && (!due || timer.deadline < due.deadline)) {
+                due = timer;
+            }
+        }
+        return due;
+    }
+
+    /**
+     * Moves simulator time forward by ms, firing every timer that falls due
+     * in deadline order (intervals once per elapsed period), each with the
+     * clock pinned to its deadline.
+     */
+    function advance(ms) {
+        const target = now() + Math.max(0, Number(ms) || 0);
+        let fired = 0;
+        let due;
+        while ((due = nextDue(target))) {
+            global.clearTimeout(due.handle);
+            pinned = due.deadline;
+            try {
+                fire(due);
+            } finally {
+                pinned = null;
+            }
+            fired++;
+        }
+        offset += target - now();
+        timers.forEach(timer => {
+            global.clearTimeout(timer.handle);
+            schedule(timer);
+        });
+        return { advanced_ms: Number(ms) || 0, timers_fired: fired, ...state() };
+    }
+
+    /**
+     * Moves simulator time up to a previously observed value (a restored run
+     * store's snapshot) so it never runs backwards across a restart.
+     */
+    function resumeFrom(time) {
+        const behind = Number(time) - now();
+        if (behind > 0) offset += behind;
+    }
+
+    /**
+     * Puts simulator time back on real time (undoing advances and any lead
+     * built up by the scale); pending timers keep their remaining durations.
+     */
+    function reset() {
+        const remaining = new Map([...timers.values()].map(timer => [timer, timer.deadline - now()]));
+        realStart = Date.now();
+        offset = 0;
+        remaining.forEach((ms, timer) => {
+            timer.deadline = now() + ms;
+            global.clearTimeout(timer.handle);
+            schedule(timer);
+        });
+        return state();
+    }
+
+    function state() {
+        return {
+            now: new Date(now()).toISOString(),
+            scale,
+            offset_ms: offset,
+            pending_timers: timers.size
+        };
+    }
+
+    return {
+        scale,
+        now,
+        date: () => new Date(now()),
+        setTimeout: (callback, ms) => add(callback, ms, null),
+        setInterval: (callback, ms) => add(callback, ms, Math.max(1, Number(ms) || 0)),
+        clearTimeout: cancel,
+        clearInterval: cancel,
+        isPending: timer => Boolean(timer) && timers.has(timer.id),
+        sleep: ms => new Promise(resolve => add(resolve, ms, null)),
+        toRealSeconds: seconds => Math.round((seconds / scale) * 1000) / 1000,
+        advance,
+        resumeFrom,
+        reset,
+        state
+    };
+}
+
+// One clock per simulator process
+const clock = createClock();
+
+module.exports = {
+    clock,
+    createClock
+};
@@ -0,0 +1,113 @@
+const { createClock } = require('./index');
+
+describe('createClock', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00.000Z') });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('runs scale times faster than real time', () => {
+        const clock = createClock({ scale: 60 });
+        const start = clock.now();
+        jest.advanceTimersByTime(1000);
+        expect(clock.now() - start).toBe(60000);
+        expect(clock.toRealSeconds(45)).toBe(0.75);
+    });
+
+    test('falls back to real time for an invalid scale', () => {
+        expect(createClock({ scale: 'fast' }).scale).toBe(1);
+        expect(createClock({ scale: -2 }).scale).toBe(1);
+    });
+
+    test('fires simulator timers after their real-time share of the delay', () => {
+        const clock = createClock({ scale: 10 });
+        const callback = jest.fn();
+        clock.setTimeout(callback, 5000);
+
+        jest.advanceTimersByTime(499);
+        expect(callback).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(1);
+        expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('advance fires due timers in deadline order with the clock pinned to each deadline', () => {
+        const clock = createClock({ scale: 1 });
+        const start = clock.now();
+        const fired = [];
+        clock.setTimeout(() => fired.push(['late', clock.now() - start]), 3000);
+        clock.setTimeout(() => fired.push(['early', clock.now() - start]), 1000);
+        clock.setTimeout(() => fired.push(['later', clock.now() - start]), 9000);
+
+        const result = clock.advance(5000);
+        expect(fired).toEqual([['early', 1000], ['late', 3000]]);
+        expect(result).toMatchObject({ advanced_ms: 5000, timers_fired: 2, pending_timers: 1 });
+        expect(clock.now() - start).toBe(5000);
+    });
+
+    test('advance fires an interval once per elapsed period', () => {
+        const clock = createClock({ scale: 1 });
+        const tick = jest.fn();
+        clock.setInterval(tick, 1000);
+
+        clock.advance(3500);
+        expect(tick).toHaveBeenCalledTimes(3);
+        expect(clock.state().pending_timers).toBe(1);
+    });
+
+    test('timers scheduled by a firing timer run in the same advance when due', () => {
+        const clock = createClock({ scale: 1 });
+        const second = jest.fn();
+        clock.setTimeout(() => clock.setTimeout(second, 1000), 1000);
+
+        clock.advance(2000);
+        expect(second).toHaveBeenCalledTimes(1);
+    });
+
+    test('cleared timers never fire', () => {
+        const clock = createClock({ scale: 1 });
+        const callback = jest.fn();
+        const timer = clock.setTimeout(callback, 1000);
+        expect(clock.isPending(timer)).toBe(true);
+
+        clock.clearTimeout(timer);
+        clock.advance(2000);
+        jest.advanceTimersByTime(2000);
+        expect(callback).not.toHaveBeenCalled();
+        expect(clock.isPending(timer)).toBe(false);
+    });
+
+    test('sleep resolves once simulator time has passed', async () => {
+        const clock = createClock({ scale: 1 });
+        const resolved = jest.fn();
+        clock.sleep(1000).then(resolved);
+
+        clock.advance(1000);
+        await Promise.resolve();
+        expect(resolved).toHaveBeenCalled();
+    });
+
+    test('resumeFrom only moves time forward', () => {
+        const clock = createClock({ scale: 1 });
+        const start = clock.now();
+        clock.resumeFrom(start - 5000);
+        expect(clock.now()).toBe(start);
+        clock.resumeFrom(start + 5000);
+        expect(clock.now()).toBe(start + 5000);
+    });
+
+    test('reset returns to real time and keeps the remaining durations of pending timers', () => {
+        const clock = createClock({ scale: 1 });
+        const callback = jest.fn();
+        clock.advance(60000);
+        clock.setTimeout(callback, 2000);
+
+        expect(clock.reset()).toMatchObject({ now: '2024-01-01T00:00:00.000Z', offset_ms: 0, pending_timers: 1 });
+        jest.advanceTimersByTime(1999);
+        expect(callback).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(1);
+        expect(callback).toHaveBeenCalledTimes(1);
+    });
+});
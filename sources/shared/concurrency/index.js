@@ -0,0 +1,99 @@
+/**
+ * Run Concurrency
+ * Enforces a source's max_concurrent_runs. A run holds a slot from acceptance
+ * until it reaches a terminal status. When every slot is taken, new runs are
+ * either rejected (429 with Retry-After) or queued in arrival order and
+ * started as slots free up.
+ */
+
+const { clock } = require('../clock');
+
+const MODES = ['queue', 'reject'];
+
+/**
+ * The limit and overflow mode for a source: configuration.max_concurrent_runs
+ * and configuration.concurrency_mode from the source detail file win over the
+ * simulator's own values; SIM_CONCURRENCY_MODE overrides the mode everywhere.
+ * retryAfter is given in simulator seconds and returned in real seconds.
+ */
+function resolveConcurrency(sourceConfiguration = {}, fallback = {}) {
+    const mode = process.env.SIM_CONCURRENCY_MODE || sourceConfiguration.concurrency_mode || fallback.mode || 'queue';
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown concurrency mode '${mode}'`);
+    }
+    return {
+        limit: sourceConfiguration.max_concurrent_runs || fallback.limit || Infinity,
+        mode,
+        retryAfter: Math.max(1, Math.ceil(clock.toRealSeconds(fallback.retryAfter || 30)))
+    };
+}
+
+function createRunLimiter({ limit, mode, retryAfter }) {
+    const active = new Set();
+    const queue = [];
+
+    function drain() {
+        while (active.size < limit && queue.length > 0) {
+            const next = queue.shift();
+            active.add(next.runId);
+            next.start();
+        }
+    }
+
+    return {
+        limit,
+        mode,
+        retryAfter,
+
+        // True when a new run would be turned away with a 429
+        shouldReject() {
+            return mode === 'reject' && active.size >= limit;
+        },
+
+        /**
+         * Starts the run now if a slot is free, otherwise queues it. Returns
+         * { queued, position }.
+         */
+        admit(runId, start) {
+            if (active.size < limit) {
+                active.add(runId);
+                start();
+                return { queued: false, position: null };
+            }
+            queue.push({ runId, start });
+            return { queued: true, position: queue.length };
+        },
+
+        /**
+         * Frees the run's slot (or drops it from the queue) and starts the
+         * next queued run. Safe to call more than once.
+         */
+        release(runId) {
+            active.delete(runId);
+            const index = queue.findIndex(entry => entry.runId === runId);
+            if (index !== -1) queue.splice(index, 1);
+            drain();
+        },
+
+        // 1-based queue position, or null when the run is not queued
+        position(runId) {
+            const index = queue.findIndex(entry => entry.runId === runId);
+            return index === -1 ? null : index + 1;
+        },
+
+        stats() {
+            return {
+                limit: Number.isFinite(limit) ? limit : null,
+                mode,
+                active: active.size,
+                queued: queue.length
+            };
+        }
+    };
+}
+
+module.exports = {
+    MODES,
+    resolveConcurrency,
+    createRunLimiter
+};
@@ -0,0 +1,82 @@
+const { resolveConcurrency, createRunLimiter } = require('./index');
+
+describe('resolveConcurrency', () => {
+    afterEach(() => {
+        delete process.env.SIM_CONCURRENCY_MODE;
+    });
+
+    test('lets the source configuration win over the simulator defaults', () => {
+        expect(resolveConcurrency({ max_concurrent_runs: 3, concurrency_mode: 'reject' }, { limit: 10, mode: 'queue' }))
+            .toEqual({ limit: 3, mode: 'reject', retryAfter: 30 });
+    });
+
+    test('is unlimited and queueing without any settings', () => {
+        expect(resolveConcurrency()).toMatchObject({ limit: Infinity, mode: 'queue' });
+    });
+
+    test('lets SIM_CONCURRENCY_MODE override the mode', () => {
+        process.env.SIM_CONCURRENCY_MODE = 'reject';
+        expect(resolveConcurrency({ concurrency_mode: 'queue' }).mode).toBe('reject');
+    });
+
+    test('rejects unknown modes', () => {
+        expect(() => resolveConcurrency({ concurrency_mode: 'drop' })).toThrow("Unknown concurrency mode 'drop'");
+    });
+});
+
+describe('createRunLimiter', () => {
+    test('starts runs while slots are free and queues the rest in arrival order', () => {
+        const limiter = createRunLimiter({ limit: 2, mode: 'queue', retryAfter: 30 });
+        const started = [];
+        const start = runId => () => started.push(runId);
+
+        expect(limiter.admit('a', start('a'))).toEqual({ queued: false, position: null });
+        expect(limiter.admit('b', start('b'))).toEqual({ queued: false, position: null });
+        expect(limiter.admit('c', start('c'))).toEqual({ queued: true, position: 1 });
+        expect(limiter.admit('d', start('d'))).toEqual({ queued: true, position: 2 });
+        expect(started).toEqual(['a', 'b']);
+        expect(limiter.stats()).toEqual({ limit: 2, mode: 'queue', active: 2, queued: 2 });
+
+        limiter.release('a');
+        expect(started).toEqual(['a', 'b', 'c']);
+        expect(limiter.position('c')).toBeNull();
+        expect(limiter.position('d')).toBe(1);
+    });
+
+    test('moves later runs up when a queued run is released', () => {
+        const limiter = createRunLimiter({ limit: 1, mode: 'queue', retryAfter: 30 });
+        ['a', 'b', 'c', 'd'].forEach(runId => limiter.admit(runId, () => {}));
+
+        limiter.release('b');
+        expect(limiter.position('c')).toBe(1);
+        expect(limiter.position('d')).toBe(2);
+        expect(limiter.stats().active).toBe(1);
+    });
+
+    test('treats a second release as a no-op', () => {
+        const limiter = createRunLimiter({ limit: 1, mode: 'queue', retryAfter: 30 });
+        const started = jest.fn();
+        limiter.admit('a', () => {});
+        limiter.admit('b', started);
+
+        limiter.release('a');
+        limiter.release('a');
+        expect(started).toHaveBeenCalledTimes(1);
+        expect(limiter.stats()).toMatchObject({ active: 1, queued: 0 });
+    });
+
+    test('only rejects in reject mode once every slot is taken', () => {
+        const rejecting = createRunLimiter({ limit: 1, mode: 'reject', retryAfter: 30 });
+        expect(rejecting.shouldReject()).toBe(false);
+        rejecting.admit('a', () => {});
+        expect(rejecting.shouldReject()).toBe(true);
+
+        const queueing = createRunLimiter({ limit: 1, mode: 'queue', retryAfter: 30 });
+        queueing.admit('a', () => {});
+        expect(queueing.shouldReject()).toBe(false);
+    });
+
+    test('reports an unlimited limit as null', () => {
+        expect(createRunLimiter({ limit: Infinity, mode: 'queue', retryAfter: 30 }).stats().limit).toBeNull();
+    });
+});
@@ -0,0 +1,206 @@
+/**
+ * Typed field generators used by generateObject. Each generator receives the
+ * field spec, the record built so far and a per-record context, so related
+ * fields (email from name, state from city) stay consistent within a record.
+ */
+
+const { faker } = require('@faker-js/faker');
+const { referenceDate } = require('./random');
+
+const LOCATIONS = [
+    { city: 'San Francisco', state: 'CA', zip: '941', area_code: '415' },
+    { city: 'Los Angeles', state: 'CA', zip: '900', area_code: '310' },
+    { city: 'New York', state: 'NY', zip: '100', area_code: '212' },
+    { city: 'Chicago', state: 'IL', zip: '606', area_code: '312' },
+    { city: 'Boston', state: 'MA', zip: '021', area_code: '617' },
+    { city: 'Austin', state: 'TX', zip: '787', area_code: '512' },
+    { city: 'Seattle', state: 'WA', zip: '981', area_code: '206' },
+    { city: 'Denver', state: 'CO', zip: '802', area_code: '303' },
+    { city: 'Miami', state: 'FL', zip: '331', area_code: '305' },
+    { city: 'Portland', state: 'OR', zip: '972', area_code: '503' },
+    { city: 'Atlanta', state: 'GA', zip: '303', area_code: '404' },
+    { city: 'Houston', state: 'TX', zip: '770', area_code: '713' },
+    { city: 'Dallas', state: 'TX', zip: '752', area_code: '214' }
+];
+
+const EMAIL_DOMAINS = ['gmail.com', 'yahoo.com', 'outlook.com', 'company.com', 'techcorp.com'];
+
+function slugify(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function roundTo(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+function locationFor(context) {
+    if (!context.location) {
+        context.location = faker.helpers.arrayElement(LOCATIONS);
+    }
+    return context.location;
+}
+
+const FIELD_GENERATORS = {
+    uuid() {
+        return faker.string.uuid();
+    },
+
+    code(spec) {
+        const body = spec.charset === 'numeric'
+            ? faker.string.numeric(spec.length || 6)
+            : faker.string.alphanumeric({ length: spec.length || 8, casing: 'upper' });
+        return `${spec.prefix || ''}${body}`;
+    },
+
+    name(spec) {
+        switch (spec.kind) {
+            case 'person':
+                return `${faker.person.firstName()} ${faker.person.lastName()}`;
+            case 'company':
+                return faker.company.name();
+            case 'product':
+                return faker.commerce.productName();
+            default:
+                return faker.helpers.arrayElement([faker.company.catchPhrase(), faker.lorem.words(3)]);
+        }
+    },
+
+    email(spec, record) {
+        if (record.name && spec.fromName !== false) {
+            const parts = slugify(record.name).split('-').filter(Boolean);
+            const local = parts.length > 1 ? `${parts[0]}.${parts[parts.length - 1]}` : parts[0];
+            if (local) {
+                return `${local}@${faker.helpers.arrayElement(spec.domains || EMAIL_DOMAINS)}`;
+            }
+        }
+        return faker.internet.email().toLowerCase();
+    },
+
+    phone(spec, record, context) {
+        const areaCode = locationFor(context).area_code;
+        return `+1-${areaCode}-${faker.string.numeric(3)}-${faker.string.numeric(4)}`;
+    },
+
+    url(spec, record) {
+        const slug = slugify(record.name || record.title || faker.internet.domainWord());
+        switch (spec.kind) {
+            case 'linkedin':
+                return `https://linkedin.com/in/${slug}`;
+            case 'photo':
+                return `https://images.example.com/${slug}/${faker.string.alphanumeric(8)}.jpg`;
+            case 'page':
+                return `https://${faker.internet.domainName()}/${slug}`;
+            default:
+                return `https://www.${slug.replace(/-/g, '')}.${faker.helpers.arrayElement(['com', 'io', 'dev', 'co'])}`;
+        }
+    },
+
+    money(spec) {
+        if (spec.decimals) {
+            return FIELD_GENERATORS.float({ min: spec.min || 0, max: spec.max || 100000, decimals: spec.decimals });
+        }
+        return faker.number.int({ min: spec.min || 0, max: spec.max || 100000 });
+    },
+
+    integer(spec) {
+        return faker.number.int({ min: spec.min || 0, max: spec.max || 1000 });
+    },
+
+    float(spec) {
+        const min = spec.min || 0;
+        const max = spec.max === undefined ? 1 : spec.max;
+        return roundTo(min + faker.number.int({ min: 0, max: 1000000 }) / 1000000 * (max - min), spec.decimals === undefined ? 2 : spec.decimals);
+    },
+
+    year(spec) {
+        return faker.number.int({ min: spec.min || 1980, max: spec.max || referenceDate().getFullYear() });
+    },
+
+    boolean(spec) {
+        return faker.datatype.boolean({ probability: spec.probability === undefined ? 0.5 : spec.probability });
+    },
+
+    enum(spec) {
+        return faker.helpers.arrayElement(spec.values);
+    },
+
+    list(spec) {
+        const max = Math.min(spec.max || 5, spec.values.length);
+        return faker.helpers.arrayElements(spec.values, { min: Math.min(spec.min || 1, max), max });
+    },
+
+    date(spec) {
+        let date;
+        if (spec.future) {
+            date = faker.date.soon({ days: spec.future });
+        } else {
+            date = faker.date.recent({ days: spec.past || 365 });
+        }
+        return spec.format === 'date' ? date.toISOString().split('T')[0] : date.toISOString();
+    },
+
+    text(spec) {
+        return faker.lorem.sentences(spec.sentences || 2);
+    },
+
+    words(spec) {
+        return faker.lorem.words(spec.count || 2);
+    },
+
+    street() {
+        return faker.location.streetAddress();
+    },
+
+    city(spec, record, context) {
+        return locationFor(context).city;
+    },
+
+    state(spec, record, context) {
+        return locationFor(context).state;
+    },
+
+    zip_code(spec, record, context) {
+        return `${locationFor(context).zip}${faker.string.numeric(2)}`;
+    },
+
+    country() {
+        return 'USA';
+    },
+
+    location(spec, record, context) {
+        const location = locationFor(context);
+        return `${location.city}, ${location.state}`;
+    },
+
+    address(spec, record, context) {
+        return {
+            street: record.street || faker.location.streetAddress(),
+            city: locationFor(context).city,
+            state: locationFor(context).state,
+            zip_code: record.zip_code || FIELD_GENERATORS.zip_code(spec, record, context),
+            country: 'USA'
+        };
+    },
+
+    object(spec, record, context) {
+        const nested = {};
+        Object.keys(spec.fields).forEach(key => {
+            nested[key] = generateField(spec.fields[key], nested, context);
+        });
+        return nested;
+    }
+};
+
+function generateField(spec, record, context) {
+    const generator = FIELD_GENERATORS[spec.type];
+    if (!generator) {
+        throw new Error(`Unknown field type '${spec.type}'`);
+    }
+    return generator(spec, record, context);
+}
+
+module.exports = {
+    FIELD_GENERATORS,
+    generateField
+};
@@ -0,0 +1,213 @@
+/**
+ * Field specs for generateObject. Datapoint keys are mapped to typed field
+ * generators by KEY_RULES; OBJECT_FIELD_OVERRIDES pins value pools and ranges
+ * per object type, and OBJECT_EXTRA_FIELDS adds fields the simulators rely on
+ * that are not (yet) declared in datapoints.json.
+ */
+
+// Ordered: the first rule whose key (and optional description) pattern matches wins
+const KEY_RULES = [
+    { key: /(^|_)id$/, spec: { type: 'uuid' } },
+    { key: /email/, spec: { type: 'email' } },
+    { key: /phone/, spec: { type: 'phone' } },
+    { key: /^linkedin$/, spec: { type: 'url', kind: 'linkedin' } },
+    { key: /photo_url$/, spec: { type: 'url', kind: 'photo' } },
+    { key: /(registration_url|_url)$/, spec: { type: 'url', kind: 'page' } },
+    { key: /website$/, spec: { type: 'url' } },
+    { key: /(_date|deadline|_at)$/, spec: { type: 'date' } },
+    { key: /(^year|_year|year_built)$/, spec: { type: 'year' } },
+    { key: /rating$/, spec: { type: 'float', min: 1, max: 5, decimals: 1 } },
+    { key: /(_rate|percentage)$/, spec: { type: 'float', min: 0, max: 100, decimals: 2 } },
+    { key: /(price|salary|revenue|funding|cost|fee|tax)$/, spec: { type: 'money', min: 100, max: 100000 } },
+    { key: /(count|capacity|years|spaces|size)$/, spec: { type: 'integer', min: 1, max: 1000 } },
+    { description: /^(has|whether)\b/i, spec: { type: 'boolean' } },
+    { key: /(description|content|bio)$/, spec: { type: 'text', sentences: 3 } },
+    { key: /^(address|headquarters)$/, spec: { type: 'address' } },
+    { key: /^location$/, spec: { type: 'location' } },
+    { key: /^(street|city|state|country|zip_code)$/, spec: null }, // Resolved to the generator of the same name
+    { key: /^(name|author|organizer|ceo)$/, spec: { type: 'name', kind: 'person' } },
+    { key: /^title$/, spec: { type: 'name' } }
+];
+
+const DEFAULT_SPEC = { type: 'words', count: 2 };
+
+const SKILLS = [
+    'JavaScript', 'TypeScript', 'React', 'Node.js', 'Python', 'Java', 'Go', 'SQL', 'AWS',
+    'Kubernetes', 'Machine Learning', 'Data Analysis', 'Product Strategy', 'Agile',
+    'User Research', 'Figma', 'Salesforce', 'Negotiation', 'Financial Modeling', 'Leadership'
+];
+
+const TECHNOLOGIES = [
+    'React', 'Vue.js', 'Angular', 'Node.js', 'Python', 'Go', 'Rust', 'Java', 'Ruby on Rails',
+    'Docker', 'Kubernetes', 'AWS', 'GCP', 'Azure', 'MongoDB', 'PostgreSQL', 'TensorFlow', 'PyTorch'
+];
+
+const TAGS = ['featured', 'new', 'trending', 'internal', 'archived', 'priority', 'review', 'public'];
+
+const OBJECT_FIELD_OVERRIDES = {
+    company: {
+        name: { type: 'name', kind: 'company' },
+        industry: { type: 'enum', values: ['Technology', 'Healthcare', 'Finance', 'Manufacturing', 'Retail', 'Education', 'SaaS', 'Fintech', 'Edtech', 'Enterprise Software'] },
+        employee_count: { type: 'integer', min: 5, max: 20000 },
+        founded_year: { type: 'year', min: 1980, max: 2024 },
+        revenue: { type: 'money', min: 100000, max: 2000000000 },
+        funding: { type: 'money', min: 0, max: 500000000 },
+        currency: { type: 'enum', values: ['USD', 'EUR', 'GBP'] },
+        technologies: { type: 'list', values: TECHNOLOGIES, min: 2, max: 6 },
+        status: { type: 'enum', values: ['active', 'public', 'private', 'acquired'] }
+    },
+    person: {
+        role: { type: 'enum', values: ['Software Engineer', 'Senior Developer', 'Full Stack Developer', 'Product Manager', 'Data Scientist', 'Designer', 'Sales Manager', 'Marketing Specialist', 'Financial Analyst', 'Engineering Manager'] },
+        department: { type: 'enum', values: ['Engineering', 'Product', 'Sales', 'Marketing', 'Finance', 'Operations', 'Design', 'Data Science', 'Human Resources'] },
+        salary: { type: 'money', min: 50000, max: 200000 },
+        hourly_rate: { type: 'money', min: 25, max: 125 },
+        skills: { type: 'list', values: SKILLS, min: 2, max: 6 },
+        website: { type: 'url' },
+        experience_years: { type: 'integer', min: 1, max: 25 },
+        education: { type: 'enum', values: ['Computer Science, Stanford University', 'Business Administration, Harvard University', 'Electrical Engineering, MIT', 'Statistics, UC Berkeley', 'Design, Rhode Island School of Design', 'Economics, University of Chicago', 'Mathematics, Carnegie Mellon University'] },
+        specialization: { type: 'enum', values: ['Frontend', 'Backend', 'Cloud Infrastructure', 'Machine Learning', 'Growth', 'Enterprise Sales', 'Brand Marketing', 'Corporate Finance', 'UX Research'] }
+    },
+    property: {
+        price: { type: 'money', min: 150000, max: 3500000 },
+        bedrooms: { type: 'integer', min: 1, max: 6 },
+        bathrooms: { type: 'integer', min: 1, max: 5 },
+        square_feet: { type: 'integer', min: 500, max: 6000 },
+        property_type: { type: 'enum', values: ['Single Family', 'Condo', 'Townhouse', 'Multi-family'] },
+        year_built: { type: 'year', min: 1950, max: 2024 },
+        lot_size: { type: 'integer', min: 1000, max: 20000 },
+        garage: { type: 'integer', min: 0, max: 3 },
+        pool: { type: 'boolean', probability: 0.2 },
+        hoa_fee: { type: 'money', min: 0, max: 800 },
+        property_tax: { type: 'money', min: 1500, max: 40000 }
+    },
+    vehicle: {
+        vin: { type: 'code', length: 17 },
+        make: { type: 'enum', values: ['Toyota', 'Honda', 'Ford', 'Chevrolet', 'BMW', 'Mercedes-Benz', 'Audi', 'Nissan', 'Hyundai', 'Tesla'] },
+        model: { type: 'enum', values: ['Camry', 'Civic', 'F-150', 'Malibu', '3 Series', 'C-Class', 'A4', 'Altima', 'Elantra', 'Model 3'] },
+        year: { type: 'year', min: 2005, max: 2024 },
+        color: { type: 'enum', values: ['Black', 'White', 'Silver', 'Gray', 'Blue', 'Red'] },
+        mileage: { type: 'integer', min: 0, max: 150000 },
+        price: { type: 'money', min: 5000, max: 90000 },
+        condition: { type: 'enum', values: ['New', 'Excellent', 'Good', 'Fair'] },
+        fuel_type: { type: 'enum', values: ['Gasoline', 'Diesel', 'Hybrid', 'Electric'] },
+        transmission: { type: 'enum', values: ['Automatic', 'Manual', 'CVT'] },
+        engine_size: { type: 'enum', values: ['1.5L', '2.0L', '2.5L', '3.5L', '5.0L', 'Electric'] },
+        body_type: { type: 'enum', values: ['Sedan', 'SUV', 'Truck', 'Coupe', 'Hatchback', 'Van'] },
+        seating_capacity: { type: 'integer', min: 2, max: 8 }
+    },
+    product: {
+        sku: { type: 'code', prefix: 'SKU-', length: 8 },
+        title: { type: 'name', kind: 'product' },
+        price: { type: 'money', min: 5, max: 2000, decimals: 2 },
+        category: { type: 'enum', values: ['Electronics', 'Home & Kitchen', 'Clothing', 'Sports', 'Books', 'Beauty', 'Toys'] },
+        brand: { type: 'name', kind: 'company' },
+        availability: { type: 'enum', values: ['in_stock', 'out_of_stock', 'preorder', 'limited'] },
+        reviews_count: { type: 'integer', min: 0, max: 5000 },
+        weight: { type: 'float', min: 0.1, max: 25, decimals: 2 },
+        dimensions: { type: 'object', fields: { length: { type: 'float', min: 1, max: 100 }, width: { type: 'float', min: 1, max: 100 }, height: { type: 'float', min: 1, max: 100 }, unit: { type: 'enum', values: ['cm'] } } },
+        warranty: { type: 'enum', values: ['None', '90 days', '1 year', '2 years', '3 years'] },
+        shipping_cost: { type: 'money', min: 0, max: 50, decimals: 2 }
+    },
+    document: {
+        file_type: { type: 'enum', values: ['pdf', 'docx', 'xlsx', 'pptx', 'txt'] },
+        file_size: { type: 'integer', min: 1024, max: 10485760 },
+        version: { type: 'enum', values: ['1.0', '1.1', '2.0', '2.1', '3.0'] },
+        language: { type: 'enum', values: ['en', 'es', 'de', 'fr', 'ja'] },
+        category: { type: 'enum', values: ['Report', 'Contract', 'Policy', 'Invoice', 'Presentation'] },
+        tags: { type: 'list', values: TAGS, min: 1, max: 4 },
+        status: { type: 'enum', values: ['draft', 'review', 'approved', 'archived'] }
+    },
+    jobpost: {
+        company: { type: 'name', kind: 'company' },
+        salary_range: { type: 'object', fields: { min: { type: 'money', min: 40000, max: 90000 }, max: { type: 'money', min: 90000, max: 220000 }, currency: { type: 'enum', values: ['USD'] } } },
+        employment_type: { type: 'enum', values: ['Full-time', 'Part-time', 'Contract', 'Internship'] },
+        experience_level: { type: 'enum', values: ['Entry', 'Mid', 'Senior', 'Lead'] },
+        skills_required: { type: 'list', values: SKILLS, min: 2, max: 6 },
+        posted_date: { type: 'date', past: 30 },
+        application_deadline: { type: 'date', future: 60 },
+        benefits: { type: 'list', values: ['Health Insurance', '401k', 'Remote Work', 'Stock Options', 'Paid Time Off', 'Gym Membership'], min: 1, max: 4 },
+        remote_work: { type: 'boolean' },
+        industry: { type: 'enum', values: ['Technology', 'Healthcare', 'Finance', 'Retail', 'Education'] }
+    },
+    event: {
+        start_date: { type: 'date', future: 90 },
+        end_date: { type: 'date', future: 120 },
+        event_type: { type: 'enum', values: ['Conference', 'Workshop', 'Webinar', 'Meetup', 'Trade Show'] },
+        capacity: { type: 'integer', min: 20, max: 5000 },
+        price: { type: 'money', min: 0, max: 1500, decimals: 2 },
+        status: { type: 'enum', values: ['scheduled', 'open', 'sold_out', 'cancelled', 'completed'] },
+        organizer: { type: 'name', kind: 'company' },
+        attendees_count: { type: 'integer', min: 0, max: 5000 },
+        category: { type: 'enum', values: ['Technology', 'Business', 'Marketing', 'Design', 'Finance'] },
+        tags: { type: 'list', values: TAGS, min: 1, max: 4 }
+    },
+    agent: {
+        license_number: { type: 'code', prefix: 'LIC-', length: 6, charset: 'numeric' },
+        agency: { type: 'name', kind: 'company' },
+        experience_years: { type: 'integer', min: 1, max: 35 },
+        specializations: { type: 'list', values: ['Residential', 'Commercial', 'Luxury', 'First-time Buyers', 'Investment', 'Relocation'], min: 1, max: 3 },
+        commission_rate: { type: 'float', min: 1.5, max: 6, decimals: 2 },
+        languages: { type: 'list', values: ['English', 'Spanish', 'Mandarin', 'French', 'German'], min: 1, max: 3 },
+        certifications: { type: 'list', values: ['CRS', 'ABR', 'GRI', 'SRES', 'e-PRO'], min: 0, max: 3 },
+        social_links: { type: 'object', fields: { linkedin: { type: 'url', kind: 'linkedin' }, website: { type: 'url' } } },
+        active_listings_count: { type: 'integer', min: 0, max: 60 }
+    },
+    dealer: {
+        name: { type: 'name', kind: 'company' },
+        business_type: { type: 'enum', values: ['Franchise', 'Independent', 'Used Car Lot', 'Online'] },
+        license_number: { type: 'code', prefix: 'DLR-', length: 6, charset: 'numeric' },
+        brands_handled: { type: 'list', values: ['Toyota', 'Honda', 'Ford', 'Chevrolet', 'BMW', 'Audi', 'Nissan', 'Hyundai'], min: 1, max: 4 },
+        inventory_count: { type: 'integer', min: 10, max: 800 },
+        years_in_business: { type: 'integer', min: 1, max: 60 },
+        services_offered: { type: 'list', values: ['Sales', 'Leasing', 'Service', 'Parts', 'Financing', 'Trade-in'], min: 1, max: 5 },
+        warranty_offered: { type: 'enum', values: ['None', 'Limited', 'Extended', 'Certified Pre-Owned'] }
+    },
+    organization: {
+        name: { type: 'name', kind: 'company' },
+        type: { type: 'enum', values: ['Corporation', 'Non-profit', 'Government', 'Partnership', 'Cooperative'] },
+        founded_year: { type: 'year', min: 1900, max: 2024 },
+        industry: { type: 'enum', values: ['Technology', 'Healthcare', 'Finance', 'Manufacturing', 'Energy', 'Education'] },
+        size_category: { type: 'enum', values: ['Small', 'Medium', 'Large', 'Enterprise'] },
+        revenue: { type: 'money', min: 100000, max: 5000000000 },
+        employees_count: { type: 'integer', min: 5, max: 100000 },
+        board_members: { type: 'list', values: ['Alex Morgan', 'Jordan Lee', 'Taylor Kim', 'Casey Patel', 'Riley Chen', 'Morgan Diaz'], min: 3, max: 6 },
+        subsidiaries: { type: 'list', values: ['North America Holdings', 'EMEA Operations', 'APAC Ventures', 'Digital Labs', 'Capital Partners'], min: 0, max: 3 }
+    }
+};
+
+const OBJECT_EXTRA_FIELDS = {
+    property: {
+        listing_id: { type: 'code', prefix: 'PROP-', length: 6, charset: 'numeric' },
+        street: { type: 'street' },
+        city: { type: 'city' },
+        state: { type: 'state' },
+        zip_code: { type: 'zip_code' },
+        listing_date: { type: 'date', past: 90 },
+        status: { type: 'enum', values: ['Active', 'Pending', 'Contingent', 'Sold'] }
+    }
+};
+
+// Object types with no datapoints still synthesize a minimal record
+const FALLBACK_FIELDS = {
+    id: { type: 'uuid' },
+    name: { type: 'name' },
+    description: { type: 'text', sentences: 2 },
+    created_at: { type: 'date' }
+};
+
+function inferFieldSpec(key, description = '') {
+    for (const rule of KEY_RULES) {
+        if (rule.key && !rule.key.test(key)) continue;
+        if (rule.description && !rule.description.test(description)) continue;
+        return rule.spec || { type: key };
+    }
+    return DEFAULT_SPEC;
+}
+
+module.exports = {
+    KEY_RULES,
+    OBJECT_FIELD_OVERRIDES,
+    OBJECT_EXTRA_FIELDS,
+    FALLBACK_FIELDS,
+    inferFieldSpec
+};
@@ -1,41 +1,46 @@
-const { v4: uuidv4 } = require('uuid');
+const { faker } = require('@faker-js/faker');
+const { generateObject, getObjectSchema, listObjectTypes } = require('./object-registry');
+const { resolveSeed, withSeed, random, referenceDate } = require('./random');
+
+// All helpers draw from faker's generator (directly or via random()) so a
+// seeded run reproduces them exactly. Simulators take faker from here rather
+// than requiring their own copy, which withSeed would not seed.
 
 function generateUUID() {
-    return uuidv4();
+    return faker.string.uuid();
 }
 
 function generateRandomString(length = 8) {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
     let result = '';
     for (let i = 0; i < length; i++) {
-        result += chars.charAt(Math.floor(Math.random() * chars.length));
+        result += chars.charAt(Math.floor(random() * chars.length));
     }
     return result;
 }
 
 function generateRandomNumber(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return Math.floor(random() * (max - min + 1)) + min;
 }
 
 function generateRandomFloat(min, max, decimals = 2) {
-    return parseFloat((Math.random() * (max - min) + min).toFixed(decimals));
+    return parseFloat((random() * (max - min) + min).toFixed(decimals));
 }
 
 function generateRandomBoolean() {
-    return Math.random() < 0.5;
+    return random() < 0.5;
 }
 
 function generateRandomArrayElement(array) {
-    return array[Math.floor(Math.random() * array.length)];
+    return array[Math.floor(random() * array.length)];
 }
 
 function generateRandomArray(array, count) {
-    const shuffled = [...array].sort(() => 0.5 - Math.random());
-    return shuffled.slice(0, count);
+    return faker.helpers.shuffle(array).slice(0, count);
 }
 
 function generateRandomDate(start, end) {
-    return new Date(start.getTime() + Math.random() * (end.getTime() - start.getTime()));
+    return new Date(start.getTime() + random() * (end.getTime() - start.getTime()));
 }
 
 function generateRandomEmail(domain = 'example.com') {
@@ -56,6 +61,7 @@ function generateRandomUrl(domain = 'example.com') {
 }
 
 module.exports = {
+    faker,
     generateUUID,
     generateRandomString,
     generateRandomNumber,
@@ -66,5 +72,12 @@ module.exports = {
     generateRandomDate,
     generateRandomEmail,
     generateRandomPhone,
-    generateRandomUrl
+    generateRandomUrl,
+    generateObject,
+    getObjectSchema,
+    listObjectTypes,
+    resolveSeed,
+    withSeed,
+    random,
+    referenceDate
 };
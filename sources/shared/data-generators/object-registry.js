@@ -0,0 +1,155 @@
+/**
+ * Object registry built from the root object-types.json and datapoints.json.
+ * Each object type resolves to an ordered list of fields with a typed spec, so
+ * generateObject can synthesize any object type the UI knows about.
+ */
+
+const path = require('path');
+const { generateField } = require('./field-generators');
+const {
+    OBJECT_FIELD_OVERRIDES,
+    OBJECT_EXTRA_FIELDS,
+    FALLBACK_FIELDS,
+    inferFieldSpec
+} = require('./field-specs');
+
+const DATA_ROOT = path.join(__dirname, '..', '..', '..');
+
+let registry = null;
+
+// Some datapoints reference object type ids that differ from object-types.json
+// in a middle segment, so fall back to matching the first and last segments.
+function candidatesFor(objectTypeId, objectTypes) {
+    const exact = objectTypes.filter(type => type.id === objectTypeId);
+    if (exact.length > 0) return exact;
+
+    const segments = objectTypeId.split('-');
+    return objectTypes.filter(type => {
+        const typeSegments = type.id.split('-');
+        return typeSegments[0] === segments[0] && typeSegments[typeSegments.length - 1] === segments[segments.length - 1];
+    });
+}
+
+// Several object types share an id (company/vehicle, person/property). Datapoints
+// for a shared id are listed type by type, so a datapoint whose description names
+// one of the candidate types switches the assignment for it and those that follow.
+function assignDatapoints(datapoints, objectTypes) {
+    const assignments = new Map();
+    const currentByGroup = new Map();
+
+    datapoints.forEach(datapoint => {
+        const candidates = candidatesFor(datapoint.object_type_id, objectTypes);
+        if (candidates.length === 0) return;
+
+        let assigned = candidates[0];
+        if (candidates.length > 1) {
+            const description = (datapoint.description || '').toLowerCase();
+            const named = candidates.find(type => description.includes(type.name.toLowerCase()));
+            assigned = named || currentByGroup.get(datapoint.object_type_id) || candidates[0];
+            currentByGroup.set(datapoint.object_type_id, assigned);
+        }
+
+        if (!assignments.has(assigned.name)) {
+            assignments.set(assigned.name, []);
+        }
+        assignments.get(assigned.name).push(datapoint);
+    });
+
+    return assignments;
+}
+
+function buildSchema(objectType, datapoints) {
+    const overrides = OBJECT_FIELD_OVERRIDES[objectType.name] || {};
+    const extras = OBJECT_EXTRA_FIELDS[objectType.name] || {};
+    const fields = [];
+    const seen = new Set();
+
+    Object.keys(extras).forEach(key => {
+        fields.push({ key, name: key, description: null, datapoint_id: null, spec: extras[key] });
+        seen.add(key);
+    });
+
+    datapoints.forEach(datapoint => {
+        if (seen.has(datapoint.key)) return;
+        fields.push({
+            key: datapoint.key,
+            name: datapoint.name,
+            description: datapoint.description,
+            datapoint_id: datapoint.id,
+            spec: overrides[datapoint.key] || inferFieldSpec(datapoint.key, datapoint.description)
+        });
+        seen.add(datapoint.key);
+    });
+
+    if (fields.length === 0) {
+        Object.keys(FALLBACK_FIELDS).forEach(key => {
+            fields.push({ key, name: key, description: null, datapoint_id: null, spec: FALLBACK_FIELDS[key] });
+        });
+    }
+
+    return {
+        id: objectType.id,
+        name: objectType.name,
+        description: objectType.description,
+        fields
+    };
+}
+
+function buildRegistry(objectTypes, datapoints) {
+    const activeTypes = objectTypes.filter(type => !type.deleted_at);
+    const assignments = assignDatapoints(datapoints.filter(datapoint => !datapoint.deleted_at), activeTypes);
+    const schemas = {};
+
+    activeTypes.forEach(objectType => {
+        if (schemas[objectType.name]) return;
+        schemas[objectType.name] = buildSchema(objectType, assignments.get(objectType.name) || []);
+    });
+
+    return schemas;
+}
+
+function loadRegistry() {
+    if (!registry) {
+        const { object_types: objectTypes } = require(path.join(DATA_ROOT, 'object-types.json'));
+        const { datapoints } = require(path.join(DATA_ROOT, 'datapoints.json'));
+        registry = buildRegistry(objectTypes, datapoints);
+    }
+    return registry;
+}
+
+function getObjectSchema(objectType) {
+    const schema = loadRegistry()[objectType];
+    if (!schema) {
+        throw new Error(`Unknown object type '${objectType}'`);
+    }
+    return schema;
+}
+
+function listObjectTypes() {
+    return Object.keys(loadRegistry());
+}
+
+function generateRecord(schema) {
+    const record = {};
+    const context = {};
+    schema.fields.forEach(field => {
+        record[field.key] = generateField(field.spec, record, context);
+    });
+    return record;
+}
+
+function generateObject(objectType, count = 1) {
+    const schema = getObjectSchema(objectType);
+    const records = [];
+    for (let i = 0; i < count; i++) {
+        records.push(generateRecord(schema));
+    }
+    return records;
+}
+
+module.exports = {
+    buildRegistry,
+    getObjectSchema,
+    listObjectTypes,
+    generateObject
+};
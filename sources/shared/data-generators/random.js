@@ -0,0 +1,92 @@
+/**
+ * Seeded randomness shared by every generator. All randomness (faker, the
+ * helpers in this folder and the simulator generators) draws from faker's
+ * generator, so seeding faker for the duration of a synchronous generation
+ * call makes its output reproducible even while other runs interleave.
+ */
+
+const { faker } = require('@faker-js/faker');
+
+// Relative dates (faker.date.recent, "days ago" fields) are anchored here
+// while a seed is active, so seeded output does not drift with the clock.
+const SEED_REFERENCE_DATE = new Date(process.env.SIM_SEED_REFERENCE_DATE || '2025-01-01T00:00:00.000Z');
+
+let activeReferenceDate = null;
+
+function hashString(value) {
+    // FNV-1a, 32-bit
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function toSeedNumber(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return Math.abs(Math.floor(value)) % 0x100000000;
+    }
+    const text = String(value);
+    return /^\d+$/.test(text) ? Number(text) % 0x100000000 : hashString(text);
+}
+
+/**
+ * The seed for a run: the request's seed, else the simulator-wide SIM_SEED,
+ * else null (unseeded).
+ */
+function resolveSeed(requestSeed) {
+    if (requestSeed !== undefined && requestSeed !== null && requestSeed !== '') {
+        return requestSeed;
+    }
+    return process.env.SIM_SEED !== undefined && process.env.SIM_SEED !== '' ? process.env.SIM_SEED : null;
+}
+
+/**
+ * Run fn with faker seeded from seed plus scope (e.g. a record index), so each
+ * generation call is reproducible on its own. A null seed runs fn unseeded.
+ */
+function withSeed(seed, scope, fn) {
+    if (typeof scope === 'function') {
+        fn = scope;
+        scope = [];
+    }
+    if (seed === null || seed === undefined) {
+        return fn();
+    }
+
+    const scopes = Array.isArray(scope) ? scope : [scope];
+    faker.seed([toSeedNumber(seed), ...scopes.map(toSeedNumber)]);
+    faker.setDefaultRefDate(SEED_REFERENCE_DATE);
+    activeReferenceDate = SEED_REFERENCE_DATE;
+    try {
+        return fn();
+    } finally {
+        // Leave later unseeded calls unpredictable again
+        faker.seed();
+        faker.setDefaultRefDate();
+        activeReferenceDate = null;
+    }
+}
+
+/**
+ * Drop-in replacement for Math.random() that honours the active seed.
+ */
+function random() {
+    return faker.number.float();
+}
+
+/**
+ * "Now" for generated values: the fixed reference date while seeded.
+ */
+function referenceDate() {
+    return new Date(activeReferenceDate ? activeReferenceDate.getTime() : Date.now());
+}
+
+module.exports = {
+    SEED_REFERENCE_DATE,
+    resolveSeed,
+    withSeed,
+    random,
+    referenceDate
+};
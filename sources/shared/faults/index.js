@@ -0,0 +1,216 @@
+/**
+ * Fault Injection
+ * Probabilistic provider failures for the simulators: HTTP errors
+ * (401/403/429/500/503), malformed or truncated JSON bodies, records missing
+ * required fields, runs that fail mid-way and runs whose progress stalls.
+ *
+ * A fault profile maps fault names to probabilities (0-1). Profiles layer:
+ * simulator defaults (descriptor / SIM_FAULTS) < the run request's
+ * `simulate_faults` body flag (kept for the whole run) < the
+ * X-Simulator-Faults header of the current request. Setting `seed` in a
+ * profile makes the rolls reproducible.
+ */
+
+const FAULT_HEADER = 'x-simulator-faults';
+const FAULT_BODY_FIELD = 'simulate_faults';
+
+const HTTP_FAULTS = {
+    http_401: { status: 401, error: 'Unauthorized', message: 'Invalid or missing API key' },
+    http_403: { status: 403, error: 'Forbidden', message: 'API key is not permitted to access this resource' },
+    http_429: { status: 429, error: 'Too Many Requests', message: 'Rate limit exceeded', retryAfter: true },
+    http_500: { status: 500, error: 'Internal server error', message: 'An unexpected error occurred' },
+    http_503: { status: 503, error: 'Service Unavailable', message: 'Service temporarily unavailable', retryAfter: true }
+};
+
+const BODY_FAULTS = ['malformed_json', 'truncated_json'];
+const RUN_FAULTS = ['missing_fields', 'run_failure', 'stall'];
+
+const FAULT_TYPES = [...Object.keys(HTTP_FAULTS), ...BODY_FAULTS, ...RUN_FAULTS];
+
+const PROFILE_OPTIONS = ['seed', 'retry_after'];
+
+/**
+ * Accepts an object or a string: JSON, or a comma-separated `name=probability`
+ * list ("http_503=0.2,stall=1"). Unknown names are ignored.
+ */
+function parseFaultSpec(spec) {
+    if (!spec) return {};
+    let raw = spec;
+    if (typeof spec === 'string') {
+        const text = spec.trim();
+        if (text.startsWith('{')) {
+            try {
+                raw = JSON.parse(text);
+            } catch (error) {
+                return {};
+            }
+        } else {
+            raw = {};
+            text.split(',').forEach(pair => {
+                const [name, value] = pair.split('=').map(part => part && part.trim());
+                if (name) raw[name] = value === undefined ? 1 : value;
+            });
+        }
+    }
+    if (typeof raw !== 'object' || Array.isArray(raw)) return {};
+
+    const profile = {};
+    Object.keys(raw).forEach(name => {
+        if (FAULT_TYPES.includes(name)) {
+            const probability = Number(raw[name]);
+            if (!Number.isNaN(probability)) profile[name] = Math.max(0, Math.min(1, probability));
+        } else if (PROFILE_OPTIONS.includes(name)) {
+            profile[name] = raw[name];
+        }
+    });
+    return profile;
+}
+
+// mulberry32: small seeded PRNG, independent of faker so fault rolls do not
+// shift the generated data of seeded runs
+function seededRandom(seed) {
+    let state = typeof seed === 'number' ? seed >>> 0 : [...String(seed)].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 0x01000193) >>> 0, 0x811c9dc5);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function corruptJson(body, fault, random) {
+    if (fault === 'truncated_json') {
+        const cut = Math.max(1, Math.floor(body.length * (0.3 + random() * 0.6)));
+        return body.slice(0, cut);
+    }
+    // Trailing comma before the closing bracket: looks right, fails JSON.parse
+    return `${body.slice(0, -1)},${body.slice(-1)}`;
+}
+
+/**
+ * Creates a fault engine.
+ *
+ * options.defaults  simulator-wide profile (object or spec string); SIM_FAULTS
+ *                   overrides it
+ * options.onInject  called with (fault, details) whenever a fault fires
+ */
+function createFaultEngine(options = {}) {
+    const defaults = { ...parseFaultSpec(options.defaults), ...parseFaultSpec(process.env.SIM_FAULTS) };
+    const onInject = options.onInject || (() => {});
+    const generators = new Map();
+
+    function randomFor(profile) {
+        if (profile.seed === undefined || profile.seed === null) return Math.random;
+        if (!generators.has(profile.seed)) {
+            generators.set(profile.seed, seededRandom(profile.seed));
+        }
+        return generators.get(profile.seed);
+    }
+
+    function roll(profile, fault) {
+        const probability = profile[fault] || 0;
+        if (probability <= 0) return false;
+        return probability >= 1 || randomFor(profile)() < probability;
+    }
+
+    /**
+     * Effective profile for a request: defaults, then the stored run profile,
+     * then the request's body flag and header. Called without runProfile on
+     * the run request, the result is the profile to store on the run.
+     */
+    function resolve(req, runProfile) {
+        return {
+            ...defaults,
+            ...(runProfile || {}),
+            ...parseFaultSpec(req.body && req.body[FAULT_BODY_FIELD]),
+            ...parseFaultSpec(req.get(FAULT_HEADER))
+        };
+    }
+
+    /**
+     * Express middleware for one endpoint. lookupRunProfile(req) returns the
+     * stored profile of the run the request addresses, if any.
+     */
+    function http(endpoint, lookupRunProfile) {
+        return (req, res, next) => {
+            const profile = resolve(req, lookupRunProfile ? lookupRunProfile(req) : null);
+
+            const httpFault = Object.keys(HTTP_FAULTS).find(fault => roll(profile, fault));
+            if (httpFault) {
+                const fault = HTTP_FAULTS[httpFault];
+                if (fault.retryAfter) {
+                    res.set('Retry-After', String(profile.retry_after || 30));
+                }
+                onInject(httpFault, { endpoint, path: req.path, method: req.method });
+                return res.status(fault.status).json({ error: fault.error, message: fault.message });
+            }
+
+            const bodyFault = BODY_FAULTS.find(fault => roll(profile, fault));
+            if (bodyFault) {
+                res.json = body => {
+                    onInject(bodyFault, { endpoint, path: req.path, method: req.method });
+                    res.type('application/json');
+                    return res.send(corruptJson(JSON.stringify(body), bodyFault, randomFor(profile)));
+                };
+            }
+            next();
+        };
+    }
+
+    /**
+     * Removes 1-3 fields from a record when missing_fields fires. Required
+     * fields present on the record are preferred; otherwise any top-level key.
+     */
+    function dropFields(record, profile, requiredFields) {
+        if (!record || typeof record !== 'object' || !roll(profile, 'missing_fields')) return record;
+
+        const random = randomFor(profile);
+        const present = (requiredFields || []).filter(field => record[field] !== undefined);
+        const candidates = present.length > 0 ? present : Object.keys(record);
+        const count = Math.min(candidates.length, 1 + Math.floor(random() * 3));
+        const dropped = [];
+        const copy = { ...record };
+        for (let i = 0; i < count; i++) {
+            const index = Math.floor(random() * candidates.length);
+            dropped.push(candidates.splice(index, 1)[0]);
+        }
+        dropped.forEach(field => delete copy[field]);
+        onInject('missing_fields', { fields: dropped });
+        return copy;
+    }
+
+    /**
+     * Decides up front whether a run fails or stalls, and at which fraction of
+     * its progress (between 20% and 80%). null means it runs normally.
+     */
+    function planRun(profile) {
+        const random = randomFor(profile);
+        const plan = { failAt: null, stallAt: null };
+        if (roll(profile, 'run_failure')) {
+            plan.failAt = 0.2 + random() * 0.6;
+            onInject('run_failure', { at: plan.failAt });
+        } else if (roll(profile, 'stall')) {
+            plan.stallAt = 0.2 + random() * 0.6;
+            onInject('stall', { at: plan.stallAt });
+        }
+        return plan;
+    }
+
+    return {
+        defaults,
+        resolve,
+        roll,
+        http,
+        dropFields,
+        planRun
+    };
+}
+
+module.exports = {
+    FAULT_HEADER,
+    FAULT_BODY_FIELD,
+    FAULT_TYPES,
+    parseFaultSpec,
+    createFaultEngine
+};
@@ -0,0 +1,268 @@
+/**
+ * Delivery Formats
+ * Renders a run's records as the files dataset vendors hand out, selected
+ * with ?format= on a delivery endpoint:
+ *
+ * - json:   the records as a JSON array
+ * - csv:    one row per record; nested objects and arrays are flattened into
+ *           dotted headers (location.city, skills.0, experience.1.company)
+ * - ndjson: one JSON record per line
+ * - xlsx:   a single-sheet workbook with the same columns as the CSV
+ *
+ * Appending .gz (csv.gz, ndjson.gz, json.gz) gzips the file. Every file is
+ * sent as an attachment named after the run with the matching Content-Type.
+ * XLSX is written by hand (SpreadsheetML in a deflated zip) so simulators need
+ * no extra dependencies.
+ */
+
+const zlib = require('zlib');
+const { flattenRecord } = require('../logging/quality-metrics');
+
+const FORMATS = {
+    json: { contentType: 'application/json', extension: 'json' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const FORMAT_NAMES = [...Object.keys(FORMATS), 'json.gz', 'csv.gz', 'ndjson.gz'];
+
+/**
+ * { name, gzip } for a ?format= value, or null when it is not supported.
+ */
+function parseFormat(value) {
+    const format = String(value).toLowerCase();
+    if (!FORMAT_NAMES.includes(format)) return null;
+    const gzip = format.endsWith('.gz');
+    return { name: gzip ? format.slice(0, -3) : format, gzip };
+}
+
+/**
+ * Flattened rows plus the union of their headers in first-seen order, so
+ * column order is stable for a given run.
+ */
+function tabulate(records) {
+    const rows = records.map(record => flattenRecord(record, { arrays: true }));
+    const headers = [];
+    const seen = new Set();
+    for (const row of rows) {
+        for (const header of Object.keys(row)) {
+            if (!seen.has(header)) {
+                seen.add(header);
+                headers.push(header);
+            }
+        }
+    }
+    return { headers, rows };
+}
+
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    return String(value);
+}
+
+function csvCell(value) {
+    const text = cellText(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records) {
+    const { headers, rows } = tabulate(records);
+    const lines = [headers.map(csvCell).join(',')];
+    rows.forEach(row => lines.push(headers.map(header => csvCell(row[header])).join(',')));
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+function toNdjson(records) {
+    return records.map(record => `${JSON.stringify(record)}\n`).join('');
+}
+
+// --- XLSX -----------------------------------------------------------------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+const DOS_EPOCH = (1 << 5) | 1; // 1980-01-01, the earliest zip timestamp
+
+// Minimal zip archive (deflated entries, no extras) for the XLSX container
+function zip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const [name, content] of files) {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const data = Buffer.from(content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // version needed
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(8, 8); // deflate
+        local.writeUInt16LE(0, 10); // mod time
+        local.writeUInt16LE(DOS_EPOCH, 12); // mod date
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4); // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(0, 12);
+        central.writeUInt16LE(DOS_EPOCH, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBuffer, compressed);
+        centrals.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + compressed.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters other than tab and newlines are not allowed in XML
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+// A1-style column letters: 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function xlsxCell(value, ref) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+    }
+    if (typeof value === 'boolean') {
+        return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+    const text = cellText(value);
+    if (text === '') return '';
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+function toXlsx(records, sheetName = 'data') {
+    const { headers, rows } = tabulate(records);
+    const sheetRows = [headers, ...rows.map(row => headers.map(header => row[header]))]
+        .map((values, r) => {
+            const cells = values.map((value, c) => xlsxCell(value, `${columnName(c)}${r + 1}`)).join('');
+            return `<row r="${r + 1}">${cells}</row>`;
+        })
+        .join('');
+
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const ns = 'http://schemas.openxmlformats.org';
+    return zip([
+        ['[Content_Types].xml', `${xml}<Types xmlns="${ns}/package/2006/content-types">`
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            + '</Types>'],
+        ['_rels/.rels', `${xml}<Relationships xmlns="${ns}/package/2006/relationships">`
+            + `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>`
+            + '</Relationships>'],
+        ['xl/workbook.xml', `${xml}<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships">`
+            + `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+            + '</workbook>'],
+        ['xl/_rels/workbook.xml.rels', `${xml}<Relationships xmlns="${ns}/package/2006/relationships">`
+            + `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>`
+            + '</Relationships>'],
+        ['xl/worksheets/sheet1.xml', `${xml}<worksheet xmlns="${ns}/spreadsheetml/2006/main">`
+            + `<sheetData>${sheetRows}</sheetData>`
+            + '</worksheet>']
+    ]);
+}
+
+// --- Rendering ------------------------------------------------------------
+
+const RENDERERS = {
+    json: records => JSON.stringify(records),
+    csv: toCsv,
+    ndjson: toNdjson,
+    xlsx: toXlsx
+};
+
+/**
+ * Renders records (an array, or a single object delivered as one row) in a
+ * parsed format. Returns { body, contentType, filename }.
+ */
+function renderRecords(records, format, basename) {
+    const rows = Array.isArray(records) ? records : [records];
+    const { contentType, extension } = FORMATS[format.name];
+    let body = RENDERERS[format.name](rows);
+    if (!Buffer.isBuffer(body)) body = Buffer.from(body, 'utf8');
+
+    if (format.gzip) {
+        return { body: zlib.gzipSync(body), contentType: 'application/gzip', filename: `${basename}.${extension}.gz` };
+    }
+    return { body, contentType, filename: `${basename}.${extension}` };
+}
+
+/**
+ * Express helper: sends records as a file attachment.
+ */
+function sendRecords(res, records, format, basename) {
+    const file = renderRecords(records, format, basename);
+    res.set({
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename="${file.filename}"`,
+        'Content-Length': String(file.body.length)
+    });
+    res.status(200).end(file.body);
+    return file;
+}
+
+module.exports = {
+    FORMATS,
+    FORMAT_NAMES,
+    parseFormat,
+    toCsv,
+    toNdjson,
+    toXlsx,
+    renderRecords,
+    sendRecords
+};
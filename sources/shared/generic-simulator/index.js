@@ -0,0 +1,158 @@
+/**
+ * Generic Simulator
+ * Serves the standard run/status/delivery lifecycle for any source that has a
+ * detail JSON ({source-id}/{source-id}.json) but no dedicated simulator, built
+ * on the simulator kernel. The detail file supplies the name, source_type,
+ * delivery_type and configuration (auth_key, max_concurrent_runs, timeout,
+ * max_retries); an optional {source-id}/simulator.json descriptor overrides
+ * the rest:
+ *
+ * {
+ *   "port": 4012,
+ *   "object_type": "metric",
+ *   "delivery_type": "Endpoint" | "Webhook",
+ *   "routes": { "run": "...", "status": "...", "delivery": "...", "cancel": "...", "events": "..." },
+ *   "lifecycle": "records" | "progress" | "single",
+ *   "max_objects": 25,
+ *   "timeout": 120,
+ *   "run_id_field": "run_id",
+ *   "webhook_field": "webhook_url",
+ *   "in_progress_status": "processing",
+ *   "auth_style": "any",
+ *   "pagination": { "style": "page", "pageSize": 50 },
+ *   "request_schema": { "properties": { "query": { "type": "string" } }, "required": ["query"] }
+ * }
+ *
+ * Records are generated from the object type's schema (object-types.json and
+ * datapoints.json). Without object_type one is inferred from the source's
+ * name, description and source_type.
+ */
+
+const { createSimulator } = require('../simulator-kernel');
+const { generateObject, listObjectTypes } = require('../data-generators');
+const { loadSourceDetail } = require('../source-config');
+const { loadGenericDescriptor, genericPort } = require('./sources');
+
+const DEFAULT_ROUTES = {
+    run: '/api/runs',
+    status: '/api/runs/:run_id',
+    delivery: '/api/runs/:run_id/results',
+    cancel: '/api/runs/:run_id/cancel',
+    events: '/api/runs/:run_id/events'
+};
+
+// Keywords in a source's name or description that point at an object type
+const KEYWORD_TYPES = [
+    [/\bnews\b|\bblog|\bcontent\b/, 'article'],
+    [/weather|climate|air quality|analytics|observability|monitoring/, 'metric'],
+    [/stock|crypto|financ|trading|exchange rate|\bprices?\b/, 'market'],
+    [/payment|invoice|accounting|banking/, 'transaction'],
+    [/\bemails?\b|phone|\bleads?\b|prospect/, 'contact'],
+    [/\bjobs?\b|recruit|hiring|talent/, 'jobpost'],
+    [/real estate|housing|mortgage|listing/, 'property'],
+    [/vehicle|automotive|\bcars?\b/, 'vehicle'],
+    [/speech|transcri|language model|\bllm\b|chat|text generation/, 'message'],
+    [/scrap|crawl|extraction|\bocr\b/, 'document']
+];
+
+const SOURCE_TYPE_DEFAULTS = {
+    Dataset: 'person',
+    Scraper: 'document',
+    Agent: 'report',
+    LLM: 'message',
+    'ML model': 'report'
+};
+
+const FALLBACK_OBJECT_TYPE = 'metadata';
+
+const DEFAULT_REQUEST_SCHEMA = {
+    properties: {
+        query: { type: ['string', 'object'] },
+        filters: { type: 'object' },
+        max_objects: { type: 'integer', minimum: 1, maximum: 1000 }
+    }
+};
+
+function pluralOf(type) {
+    if (type === 'person') return 'people';
+    return type.endsWith('y') ? `${type.slice(0, -1)}ies` : `${type}s`;
+}
+
+/**
+ * Object type for a source without a descriptor object_type: a type named in
+ * its name or description, then keyword hints, then its source_type default.
+ */
+function inferObjectType(detail) {
+    const text = `${detail.name || ''} ${detail.description || ''}`.toLowerCase();
+    const types = listObjectTypes();
+
+    const named = types.find(type => new RegExp(`\\b(${type}|${pluralOf(type)})\\b`).test(text));
+    if (named) return named;
+
+    const hinted = KEYWORD_TYPES.find(([pattern, type]) => pattern.test(text) && types.includes(type));
+    if (hinted) return hinted[1];
+
+    return SOURCE_TYPE_DEFAULTS[detail.source_type] || FALLBACK_OBJECT_TYPE;
+}
+
+/**
+ * The kernel descriptor for a source: detail file, then simulator.json, then
+ * generic defaults.
+ */
+function buildDescriptor(sourceId) {
+    const detail = loadSourceDetail(sourceId);
+    if (!detail) {
+        throw new Error(`No source detail file for '${sourceId}'`);
+    }
+    const descriptor = loadGenericDescriptor(sourceId);
+    const configuration = detail.configuration || {};
+
+    const objectType = descriptor.object_type || inferObjectType(detail);
+    if (!listObjectTypes().includes(objectType)) {
+        throw new Error(`Unknown object type '${objectType}' for ${sourceId}`);
+    }
+
+    const deliveryType = descriptor.delivery_type || detail.delivery_type || 'Endpoint';
+    const lifecycle = descriptor.lifecycle || 'records';
+    const defaultMaxObjects = descriptor.max_objects || 25;
+    const maxObjects = request => Number(request.max_objects) || defaultMaxObjects;
+    const requestSchema = descriptor.request_schema || DEFAULT_REQUEST_SCHEMA;
+
+    return {
+        name: detail.name || sourceId,
+        sourceId,
+        port: process.env.PORT || genericPort(sourceId, descriptor),
+        sourceType: detail.source_type || 'API',
+        maxConcurrentRuns: configuration.max_concurrent_runs || 10,
+        timeout: (descriptor.timeout || configuration.timeout || 120) * 1000,
+        routes: { ...DEFAULT_ROUTES, ...descriptor.routes },
+        runIdField: descriptor.run_id_field || 'run_id',
+        webhookField: descriptor.webhook_field || 'webhook_url',
+        webhookRequired: deliveryType === 'Webhook',
+        auth: { style: descriptor.auth_style || 'any' },
+        pagination: descriptor.pagination,
+        requestFields: [...new Set(['query', 'filters', 'max_objects', ...Object.keys(requestSchema.properties || {})])],
+        requestSchema,
+        inProgressStatus: descriptor.in_progress_status || 'processing',
+        lifecycle,
+        objectType,
+        maxObjects,
+        // records pushes one object per tick; progress and single deliver the whole set at once
+        generate: lifecycle === 'records'
+            ? () => generateObject(objectType)[0]
+            : request => generateObject(objectType, maxObjects(request))
+    };
+}
+
+function createGenericSimulator(sourceId) {
+    const descriptor = buildDescriptor(sourceId);
+    const simulator = createSimulator(descriptor);
+    return { ...simulator, descriptor };
+}
+
+module.exports = {
+    DEFAULT_ROUTES,
+    inferObjectType,
+    buildDescriptor,
+    createGenericSimulator
+};
@@ -0,0 +1,62 @@
+// Every run of the simulator under test drops fields unless a request turns the fault off
+process.env.SIM_FAULTS = 'missing_fields=1';
+
+const { createGenericSimulator } = require('./index');
+
+// AccuWeather is a generic source with the single lifecycle: one generate call returns every record
+const simulator = createGenericSimulator('accuweather-api');
+
+let server;
+let baseUrl;
+
+async function call(method, path, body, headers = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// Starts a seeded run, advances the simulator clock past its timeout and returns the delivery
+async function deliveredRun(headers) {
+    const { body: accepted } = await call('POST', '/v1/forecasts', { run_id: 'external-1', max_objects: 3, seed: 42 }, headers);
+    await call('POST', '/admin/clock/advance', { seconds: 120 });
+    return (await call('GET', `/v1/forecasts/${accepted.run_id}/data`)).body;
+}
+
+beforeAll(done => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    server = simulator.app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+    });
+});
+
+afterAll(done => {
+    delete process.env.SIM_FAULTS;
+    jest.restoreAllMocks();
+    server.close(done);
+});
+
+describe('generic simulator with the missing_fields fault', () => {
+    test('drops fields from each record and keeps the delivery an array', async () => {
+        const clean = await deliveredRun({ 'X-Simulator-Faults': 'missing_fields=0' });
+        const faulted = await deliveredRun();
+
+        expect(clean.status).toBe('ready');
+        expect(faulted.status).toBe('ready');
+        expect(Array.isArray(faulted.data)).toBe(true);
+        expect(faulted.data).toHaveLength(3);
+        expect(faulted.total_records).toBe(3);
+
+        faulted.data.forEach((record, index) => {
+            const cleanKeys = Object.keys(clean.data[index]);
+            const keys = Object.keys(record);
+            expect(keys.length).toBeLessThan(cleanKeys.length);
+            keys.forEach(key => expect(record[key]).toEqual(clean.data[index][key]));
+        });
+    });
+});
@@ -0,0 +1,58 @@
+/**
+ * Generic simulator sources: which sources the generic simulator serves, their
+ * optional descriptor ({source-id}/simulator.json) and their port. Kept free of
+ * Express so the launcher can use it without the simulator dependencies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SOURCES_ROOT, readJson, sourceDir } = require('../source-config');
+
+// Sources without a descriptor port get GENERIC_PORT_BASE + their position in
+// the alphabetical list of source folders
+const GENERIC_PORT_BASE = 4000;
+
+function hasDetailFile(sourceId) {
+    return fs.existsSync(path.join(sourceDir(sourceId), `${sourceId}.json`));
+}
+
+function hasDedicatedSimulator(sourceId) {
+    return fs.existsSync(path.join(sourceDir(sourceId), 'simulator', 'server.js'));
+}
+
+// Every source folder with a detail JSON, sorted
+function listSources() {
+    return fs.readdirSync(SOURCES_ROOT, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && hasDetailFile(entry.name))
+        .map(entry => entry.name)
+        .sort();
+}
+
+// Sources that have a detail JSON but no dedicated simulator
+function listGenericSources() {
+    return listSources().filter(sourceId => !hasDedicatedSimulator(sourceId));
+}
+
+// The optional {source-id}/simulator.json descriptor, or {} without one
+function loadGenericDescriptor(sourceId) {
+    return readJson(path.join(sourceDir(sourceId), 'simulator.json')) || {};
+}
+
+function genericPort(sourceId, descriptor = loadGenericDescriptor(sourceId)) {
+    if (descriptor.port) return Number(descriptor.port);
+    const index = listSources().indexOf(sourceId);
+    if (index === -1) {
+        throw new Error(`No source detail file for '${sourceId}'`);
+    }
+    return GENERIC_PORT_BASE + index;
+}
+
+module.exports = {
+    GENERIC_PORT_BASE,
+    hasDetailFile,
+    hasDedicatedSimulator,
+    listSources,
+    listGenericSources,
+    loadGenericDescriptor,
+    genericPort
+};
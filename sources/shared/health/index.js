@@ -0,0 +1,246 @@
+/**
+ * Health and Scheduled Outages
+ * Backs each simulator's GET /api/health with its actual state: active runs
+ * against max_concurrent_runs, queue depth and the 5xx rate over a sliding
+ * window. A saturated simulator (runs queued) or one whose error rate crosses
+ * degradedErrorRate reports 'degraded'.
+ *
+ * Scripted windows and maintenance mode come from configuration: the source
+ * detail file's configuration.health wins over the simulator's own settings,
+ * and SIM_MAINTENANCE / SIM_HEALTH_WINDOWS override both.
+ *
+ * {
+ *   "maintenance": false,
+ *   "windows": [
+ *     { "status": "degraded", "start": 60, "duration": 120 },
+ *     { "status": "down", "start": "2025-06-01T02:00:00Z", "duration": 900, "every": 86400, "message": "..." }
+ *   ],
+ *   "error_window": 60,
+ *   "degraded_error_rate": 0.1,
+ *   "retry_after": 60
+ * }
+ *
+ * Window start is seconds after boot or an ISO timestamp, all on the
+ * simulator clock; every repeats the window. While a 'down' or 'maintenance'
+ * window is open (or maintenance is on) /api/health answers 503 and every
+ * other API request gets a 503 with the provider-style body from
+ * unavailable(message, state) and a Retry-After until the window closes.
+ */
+
+const { clock } = require('../clock');
+
+const STATES = ['healthy', 'degraded', 'down', 'maintenance'];
+const UNAVAILABLE_STATES = ['down', 'maintenance'];
+
+const DEFAULTS = {
+    maintenance: false,
+    windows: [],
+    errorWindow: 60,
+    degradedErrorRate: 0.1,
+    minRequests: 10,
+    retryAfter: 60
+};
+
+// Paths never gated or counted: health itself and the simulator's own tooling
+const EXEMPT_PATHS = ['/api/health', '/openapi.json', '/metrics', '/admin'];
+
+function isExempt(path) {
+    return EXEMPT_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+}
+
+function parseWindows(value) {
+    if (!value) return null;
+    try {
+        const windows = typeof value === 'string' ? JSON.parse(value) : value;
+        return Array.isArray(windows) ? windows : [windows];
+    } catch (error) {
+        throw new Error(`Invalid health windows '${value}': ${error.message}`);
+    }
+}
+
+function defaultUnavailable(message) {
+    return { error: 'Service Unavailable', message };
+}
+
+/**
+ * Health settings for a source: configuration.health from the detail file over
+ * the simulator's own, with SIM_MAINTENANCE and SIM_HEALTH_WINDOWS (JSON) on
+ * top.
+ */
+function resolveHealth(sourceConfiguration = {}, fallback = {}) {
+    const configured = sourceConfiguration.health || {};
+    const settings = {
+        ...DEFAULTS,
+        ...fallback,
+        ...(configured.maintenance !== undefined ? { maintenance: Boolean(configured.maintenance) } : {}),
+        ...(configured.windows ? { windows: parseWindows(configured.windows) } : {}),
+        ...(configured.error_window ? { errorWindow: configured.error_window } : {}),
+        ...(configured.degraded_error_rate !== undefined ? { degradedErrorRate: configured.degraded_error_rate } : {}),
+        ...(configured.retry_after ? { retryAfter: configured.retry_after } : {})
+    };
+    if (process.env.SIM_MAINTENANCE !== undefined && process.env.SIM_MAINTENANCE !== '') {
+        settings.maintenance = ['1', 'true', 'yes'].includes(process.env.SIM_MAINTENANCE.toLowerCase());
+    }
+    if (process.env.SIM_HEALTH_WINDOWS) {
+        settings.windows = parseWindows(process.env.SIM_HEALTH_WINDOWS);
+    }
+    settings.windows.forEach(window => {
+        if (!STATES.includes(window.status) || window.status === 'healthy') {
+            throw new Error(`Unknown health window status '${window.status}'`);
+        }
+    });
+    return settings;
+}
+
+/**
+ * Creates a simulator's health tracker.
+ *
+ * options.limiter      the run limiter (active runs, queue depth, capacity)
+ * options.settings     resolveHealth() output
+ * options.details      () => extra fields for the health body (source_type,
+ *                      timeout, ...)
+ * options.unavailable  (message, state) => provider-style 503 body
+ * options.onChange     (state, previous) => void, for logging transitions
+ *
+ * middleware() gates API requests during outages and counts the rest for the
+ * error rate; report() returns { statusCode, body } for /api/health.
+ */
+function createHealth(options = {}) {
+    const settings = options.settings || resolveHealth();
+    const unavailable = options.unavailable || defaultUnavailable;
+    const bootTime = clock.now();
+    let outcomes = []; // { at, error } on the simulator clock
+    let previous = 'healthy';
+
+    // Absolute start of a window's current (or next) occurrence, in simulator ms
+    function windowBounds(window) {
+        let start = typeof window.start === 'string' ? Date.parse(window.start) : bootTime + (Number(window.start) || 0) * 1000;
+        const duration = (Number(window.duration) || 0) * 1000;
+        const every = (Number(window.every) || 0) * 1000;
+        const now = clock.now();
+        if (every > 0 && now >= start) {
+            start += Math.floor((now - start) / every) * every;
+        }
+        return { start, end: duration > 0 ? start + duration : Infinity };
+    }
+
+    function activeWindow() {
+        const now = clock.now();
+        return settings.windows
+            .map(window => ({ window, ...windowBounds(window) }))
+            .filter(({ start, end }) => now >= start && now < end)
+            // maintenance beats down beats degraded when windows overlap
+            .sort((a, b) => STATES.indexOf(b.window.status) - STATES.indexOf(a.window.status))[0] || null;
+    }
+
+    function errorRate() {
+        const since = clock.now() - settings.errorWindow * 1000;
+        outcomes = outcomes.filter(outcome => outcome.at >= since);
+        const errors = outcomes.filter(outcome => outcome.error).length;
+        return {
+            requests: outcomes.length,
+            errors,
+            rate: outcomes.length > 0 ? Math.round((errors / outcomes.length) * 1000) / 1000 : 0
+        };
+    }
+
+    /**
+     * Current state: { status, reason, message, until } where until is the
+     * simulator time the scripted window closes (null when open-ended).
+     */
+    function state() {
+        let current;
+        if (settings.maintenance) {
+            current = { status: 'maintenance', reason: 'maintenance_mode', message: 'Service is under maintenance', until: null };
+        } else {
+            const active = activeWindow();
+            if (active) {
+                current = {
+                    status: active.window.status,
+                    reason: 'scheduled_window',
+                    message: active.window.message || (active.window.status === 'degraded' ? 'Service is degraded' : 'Service is temporarily unavailable'),
+                    until: Number.isFinite(active.end) ? new Date(active.end).toISOString() : null
+                };
+            } else {
+                const stats = options.limiter ? options.limiter.stats() : { queued: 0 };
+                const errors = errorRate();
+                if (stats.queued > 0) {
+                    current = { status: 'degraded', reason: 'at_capacity', message: `${stats.queued} ${stats.queued === 1 ? 'run' : 'runs'} waiting for a slot`, until: null };
+                } else if (errors.requests >= settings.minRequests && errors.rate >= settings.degradedErrorRate) {
+                    current = { status: 'degraded', reason: 'error_rate', message: `Error rate ${errors.rate} over the last ${settings.errorWindow}s`, until: null };
+                } else {
+                    current = { status: 'healthy', reason: null, message: null, until: null };
+                }
+            }
+        }
+        if (current.status !== previous) {
+            if (options.onChange) options.onChange(current, previous);
+            previous = current.status;
+        }
+        return current;
+    }
+
+    // Real seconds until the window closes, for Retry-After
+    function retryAfter(current) {
+        const seconds = current.until ? (Date.parse(current.until) - clock.now()) / 1000 : settings.retryAfter;
+        return Math.max(1, Math.ceil(clock.toRealSeconds(seconds)));
+    }
+
+    function report() {
+        const current = state();
+        const stats = options.limiter ? options.limiter.stats() : { limit: null, active: 0, queued: 0 };
+        const errors = errorRate();
+        const body = {
+            status: current.status,
+            uptime: process.uptime(),
+            ...(options.details ? options.details() : {}),
+            max_concurrent_runs: stats.limit,
+            active_runs: stats.active,
+            queue_depth: stats.queued,
+            utilization: stats.limit ? Math.round((stats.active / stats.limit) * 1000) / 1000 : null,
+            error_rate: errors.rate,
+            error_window: { seconds: settings.errorWindow, requests: errors.requests, errors: errors.errors }
+        };
+        if (current.reason) {
+            body.reason = current.reason;
+            body.message = current.message;
+        }
+        if (current.until) body.until = current.until;
+        return { statusCode: UNAVAILABLE_STATES.includes(current.status) ? 503 : 200, body, state: current };
+    }
+
+    return {
+        settings,
+        state,
+        report,
+        middleware() {
+            return (req, res, next) => {
+                if (isExempt(req.path)) return next();
+
+                const current = state();
+                if (UNAVAILABLE_STATES.includes(current.status)) {
+                    res.set('Retry-After', String(retryAfter(current)));
+                    return res.status(503).json(unavailable(current.message, current));
+                }
+                res.once('finish', () => {
+                    outcomes.push({ at: clock.now(), error: res.statusCode >= 500 });
+                });
+                return next();
+            };
+        },
+        // GET /api/health with the report's status code (503 while down or in maintenance)
+        send(res) {
+            const { statusCode, body, state: current } = report();
+            res.status(statusCode);
+            if (statusCode === 503) res.set('Retry-After', String(retryAfter(current)));
+            res.json(body);
+            return body;
+        }
+    };
+}
+
+module.exports = {
+    STATES,
+    resolveHealth,
+    createHealth
+};
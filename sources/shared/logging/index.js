@@ -1,3 +1,6 @@
+const SimulatorLogger = require('./simulator-logger');
+const { calculateFieldCompleteness, calculateDataQualityMetrics } = require('./quality-metrics');
+
 function logRequest(sourceName, endpoint, method, body) {
     console.log(`[${sourceName} - ${new Date().toISOString()}] REQUEST: ${method} ${endpoint}`);
     if (body) {
@@ -36,5 +39,8 @@ function logError(sourceName, endpoint, method, errorMessage) {
 module.exports = {
     logRequest,
     logResponse,
-    logError
+    logError,
+    SimulatorLogger,
+    calculateFieldCompleteness,
+    calculateDataQualityMetrics
 };
@@ -0,0 +1,288 @@
+/**
+ * Data Quality Metrics
+ * Field completeness, type conformance, duplicate and format-validity metrics
+ * for generated records. Nested objects are flattened into dotted field paths
+ * (contact.phone) so nested provider payloads are scored field by field.
+ */
+
+const FORMAT_CHECKS = {
+    email: {
+        applies: key => /email/.test(key),
+        valid: value => typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+    },
+    phone: {
+        applies: key => /phone/.test(key),
+        valid: value => typeof value === 'string' && /^\+?[\d\s().-]+$/.test(value) && value.replace(/\D/g, '').length >= 7
+    },
+    url: {
+        applies: key => /(url|website|linkedin)$/.test(key),
+        valid: value => {
+            if (typeof value !== 'string') return false;
+            try {
+                const url = new URL(value);
+                return url.protocol === 'http:' || url.protocol === 'https:';
+            } catch (error) {
+                return false;
+            }
+        }
+    },
+    iso_date: {
+        applies: key => /(date|_at|deadline|timestamp|last_updated|last_activity|data_freshness)$/.test(key),
+        valid: value => typeof value === 'string'
+            && /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)
+            && !Number.isNaN(Date.parse(value))
+    }
+};
+
+// Expected JavaScript shape for each generateObject field type
+const SPEC_CONFORMANCE = {
+    money: (value, spec) => typeof value === 'number' && (spec.decimals ? true : Number.isInteger(value)),
+    integer: value => Number.isInteger(value),
+    year: value => Number.isInteger(value),
+    float: value => typeof value === 'number' && !Number.isNaN(value),
+    boolean: value => typeof value === 'boolean',
+    list: value => Array.isArray(value),
+    enum: (value, spec) => spec.values.includes(value),
+    date: value => FORMAT_CHECKS.iso_date.valid(value),
+    address: value => isPlainObject(value),
+    object: value => isPlainObject(value)
+};
+
+const IDENTITY_KEY = /(^|_)id$|^(email|sku|vin|mls_number)$/;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isFilled(value) {
+    if (value === null || value === undefined) return false;
+    if (typeof value === 'string') return value.trim() !== '';
+    if (Array.isArray(value)) return value.length > 0;
+    return true;
+}
+
+function valueType(value) {
+    if (value === null || value === undefined) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Flattens nested objects into a single-level object keyed by dotted paths
+ * (contact.phone). Arrays and empty objects stay single values, since
+ * completeness scores a list as one field. With { arrays: true } arrays are
+ * flattened too (skills.0, experience.1.company) and empty objects and arrays
+ * produce no keys, as the tabular delivery formats need.
+ */
+function flattenRecord(record, options = {}, prefix = '', target = {}) {
+    const entries = Array.isArray(record)
+        ? record.map((value, index) => [String(index), value])
+        : Object.entries(record || {});
+    entries.forEach(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const nested = value !== null && typeof value === 'object' && !(value instanceof Date)
+            && (options.arrays || (!Array.isArray(value) && Object.keys(value).length > 0));
+        if (nested) {
+            flattenRecord(value, options, path, target);
+        } else {
+            target[path] = value;
+        }
+    });
+    return target;
+}
+
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (isPlainObject(value)) {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function collectFieldPaths(flatRecords) {
+    const paths = new Set();
+    flatRecords.forEach(record => Object.keys(record).forEach(path => paths.add(path)));
+    return [...paths];
+}
+
+function leafKey(path) {
+    return path.split('.').pop();
+}
+
+function lookupSchemaSpecs(objectType) {
+    if (!objectType) return {};
+    try {
+        const { getObjectSchema } = require('../data-generators');
+        const specs = {};
+        getObjectSchema(objectType).fields.forEach(field => {
+            specs[field.key] = field.spec;
+        });
+        return specs;
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Share of records with a non-empty value for each required field. Without
+ * requiredFields every field seen in the records is treated as required.
+ */
+function calculateFieldCompleteness(records, requiredFields) {
+    const flatRecords = records.map(record => flattenRecord(record));
+    const fields = requiredFields && requiredFields.length > 0 ? requiredFields : collectFieldPaths(flatRecords);
+    const rates = {};
+
+    fields.forEach(field => {
+        if (records.length === 0) {
+            rates[field] = 0;
+            return;
+        }
+        const filled = records.filter((record, index) => {
+            const value = record[field] !== undefined ? record[field] : flatRecords[index][field];
+            return isFilled(value);
+        }).length;
+        rates[field] = round(filled / records.length);
+    });
+
+    const values = Object.values(rates);
+    return {
+        overall_rate: values.length > 0 ? round(values.reduce((sum, rate) => sum + rate, 0) / values.length) : 0,
+        fields: rates,
+        incomplete_fields: Object.keys(rates).filter(field => rates[field] < 1)
+    };
+}
+
+function calculateTypeConformance(flatRecords, paths, specs) {
+    const rates = {};
+    let conforming = 0;
+    let checked = 0;
+
+    paths.forEach(path => {
+        const values = flatRecords.map(record => record[path]).filter(isFilled);
+        if (values.length === 0) return;
+
+        const spec = specs[path];
+        let matches;
+        if (spec && SPEC_CONFORMANCE[spec.type]) {
+            matches = values.filter(value => SPEC_CONFORMANCE[spec.type](value, spec)).length;
+        } else if (spec) {
+            matches = values.filter(value => typeof value === 'string').length;
+        } else {
+            // No schema: conformance is agreement with the field's dominant type
+            const counts = {};
+            values.forEach(value => {
+                const type = valueType(value);
+                counts[type] = (counts[type] || 0) + 1;
+            });
+            matches = Math.max(...Object.values(counts));
+        }
+
+        rates[path] = round(matches / values.length);
+        conforming += matches;
+        checked += values.length;
+    });
+
+    return { rate: checked > 0 ? round(conforming / checked) : 1, fields: rates };
+}
+
+function calculateDuplicates(records, flatRecords, paths) {
+    const seen = new Set();
+    let duplicates = 0;
+    records.forEach(record => {
+        const key = stableStringify(record);
+        if (seen.has(key)) duplicates++;
+        seen.add(key);
+    });
+
+    const keyRates = {};
+    paths.filter(path => IDENTITY_KEY.test(leafKey(path))).forEach(path => {
+        const values = flatRecords.map(record => record[path]).filter(isFilled).map(stableStringify);
+        if (values.length === 0) return;
+        keyRates[path] = round((values.length - new Set(values).size) / values.length);
+    });
+
+    return {
+        rate: records.length > 0 ? round(duplicates / records.length) : 0,
+        count: duplicates,
+        key_rates: keyRates
+    };
+}
+
+function calculateFormatValidity(flatRecords, paths) {
+    const results = {};
+    Object.keys(FORMAT_CHECKS).forEach(format => {
+        const check = FORMAT_CHECKS[format];
+        let checked = 0;
+        let valid = 0;
+        paths.filter(path => check.applies(leafKey(path))).forEach(path => {
+            flatRecords.forEach(record => {
+                const value = record[path];
+                if (!isFilled(value)) return;
+                checked++;
+                if (check.valid(value)) valid++;
+            });
+        });
+        results[format] = { checked, valid, rate: checked > 0 ? round(valid / checked) : null };
+    });
+
+    const totals = Object.values(results).reduce((acc, result) => {
+        acc.checked += result.checked;
+        acc.valid += result.valid;
+        return acc;
+    }, { checked: 0, valid: 0 });
+
+    return { rate: totals.checked > 0 ? round(totals.valid / totals.checked) : 1, formats: results };
+}
+
+/**
+ * Fill rate, type conformance, duplicates and format validity for a record set,
+ * rolled up into a 0-1 overall score. objectType enables schema-based type
+ * checks against the generateObject registry; unknown types fall back to each
+ * field's dominant type.
+ */
+function calculateDataQualityMetrics(records, objectType) {
+    const list = Array.isArray(records) ? records : [records];
+    const flatRecords = list.map(record => flattenRecord(record));
+    const paths = collectFieldPaths(flatRecords);
+
+    const completeness = calculateFieldCompleteness(list, paths);
+    const conformance = calculateTypeConformance(flatRecords, paths, lookupSchemaSpecs(objectType));
+    const duplicates = calculateDuplicates(list, flatRecords, paths);
+    const formats = calculateFormatValidity(flatRecords, paths);
+
+    const overallScore = list.length === 0 ? 0 : round(
+        completeness.overall_rate * 0.35 +
+        conformance.rate * 0.25 +
+        formats.rate * 0.25 +
+        (1 - duplicates.rate) * 0.15
+    );
+
+    return {
+        object_type: objectType || null,
+        record_count: list.length,
+        field_count: paths.length,
+        fill_rate: completeness.overall_rate,
+        field_fill_rates: completeness.fields,
+        type_conformance_rate: conformance.rate,
+        field_type_conformance: conformance.fields,
+        duplicate_rate: duplicates.rate,
+        duplicate_count: duplicates.count,
+        key_duplicate_rates: duplicates.key_rates,
+        format_validity_rate: formats.rate,
+        format_validity: formats.formats,
+        overall_score: overallScore
+    };
+}
+
+module.exports = {
+    calculateFieldCompleteness,
+    calculateDataQualityMetrics,
+    flattenRecord
+};
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * Scores the record sets in one or more JSON files (samples/*.json,
+ * sources/{source}/*.json) with calculateDataQualityMetrics.
+ *
+ * Usage: node score-quality.js <file...> [--object-type person] [--summary]
+ *
+ * Every array of objects, and every map of similarly-shaped objects, found in
+ * a file is scored separately and reported under its dotted JSON path.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { calculateDataQualityMetrics } = require('./quality-metrics');
+
+const FILE_OBJECT_TYPES = {
+    people: 'person',
+    persons: 'person',
+    companies: 'company',
+    properties: 'property',
+    jobposts: 'jobpost',
+    vehicles: 'vehicle',
+    products: 'product',
+    events: 'event',
+    documents: 'document',
+    organizations: 'organization'
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isRecordMap(value) {
+    const entries = Object.values(value);
+    if (entries.length < 2 || !entries.every(isPlainObject)) return false;
+    const first = new Set(Object.keys(entries[0]));
+    const second = Object.keys(entries[1]);
+    const shared = second.filter(key => first.has(key)).length;
+    return shared / Math.max(first.size, second.length) >= 0.5;
+}
+
+function findRecordSets(value, trail = [], sets = []) {
+    if (Array.isArray(value)) {
+        if (value.length > 0 && value.every(isPlainObject)) {
+            sets.push({ path: trail.join('.') || '$', records: value });
+            return sets;
+        }
+        value.forEach((item, index) => findRecordSets(item, trail.concat(String(index)), sets));
+    } else if (isPlainObject(value)) {
+        if (isRecordMap(value)) {
+            sets.push({ path: trail.join('.') || '$', records: Object.values(value) });
+            return sets;
+        }
+        Object.keys(value).forEach(key => findRecordSets(value[key], trail.concat(key), sets));
+    }
+    return sets;
+}
+
+function guessObjectType(filePath) {
+    return FILE_OBJECT_TYPES[path.basename(filePath, '.json').toLowerCase()] || null;
+}
+
+function parseArgs(argv) {
+    const options = { files: [], objectType: null, summary: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--object-type') {
+            options.objectType = argv[++i];
+        } else if (argv[i] === '--summary') {
+            options.summary = true;
+        } else {
+            options.files.push(argv[i]);
+        }
+    }
+    return options;
+}
+
+function scoreFile(filePath, objectType, summary) {
+    const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const type = objectType || guessObjectType(filePath);
+    return findRecordSets(content).map(set => {
+        const metrics = calculateDataQualityMetrics(set.records, type);
+        if (!summary) {
+            return { file: filePath, path: set.path, ...metrics };
+        }
+        return {
+            file: filePath,
+            path: set.path,
+            object_type: metrics.object_type,
+            record_count: metrics.record_count,
+            fill_rate: metrics.fill_rate,
+            type_conformance_rate: metrics.type_conformance_rate,
+            duplicate_rate: metrics.duplicate_rate,
+            format_validity_rate: metrics.format_validity_rate,
+            overall_score: metrics.overall_score
+        };
+    });
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.files.length === 0) {
+        console.error('Usage: node score-quality.js <file...> [--object-type <type>] [--summary]');
+        process.exit(1);
+    }
+
+    const report = [];
+    let failed = false;
+    options.files.forEach(filePath => {
+        try {
+            report.push(...scoreFile(filePath, options.objectType, options.summary));
+        } catch (error) {
+            failed = true;
+            console.error(`[score-quality] ${filePath}: ${error.message}`);
+        }
+    });
+
+    console.log(JSON.stringify(report, null, 2));
+    process.exit(failed ? 1 : 0);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    findRecordSets,
+    scoreFile
+};
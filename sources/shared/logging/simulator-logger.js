@@ -0,0 +1,123 @@
+/**
+ * Simulator Logger
+ * Structured JSON Lines logging for the class-based simulators. Every entry is
+ * written to stdout and appended to a per-simulator log file so backend ETL
+ * runs can be cross-checked against what the simulator actually did.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOG_DIR = path.join(process.cwd(), 'logs');
+
+class SimulatorLogger {
+    constructor(simulatorName, options = {}) {
+        this.simulatorName = simulatorName;
+        this.logDir = options.logDir || process.env.SIMULATOR_LOG_DIR || DEFAULT_LOG_DIR;
+        this.logFile = path.join(this.logDir, `${simulatorName}.jsonl`);
+        this.stdout = options.stdout !== undefined ? options.stdout : true;
+        this.externalRunIds = new Map();
+        this.stream = null;
+        this.fileDisabled = false;
+    }
+
+    /**
+     * Associate an internal run id with the caller's external run id so every
+     * subsequent entry for the run carries both.
+     */
+    trackRun(runId, externalRunId) {
+        this.externalRunIds.set(runId, externalRunId);
+    }
+
+    forgetRun(runId) {
+        this.externalRunIds.delete(runId);
+    }
+
+    logApiCall(runId, endpoint, method, outcome, durationMs, recordCount) {
+        this.write('api_call', runId, {
+            endpoint,
+            method,
+            outcome,
+            duration_ms: durationMs,
+            record_count: recordCount
+        });
+    }
+
+    logStatusTransition(runId, from, to, durationMs) {
+        this.write('status_transition', runId, {
+            status_from: from,
+            status_to: to,
+            duration_ms: durationMs
+        });
+    }
+
+    logDataGeneration(runId, objectType, recordCount, fieldCompleteness, dataQuality) {
+        this.write('data_generation', runId, {
+            object_type: objectType,
+            record_count: recordCount,
+            field_completeness: fieldCompleteness,
+            data_quality: dataQuality
+        });
+    }
+
+    logError(runId, errorType, message, recoveryAttempted = false, recovered = false) {
+        this.write('error', runId, {
+            error_type: errorType,
+            message,
+            outcome: 'error',
+            recovery_attempted: recoveryAttempted,
+            recovered
+        });
+    }
+
+    write(eventType, runId, fields = {}) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            simulator: this.simulatorName,
+            event_type: eventType,
+            run_id: runId || null,
+            external_run_id: (runId && this.externalRunIds.get(runId)) || null
+        };
+        Object.keys(fields).forEach(key => {
+            if (fields[key] !== undefined) {
+                entry[key] = fields[key];
+            }
+        });
+
+        const line = JSON.stringify(entry);
+        if (this.stdout) {
+            if (eventType === 'error') {
+                console.error(line);
+            } else {
+                console.log(line);
+            }
+        }
+        this.appendToFile(line);
+        return entry;
+    }
+
+    appendToFile(line) {
+        if (this.fileDisabled) return;
+
+        if (!this.stream) {
+            try {
+                fs.mkdirSync(this.logDir, { recursive: true });
+            } catch (error) {
+                this.disableFile(error);
+                return;
+            }
+            this.stream = fs.createWriteStream(this.logFile, { flags: 'a' });
+            this.stream.on('error', error => this.disableFile(error));
+        }
+
+        this.stream.write(`${line}\n`);
+    }
+
+    disableFile(error) {
+        this.fileDisabled = true;
+        this.stream = null;
+        console.warn(`[${this.simulatorName}] File logging disabled (${this.logFile}): ${error.message}`);
+    }
+}
+
+module.exports = SimulatorLogger;
@@ -0,0 +1,144 @@
+/**
+ * Source Mappings
+ * Evaluates a source's mappings.json against a delivery payload the way the
+ * platform does. object_source_mappings and datapoint_source_mappings each
+ * carry a key_mapping path from the payload root, where '*' matches every
+ * element of an array or every value of an object:
+ *
+ *   ["api_response", "data", "people", "employees", "*", "email"]
+ *
+ * yields each employee's email. key_mapping_type 'value' extracts the values
+ * found and 'key' the keys they sit under (company names for
+ * ["api_response", "data", "companies", "*"]).
+ *
+ * applyMappings() applies the 'mapped' mappings (or the statuses asked for)
+ * and groups the extracted values per object_type_id; reportMappings() checks
+ * every mapping and lists those that matched nothing, with where the path
+ * stopped, so drift between simulator output and mapping definitions shows up.
+ */
+
+const WILDCARD = '*';
+
+const MAPPING_KINDS = {
+    object_source_mappings: 'object',
+    datapoint_source_mappings: 'datapoint'
+};
+
+function isContainer(value) {
+    return value !== null && typeof value === 'object';
+}
+
+/**
+ * Every concrete match of a key_mapping: { matches: [{ path, value }] } or,
+ * when nothing matches, { matches: [], stoppedAt, available } with the index
+ * of the first segment nothing had and the keys present there instead.
+ */
+function matchKeyMapping(payload, keyMapping) {
+    if (!Array.isArray(keyMapping) || keyMapping.length === 0) {
+        return { matches: [], stoppedAt: 0, available: [] };
+    }
+
+    let frontier = [{ path: [], value: payload }];
+    for (let index = 0; index < keyMapping.length; index++) {
+        const segment = keyMapping[index];
+        const next = [];
+        frontier.forEach(({ path, value }) => {
+            if (!isContainer(value)) return;
+            if (segment === WILDCARD) {
+                Object.keys(value).forEach(key => {
+                    next.push({ path: [...path, Array.isArray(value) ? Number(key) : key], value: value[key] });
+                });
+            } else if (Object.prototype.hasOwnProperty.call(value, segment)) {
+                next.push({ path: [...path, segment], value: value[segment] });
+            }
+        });
+        if (next.length === 0) {
+            const available = [...new Set(frontier
+                .filter(({ value }) => isContainer(value) && !Array.isArray(value))
+                .flatMap(({ value }) => Object.keys(value)))];
+            return { matches: [], stoppedAt: index, available };
+        }
+        frontier = next;
+    }
+    return { matches: frontier };
+}
+
+/**
+ * Values a key_mapping extracts from a payload: the matched values for
+ * 'value' mappings, the keys they sit under for 'key' mappings.
+ */
+function resolveKeyMapping(payload, keyMapping, type = 'value') {
+    const { matches } = matchKeyMapping(payload, keyMapping);
+    return matches.map(({ path, value }) => (type === 'key' ? path[path.length - 1] : value));
+}
+
+// Every mapping of a mappings.json source, tagged with its kind
+function mappingsOf(source) {
+    return Object.entries(MAPPING_KINDS).flatMap(([list, kind]) => (source[list] || []).map(mapping => ({ kind, mapping })));
+}
+
+/**
+ * Extracted values per object_type_id:
+ * { [object_type_id]: { objects: [{ mapping_id, values }], datapoints: [{ mapping_id, datapoint_id, values }] } }
+ *
+ * source            one entry of mappings.json sources
+ * options.statuses  mapping statuses to apply (default ['mapped'])
+ */
+function applyMappings(payload, source, options = {}) {
+    const statuses = options.statuses || ['mapped'];
+    const extracted = {};
+    mappingsOf(source)
+        .filter(({ mapping }) => statuses.includes(mapping.status))
+        .forEach(({ kind, mapping }) => {
+            const entry = extracted[mapping.object_type_id] || { objects: [], datapoints: [] };
+            const values = resolveKeyMapping(payload, mapping.key_mapping, mapping.key_mapping_type);
+            if (kind === 'object') {
+                entry.objects.push({ mapping_id: mapping.id, values });
+            } else {
+                entry.datapoints.push({ mapping_id: mapping.id, datapoint_id: mapping.datapoint_id, values });
+            }
+            extracted[mapping.object_type_id] = entry;
+        });
+    return extracted;
+}
+
+/**
+ * Checks every mapping of a source (whatever its status) against a payload:
+ * { total, matched, unmatched: [{ mapping_id, kind, object_type_id,
+ * datapoint_id, status, key_mapping, reason }] }.
+ */
+function reportMappings(payload, source) {
+    const all = mappingsOf(source);
+    const unmatched = [];
+    all.forEach(({ kind, mapping }) => {
+        const result = matchKeyMapping(payload, mapping.key_mapping);
+        if (result.matches.length > 0) return;
+
+        let reason = 'empty key_mapping';
+        if (Array.isArray(mapping.key_mapping) && mapping.key_mapping.length > 0) {
+            const stopped = mapping.key_mapping.slice(0, result.stoppedAt + 1);
+            reason = `nothing at ${JSON.stringify(stopped)}`;
+            if (result.available.length > 0) {
+                reason += ` (found ${result.available.slice(0, 8).join(', ')}${result.available.length > 8 ? ', ...' : ''})`;
+            }
+        }
+        unmatched.push({
+            mapping_id: mapping.id,
+            kind,
+            object_type_id: mapping.object_type_id,
+            ...(mapping.datapoint_id ? { datapoint_id: mapping.datapoint_id } : {}),
+            status: mapping.status,
+            key_mapping: mapping.key_mapping,
+            reason
+        });
+    });
+    return { total: all.length, matched: all.length - unmatched.length, unmatched };
+}
+
+module.exports = {
+    WILDCARD,
+    matchKeyMapping,
+    resolveKeyMapping,
+    applyMappings,
+    reportMappings
+};
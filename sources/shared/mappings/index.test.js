@@ -0,0 +1,143 @@
+const { matchKeyMapping, resolveKeyMapping, applyMappings, reportMappings } = require('./index');
+
+const PAYLOAD = {
+    api_response: {
+        data: {
+            companies: {
+                Acme: { domain: 'acme.test' },
+                Globex: { domain: 'globex.test' }
+            },
+            people: {
+                employees: [
+                    { name: 'Ada', email: 'ada@acme.test' },
+                    { name: 'Grace', email: 'grace@acme.test' }
+                ]
+            }
+        }
+    }
+};
+
+const SOURCE = {
+    object_source_mappings: [
+        { id: 'om-1', object_type_id: 'company', status: 'mapped', key_mapping: ['api_response', 'data', 'companies', '*'], key_mapping_type: 'key' },
+        { id: 'om-2', object_type_id: 'person', status: 'draft', key_mapping: ['api_response', 'data', 'people', 'employees', '*'] }
+    ],
+    datapoint_source_mappings: [
+        { id: 'dm-1', object_type_id: 'person', datapoint_id: 'email', status: 'mapped', key_mapping: ['api_response', 'data', 'people', 'employees', '*', 'email'] },
+        { id: 'dm-2', object_type_id: 'person', datapoint_id: 'phone', status: 'mapped', key_mapping: ['api_response', 'data', 'people', 'staff', '*', 'phone'] },
+        { id: 'dm-3', object_type_id: 'company', datapoint_id: 'domain', status: 'mapped', key_mapping: [] }
+    ]
+};
+
+describe('matchKeyMapping', () => {
+    test('expands wildcards over array elements with numeric indexes', () => {
+        const { matches } = matchKeyMapping(PAYLOAD, ['api_response', 'data', 'people', 'employees', '*', 'email']);
+        expect(matches).toEqual([
+            { path: ['api_response', 'data', 'people', 'employees', 0, 'email'], value: 'ada@acme.test' },
+            { path: ['api_response', 'data', 'people', 'employees', 1, 'email'], value: 'grace@acme.test' }
+        ]);
+    });
+
+    test('expands wildcards over object values with their keys', () => {
+        const { matches } = matchKeyMapping(PAYLOAD, ['api_response', 'data', 'companies', '*', 'domain']);
+        expect(matches.map(match => match.path[3])).toEqual(['Acme', 'Globex']);
+    });
+
+    test('reports where the path stopped and the keys found there', () => {
+        expect(matchKeyMapping(PAYLOAD, ['api_response', 'data', 'people', 'staff', '*'])).toEqual({
+            matches: [],
+            stoppedAt: 3,
+            available: ['employees']
+        });
+    });
+
+    test('stops at a scalar without listing keys', () => {
+        expect(matchKeyMapping(PAYLOAD, ['api_response', 'data', 'people', 'employees', '*', 'name', 'first'])).toEqual({
+            matches: [],
+            stoppedAt: 6,
+            available: []
+        });
+    });
+
+    test('matches nothing for an empty or missing key_mapping', () => {
+        expect(matchKeyMapping(PAYLOAD, [])).toEqual({ matches: [], stoppedAt: 0, available: [] });
+        expect(matchKeyMapping(PAYLOAD, undefined)).toEqual({ matches: [], stoppedAt: 0, available: [] });
+    });
+});
+
+describe('resolveKeyMapping', () => {
+    test('extracts values or the keys they sit under', () => {
+        expect(resolveKeyMapping(PAYLOAD, ['api_response', 'data', 'companies', '*'], 'key')).toEqual(['Acme', 'Globex']);
+        expect(resolveKeyMapping(PAYLOAD, ['api_response', 'data', 'people', 'employees', '*', 'name'])).toEqual(['Ada', 'Grace']);
+    });
+});
+
+describe('applyMappings', () => {
+    test('groups the values of mapped mappings per object type', () => {
+        expect(applyMappings(PAYLOAD, SOURCE)).toEqual({
+            company: {
+                objects: [{ mapping_id: 'om-1', values: ['Acme', 'Globex'] }],
+                datapoints: [{ mapping_id: 'dm-3', datapoint_id: 'domain', values: [] }]
+            },
+            person: {
+                objects: [],
+                datapoints: [
+                    { mapping_id: 'dm-1', datapoint_id: 'email', values: ['ada@acme.test', 'grace@acme.test'] },
+                    { mapping_id: 'dm-2', datapoint_id: 'phone', values: [] }
+                ]
+            }
+        });
+    });
+
+    test('applies the statuses asked for', () => {
+        expect(applyMappings(PAYLOAD, SOURCE, { statuses: ['draft'] })).toEqual({
+            person: {
+                objects: [{ mapping_id: 'om-2', values: PAYLOAD.api_response.data.people.employees }],
+                datapoints: []
+            }
+        });
+    });
+});
+
+describe('reportMappings', () => {
+    test('checks every mapping whatever its status and explains the unmatched ones', () => {
+        expect(reportMappings(PAYLOAD, SOURCE)).toEqual({
+            total: 5,
+            matched: 3,
+            unmatched: [
+                {
+                    mapping_id: 'dm-2',
+                    kind: 'datapoint',
+                    object_type_id: 'person',
+                    datapoint_id: 'phone',
+                    status: 'mapped',
+                    key_mapping: ['api_response', 'data', 'people', 'staff', '*', 'phone'],
+                    reason: 'nothing at ["api_response","data","people","staff"] (found employees)'
+                },
+                {
+                    mapping_id: 'dm-3',
+                    kind: 'datapoint',
+                    object_type_id: 'company',
+                    datapoint_id: 'domain',
+                    status: 'mapped',
+                    key_mapping: [],
+                    reason: 'empty key_mapping'
+                }
+            ]
+        });
+    });
+
+    test('leaves datapoint_id out of unmatched object mappings', () => {
+        const { unmatched } = reportMappings({}, { object_source_mappings: [SOURCE.object_source_mappings[0]] });
+        expect(unmatched).toEqual([expect.not.objectContaining({ datapoint_id: expect.anything() })]);
+        expect(unmatched[0]).toMatchObject({ kind: 'object', reason: 'nothing at ["api_response"]' });
+    });
+
+    test('elides long lists of available keys', () => {
+        const payload = { data: Object.fromEntries(Array.from({ length: 10 }, (_, index) => [`k${index}`, index])) };
+        const { unmatched } = reportMappings(payload, {
+            datapoint_source_mappings: [{ id: 'dm-9', object_type_id: 'x', datapoint_id: 'y', status: 'mapped', key_mapping: ['data', 'missing'] }]
+        });
+        expect(unmatched[0].reason).toBe('nothing at ["data","missing"] (found k0, k1, k2, k3, k4, k5, k6, k7, ...)');
+    });
+});
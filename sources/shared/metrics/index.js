@@ -0,0 +1,181 @@
+/**
+ * Prometheus Metrics
+ * Per-simulator counters, gauges and histograms served in the Prometheus text
+ * exposition format at GET /metrics (exempt from API-key authentication):
+ *
+ * - simulator_http_requests_total{route,method,status}
+ * - simulator_runs{status}                      runs currently in the store
+ * - simulator_run_duration_seconds{status}      creation to terminal status,
+ *                                               in simulator time
+ * - simulator_records_generated_total
+ * - simulator_webhook_attempts_total{event,outcome}
+ * - simulator_faults_injected_total{fault}
+ *
+ * Every series carries a simulator label so scrapes of several simulators can
+ * be aggregated.
+ */
+
+const RUN_DURATION_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600];
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Run ids and numeric segments collapse so unmatched paths keep a bounded label set
+const ID_SEGMENT = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|\d+)$/i;
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Label values in a fixed order, used as the series key
+function seriesKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function createCounter() {
+    const series = new Map();
+    return {
+        inc(labels = {}, value = 1) {
+            const key = seriesKey(labels);
+            const entry = series.get(key) || { labels, value: 0 };
+            entry.value += value;
+            series.set(key, entry);
+        },
+        samples: () => [...series.values()]
+    };
+}
+
+function createHistogram(buckets) {
+    const series = new Map();
+    return {
+        observe(labels, value) {
+            const key = seriesKey(labels);
+            const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            buckets.forEach((bound, index) => {
+                if (value <= bound) entry.counts[index] += 1;
+            });
+            entry.sum += value;
+            entry.count += 1;
+            series.set(key, entry);
+        },
+        samples: () => [...series.values()]
+    };
+}
+
+/**
+ * Route label for a finished request: the matched Express route, or the path
+ * with ids replaced by :id for requests answered before routing (auth,
+ * injected faults, replay).
+ */
+function routeLabel(req) {
+    if (req.route && req.route.path) return `${req.baseUrl || ''}${req.route.path}`;
+    return req.path.split('/').map(segment => (ID_SEGMENT.test(segment) ? ':id' : segment)).join('/');
+}
+
+/**
+ * Creates a simulator's metrics.
+ *
+ * name              the simulator label (the source id)
+ * options.runs      the run store, counted by status on every scrape
+ * options.statuses  statuses always reported (0 when no run has them)
+ *
+ * Simulators call runFinished(status, seconds), recordsGenerated(count),
+ * webhookAttempt(event, outcome) and faultInjected(fault) as things happen;
+ * middleware() counts requests and serve(app) mounts GET /metrics.
+ */
+function createMetrics(name, options = {}) {
+    const base = { simulator: name };
+    const requests = createCounter();
+    const webhookAttempts = createCounter();
+    const faultsInjected = createCounter();
+    const runDurations = createHistogram(RUN_DURATION_BUCKETS);
+    let recordCount = 0;
+
+    function runCounts() {
+        const counts = {};
+        (options.statuses || []).forEach(status => {
+            counts[status] = 0;
+        });
+        if (options.runs) {
+            options.runs.forEach(run => {
+                counts[run.status] = (counts[run.status] || 0) + 1;
+            });
+        }
+        return counts;
+    }
+
+    function render() {
+        const lines = [];
+        const family = (metric, type, help) => lines.push(`# HELP ${metric} ${help}`, `# TYPE ${metric} ${type}`);
+        const sample = (metric, labels, value) => lines.push(`${metric}${formatLabels({ ...base, ...labels })} ${value}`);
+
+        family('simulator_http_requests_total', 'counter', 'HTTP requests by route, method and status code.');
+        requests.samples().forEach(entry => sample('simulator_http_requests_total', entry.labels, entry.value));
+
+        family('simulator_runs', 'gauge', 'Runs in the store by status.');
+        Object.entries(runCounts()).forEach(([status, count]) => sample('simulator_runs', { status }, count));
+
+        family('simulator_run_duration_seconds', 'histogram', 'Run duration from creation to terminal status, in simulator seconds.');
+        runDurations.samples().forEach(entry => {
+            entry.counts.forEach((count, index) => {
+                sample('simulator_run_duration_seconds_bucket', { ...entry.labels, le: RUN_DURATION_BUCKETS[index] }, count);
+            });
+            sample('simulator_run_duration_seconds_bucket', { ...entry.labels, le: '+Inf' }, entry.count);
+            sample('simulator_run_duration_seconds_sum', entry.labels, Math.round(entry.sum * 1000) / 1000);
+            sample('simulator_run_duration_seconds_count', entry.labels, entry.count);
+        });
+
+        family('simulator_records_generated_total', 'counter', 'Records generated for runs.');
+        sample('simulator_records_generated_total', {}, recordCount);
+
+        family('simulator_webhook_attempts_total', 'counter', 'Webhook delivery attempts by event and outcome.');
+        webhookAttempts.samples().forEach(entry => sample('simulator_webhook_attempts_total', entry.labels, entry.value));
+
+        family('simulator_faults_injected_total', 'counter', 'Injected faults by type.');
+        faultsInjected.samples().forEach(entry => sample('simulator_faults_injected_total', entry.labels, entry.value));
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    return {
+        runFinished(status, seconds) {
+            if (Number.isFinite(seconds)) runDurations.observe({ status }, Math.max(0, seconds));
+        },
+        recordsGenerated(count) {
+            if (count > 0) recordCount += count;
+        },
+        webhookAttempt(event, outcome) {
+            webhookAttempts.inc({ event, outcome });
+        },
+        faultInjected(fault) {
+            faultsInjected.inc({ fault });
+        },
+        middleware() {
+            return (req, res, next) => {
+                // close also fires for streams (SSE, NDJSON) the client hangs up on
+                res.once('close', () => {
+                    requests.inc({ route: routeLabel(req), method: req.method, status: res.statusCode });
+                });
+                next();
+            };
+        },
+        render,
+        // GET /metrics (exempt from API-key authentication)
+        serve(app) {
+            app.get('/metrics', (req, res) => {
+                res.set('Content-Type', CONTENT_TYPE);
+                res.send(render());
+            });
+        }
+    };
+}
+
+module.exports = {
+    RUN_DURATION_BUCKETS,
+    createMetrics
+};
@@ -0,0 +1,304 @@
+/**
+ * OpenAPI Contracts
+ * Each simulator publishes an OpenAPI 3.1 document at /openapi.json describing
+ * its run, status, delivery, cancel and event endpoints, and validates incoming
+ * requests against the same operations so the contract clients generate from
+ * is the one the simulator enforces.
+ *
+ * Schemas use the JSON Schema subset the validator understands: type (one or a
+ * list, including 'null'), enum, required, properties, additionalProperties:
+ * false, items, minimum/maximum, minLength/maxLength, minItems/maxItems and
+ * format (uri, email, date-time, uuid), plus $ref to the document's
+ * components.schemas. A request that breaks it gets a 400
+ * whose body comes from the simulator's error(message, errors) formatter, with
+ * errors listing every offending field as { field, message }.
+ *
+ * Operations carry the operationIds in OPERATION_IDS so tooling (the
+ * conformance runner) can find the run, status, delivery, cancel and events
+ * routes of any simulator.
+ */
+
+const { getObjectSchema } = require('../data-generators');
+const { AUTH_DEFAULTS } = require('../auth');
+
+const FORMATS = {
+    uri: value => /^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(value),
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    'date-time': value => !Number.isNaN(Date.parse(value)),
+    uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+
+// operationId per simulator route role
+const OPERATION_IDS = {
+    run: 'startRun',
+    status: 'getRunStatus',
+    delivery: 'getRunResults',
+    cancel: 'cancelRun',
+    events: 'streamRunEvents'
+};
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    description: 'Provider-style error body',
+    additionalProperties: true
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// 'an integer', 'a string', 'null'
+function withArticle(type) {
+    if (type === 'null') return type;
+    return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+function childField(field, key) {
+    if (typeof key === 'number') return `${field}[${key}]`;
+    return field ? `${field}.${key}` : key;
+}
+
+/**
+ * Validates value against a schema; returns [{ field, message }] (empty when
+ * valid). field is the dotted path of the offending value (filter.filters,
+ * tags[0].key); the request body itself is 'body'. schemas resolves
+ * '#/components/schemas/...' references; allOf and anyOf branches are checked
+ * against the same value.
+ */
+function validateSchema(schema, value, field = '', schemas = {}) {
+    const label = field || 'body';
+    if (schema && schema.$ref) {
+        schema = schemas[schema.$ref.replace('#/components/schemas/', '')];
+    }
+    if (!schema || value === undefined) return [];
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            return [{ field: label, message: `${label} must be ${types.map(withArticle).join(' or ')}` }];
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [{ field: label, message: `${label} must be one of ${schema.enum.join(', ')}` }];
+    }
+
+    const errors = [];
+    const fail = message => errors.push({ field: label, message: `${label} ${message}` });
+
+    (schema.allOf || []).forEach(branch => errors.push(...validateSchema(branch, value, field, schemas)));
+    if (schema.anyOf) {
+        const failures = schema.anyOf.map(branch => validateSchema(branch, value, field, schemas));
+        if (failures.every(branchErrors => branchErrors.length > 0)) {
+            errors.push({ field: failures[0][0].field, message: failures.map(branchErrors => branchErrors[0].message).join(' or ') });
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) fail(`must be a valid ${schema.format}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, childField(field, index), schemas)));
+        }
+    }
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null || value[key] === '') {
+                errors.push({ field: childField(field, key), message: `${childField(field, key)} is required` });
+            }
+        });
+        Object.keys(value).forEach(key => {
+            if (properties[key]) {
+                errors.push(...validateSchema(properties[key], value[key], childField(field, key), schemas));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ field: childField(field, key), message: `${childField(field, key)} is not allowed` });
+            }
+        });
+    }
+    return errors;
+}
+
+// Query and path values arrive as strings; coerce them before type checks
+function coerceParameter(value, schema) {
+    const types = [].concat((schema && schema.type) || []);
+    if (typeof value !== 'string') return value;
+    if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (types.includes('boolean') && ['true', 'false'].includes(value)) return value === 'true';
+    return value;
+}
+
+// Field specs from the object registry as JSON Schema
+function fieldSchema(spec) {
+    switch (spec.type) {
+        case 'uuid': return { type: 'string', format: 'uuid' };
+        case 'email': return { type: 'string', format: 'email' };
+        case 'url': return { type: 'string', format: 'uri' };
+        case 'money':
+        case 'float': return { type: 'number' };
+        case 'integer':
+        case 'year': return { type: 'integer' };
+        case 'boolean': return { type: 'boolean' };
+        case 'enum': return { type: 'string', enum: spec.values };
+        case 'list': return { type: 'array', items: { type: 'string', enum: spec.values } };
+        case 'date': return { type: 'string', format: spec.format === 'date' ? 'date' : 'date-time' };
+        case 'address': return {
+            type: 'object',
+            properties: ['street', 'city', 'state', 'zip_code', 'country'].reduce((properties, key) => ({ ...properties, [key]: { type: 'string' } }), {})
+        };
+        case 'object': return {
+            type: 'object',
+            properties: Object.keys(spec.fields).reduce((properties, key) => ({ ...properties, [key]: fieldSchema(spec.fields[key]) }), {})
+        };
+        default: return { type: 'string' };
+    }
+}
+
+/**
+ * JSON Schema for an object type from the generateObject registry, used to
+ * describe delivered records.
+ */
+function objectTypeSchema(objectType) {
+    const schema = getObjectSchema(objectType);
+    const properties = {};
+    schema.fields.forEach(field => {
+        properties[field.key] = { ...fieldSchema(field.spec), ...(field.description ? { description: field.description } : {}) };
+    });
+    return { type: 'object', title: schema.name, description: schema.description || undefined, properties };
+}
+
+// OpenAPI security schemes for the shared API-key middleware's styles
+function securityFor(auth) {
+    const settings = { ...AUTH_DEFAULTS, ...auth };
+    const schemes = {
+        bearer: { bearerAuth: { type: 'http', scheme: 'bearer' } },
+        header: { apiKeyHeader: { type: 'apiKey', in: 'header', name: settings.header } },
+        query: { apiKeyQuery: { type: 'apiKey', in: 'query', name: settings.queryParam } }
+    };
+    const styles = settings.style === 'any' ? Object.keys(schemes) : [settings.style];
+    return {
+        schemes: Object.assign({}, ...styles.map(style => schemes[style])),
+        security: styles.map(style => ({ [Object.keys(schemes[style])[0]]: [] }))
+    };
+}
+
+function defaultError(message, errors) {
+    return { error: message, errors };
+}
+
+function validationMessage(errors) {
+    return `Invalid request: ${errors.map(error => error.message).join('; ')}`;
+}
+
+/**
+ * Builds a simulator's document and the validators for its operations.
+ *
+ * options.title / description / version / port    document info and server URL
+ * options.auth       { style, header, queryParam } when the source has an API key
+ * options.schemas    named component schemas ($ref '#/components/schemas/Name')
+ * options.webhooks   OpenAPI webhooks: event name -> { post: operation }
+ * options.error      (message, errors) => provider-style 400 body
+ * options.onInvalid  (req, errors) => void, for logging rejected requests
+ *
+ * operation(method, route, spec) registers an Express route (':run_id' becomes
+ * '{run_id}'; path parameters are declared automatically) and returns the
+ * middleware that validates its parameters and JSON body.
+ */
+function createOpenApi(options) {
+    const error = options.error || defaultError;
+    const document = {
+        openapi: '3.1.0',
+        info: {
+            title: options.title,
+            version: options.version || '1.0.0',
+            description: options.description
+        },
+        servers: [{ url: `http://localhost:${options.port}` }],
+        paths: {},
+        components: {
+            schemas: { Error: ERROR_SCHEMA, ...options.schemas }
+        }
+    };
+    if (options.webhooks) document.webhooks = options.webhooks;
+    if (options.auth) {
+        const { schemes, security } = securityFor(options.auth);
+        document.components.securitySchemes = schemes;
+        document.security = security;
+    }
+
+    function operation(method, route, spec) {
+        const path = route.replace(/:(\w+)/g, '{$1}');
+        const pathParameters = [...route.matchAll(/:(\w+)/g)].map(([, name]) => ({
+            name,
+            in: 'path',
+            required: true,
+            schema: { type: 'string' }
+        }));
+        const parameters = [...pathParameters, ...(spec.parameters || [])];
+        const { requestSchema, ...rest } = spec;
+        const entry = { ...rest };
+        if (parameters.length > 0) entry.parameters = parameters;
+        if (requestSchema) {
+            entry.requestBody = { required: true, content: { 'application/json': { schema: requestSchema } } };
+        }
+        if (!entry.responses['400']) {
+            entry.responses = { ...entry.responses, 400: { description: 'Invalid request', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } } };
+        }
+        if (!document.paths[path]) document.paths[path] = {};
+        document.paths[path][method] = entry;
+
+        return (req, res, next) => {
+            const errors = [];
+            parameters.forEach(parameter => {
+                const source = parameter.in === 'path' ? req.params : parameter.in === 'query' ? req.query : req.headers;
+                const value = source[parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name];
+                if (value === undefined || value === '') {
+                    if (parameter.required) errors.push({ field: parameter.name, message: `${parameter.name} is required` });
+                    return;
+                }
+                errors.push(...validateSchema(parameter.schema, coerceParameter(value, parameter.schema), parameter.name, document.components.schemas));
+            });
+            if (requestSchema) {
+                errors.push(...validateSchema(requestSchema, req.body === undefined ? {} : req.body, '', document.components.schemas));
+            }
+            if (errors.length === 0) return next();
+
+            if (options.onInvalid) options.onInvalid(req, errors);
+            res.status(400).json(error(validationMessage(errors), errors));
+        };
+    }
+
+    return {
+        document,
+        operation,
+        // GET /openapi.json (exempt from API-key authentication)
+        serve(app) {
+            app.get('/openapi.json', (req, res) => res.json(document));
+        }
+    };
+}
+
+module.exports = {
+    OPERATION_IDS,
+    validateSchema,
+    objectTypeSchema,
+    createOpenApi
+};
@@ -0,0 +1,88 @@
+const { validateSchema } = require('./index');
+
+describe('validateSchema', () => {
+    test('accepts a valid value', () => {
+        const schema = {
+            type: 'object',
+            required: ['query'],
+            properties: {
+                query: { type: 'string', minLength: 1 },
+                limit: { type: 'integer', minimum: 1, maximum: 100 },
+                callback_url: { type: 'string', format: 'uri' }
+            }
+        };
+        expect(validateSchema(schema, { query: 'Acme', limit: 10, callback_url: 'https://example.com/hook' })).toEqual([]);
+    });
+
+    test('skips missing values and schemas', () => {
+        expect(validateSchema({ type: 'string' }, undefined)).toEqual([]);
+        expect(validateSchema(undefined, 42)).toEqual([]);
+    });
+
+    test('reports type mismatches with an article, labelling the root as body', () => {
+        expect(validateSchema({ type: 'object' }, [])).toEqual([{ field: 'body', message: 'body must be an object' }]);
+        expect(validateSchema({ type: ['string', 'null'] }, 3, 'name')).toEqual([
+            { field: 'name', message: 'name must be a string or null' }
+        ]);
+    });
+
+    test('treats integers as numbers but not the other way round', () => {
+        expect(validateSchema({ type: 'number' }, 3)).toEqual([]);
+        expect(validateSchema({ type: 'integer' }, 3.5, 'count')).toEqual([{ field: 'count', message: 'count must be an integer' }]);
+    });
+
+    test('checks enums, lengths, bounds and formats', () => {
+        expect(validateSchema({ enum: ['csv', 'json'] }, 'xml', 'format')[0].message).toBe('format must be one of csv, json');
+        expect(validateSchema({ type: 'string', maxLength: 3 }, 'long', 'code')[0].message).toBe('code must be at most 3 characters');
+        expect(validateSchema({ type: 'integer', minimum: 1 }, 0, 'limit')[0].message).toBe('limit must be >= 1');
+        expect(validateSchema({ type: 'string', format: 'email' }, 'nobody', 'email')[0].message).toBe('email must be a valid email');
+        expect(validateSchema({ type: 'string', format: 'uuid' }, '3f0e2a8c-0b6e-4e43-9c5d-6a7b2f1d9e10')).toEqual([]);
+    });
+
+    test('reports nested fields by their dotted path', () => {
+        const schema = {
+            type: 'object',
+            required: ['filter'],
+            properties: {
+                filter: {
+                    type: 'object',
+                    required: ['filters'],
+                    properties: {
+                        tags: { type: 'array', maxItems: 2, items: { type: 'object', properties: { key: { type: 'string' } } } }
+                    }
+                }
+            }
+        };
+        expect(validateSchema(schema, { filter: { filters: '', tags: [{ key: 'a' }, { key: 1 }] } })).toEqual([
+            { field: 'filter.filters', message: 'filter.filters is required' },
+            { field: 'filter.tags[1].key', message: 'filter.tags[1].key must be a string' }
+        ]);
+    });
+
+    test('rejects unknown properties only when additionalProperties is false', () => {
+        const schema = { type: 'object', properties: { a: { type: 'string' } } };
+        expect(validateSchema(schema, { a: 'x', b: 1 })).toEqual([]);
+        expect(validateSchema({ ...schema, additionalProperties: false }, { a: 'x', b: 1 })).toEqual([
+            { field: 'b', message: 'b is not allowed' }
+        ]);
+    });
+
+    test('resolves component references', () => {
+        const schemas = { Filters: { type: 'object', properties: { city: { type: 'string' } } } };
+        const schema = { type: 'object', properties: { filters: { $ref: '#/components/schemas/Filters' } } };
+        expect(validateSchema(schema, { filters: { city: 7 } }, '', schemas)).toEqual([
+            { field: 'filters.city', message: 'filters.city must be a string' }
+        ]);
+    });
+
+    test('checks every allOf branch and needs one anyOf branch to pass', () => {
+        const allOf = { allOf: [{ type: 'string' }, { minLength: 3 }] };
+        expect(validateSchema(allOf, 'ab', 'code')).toEqual([{ field: 'code', message: 'code must be at least 3 characters' }]);
+
+        const anyOf = { anyOf: [{ type: 'string' }, { type: 'array' }] };
+        expect(validateSchema(anyOf, ['a'], 'filter')).toEqual([]);
+        expect(validateSchema(anyOf, 5, 'filter')).toEqual([
+            { field: 'filter', message: 'filter must be a string or filter must be an array' }
+        ]);
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * Delivery Pagination
+ * Serves a ready run's records a page at a time in one of three vendor styles:
+ *
+ * - page:   ?page=2&limit=50 (1-based pages)
+ * - offset: ?offset=100&limit=50
+ * - cursor: ?cursor=<opaque>&limit=50
+ *
+ * Pages are slices of the run's stored records, so ordering is stable across
+ * pages of the same run. Cursors encode the run id and position and are
+ * rejected on any other run. Every page reports the total and, while records
+ * remain, a next link (also sent as a Link: rel="next" header). Next links
+ * keep the request's other query parameters except the API key of query-style
+ * auth, so the credential never lands in logs or recorded fixtures.
+ */
+
+const { AUTH_DEFAULTS } = require('../auth');
+
+const STYLES = ['page', 'offset', 'cursor'];
+
+const DEFAULT_PARAMS = {
+    page: 'page',
+    offset: 'offset',
+    cursor: 'cursor',
+    limit: 'limit'
+};
+
+/**
+ * The pagination settings for a source: configuration.pagination_style and
+ * configuration.page_size from the source detail file win over the
+ * simulator's own values; SIM_PAGINATION_STYLE overrides the style everywhere
+ * ('none' turns pagination off). Returns null when the source is unpaginated.
+ */
+function resolvePagination(sourceConfiguration = {}, fallback = {}) {
+    const style = process.env.SIM_PAGINATION_STYLE || sourceConfiguration.pagination_style || fallback.style || 'none';
+    if (style === 'none') return null;
+    if (!STYLES.includes(style)) {
+        throw new Error(`Unknown pagination style '${style}'`);
+    }
+    const pageSize = sourceConfiguration.page_size || fallback.pageSize || 100;
+    return {
+        style,
+        pageSize,
+        maxPageSize: Math.max(pageSize, fallback.maxPageSize || 1000),
+        params: { ...DEFAULT_PARAMS, ...fallback.params }
+    };
+}
+
+function encodeCursor(runId, offset) {
+    return Buffer.from(JSON.stringify({ r: runId, o: offset })).toString('base64url');
+}
+
+function decodeCursor(cursor, runId) {
+    try {
+        const { r, o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return r === runId && Number.isInteger(o) && o >= 0 ? o : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// A non-negative integer query value, undefined when absent, NaN when invalid
+function readInteger(value) {
+    if (value === undefined || value === '') return undefined;
+    return /^\d+$/.test(String(value)) ? Number(value) : NaN;
+}
+
+/**
+ * omitParams names query parameters never copied into next links (the
+ * query-style API key parameter by default).
+ */
+function createPaginator({ style, pageSize, maxPageSize, params, omitParams = [AUTH_DEFAULTS.queryParam] }) {
+    // Absolute URL of the same request with the given query parameters replaced
+    function linkTo(req, overrides) {
+        const query = new URLSearchParams({ ...req.query, ...overrides });
+        omitParams.forEach(name => query.delete(name));
+        return `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?${query}`;
+    }
+
+    return {
+        style,
+        pageSize,
+
+        /**
+         * Slices records for the request. Returns { data, pagination, next },
+         * or { error } when a pagination parameter is invalid.
+         */
+        paginate(req, records, runId) {
+            const limit = readInteger(req.query[params.limit]);
+            if (Number.isNaN(limit) || limit === 0 || limit > maxPageSize) {
+                return { error: `${params.limit} must be an integer between 1 and ${maxPageSize}` };
+            }
+            const size = limit || pageSize;
+            const total = records.length;
+
+            let offset = 0;
+            if (style === 'page') {
+                const page = readInteger(req.query[params.page]);
+                if (Number.isNaN(page) || page === 0) {
+                    return { error: `${params.page} must be a positive integer` };
+                }
+                offset = ((page || 1) - 1) * size;
+            } else if (style === 'offset') {
+                const start = readInteger(req.query[params.offset]);
+                if (Number.isNaN(start)) {
+                    return { error: `${params.offset} must be a non-negative integer` };
+                }
+                offset = start || 0;
+            } else if (req.query[params.cursor] !== undefined) {
+                offset = decodeCursor(req.query[params.cursor], runId);
+                if (offset === null) {
+                    return { error: `${params.cursor} is not a valid cursor for this run` };
+                }
+            }
+
+            const data = records.slice(offset, offset + size);
+            const nextOffset = offset + data.length;
+            const hasMore = data.length > 0 && nextOffset < total;
+            const pagination = { style, limit: size, total, count: data.length };
+            let nextQuery = null;
+
+            if (style === 'page') {
+                const page = Math.floor(offset / size) + 1;
+                pagination.page = page;
+                pagination.total_pages = Math.ceil(total / size);
+                if (hasMore) nextQuery = { [params.page]: page + 1, [params.limit]: size };
+            } else if (style === 'offset') {
+                pagination.offset = offset;
+                if (hasMore) nextQuery = { [params.offset]: nextOffset, [params.limit]: size };
+            } else {
+                pagination.has_more = hasMore;
+                pagination.next_cursor = hasMore ? encodeCursor(runId, nextOffset) : null;
+                if (hasMore) nextQuery = { [params.cursor]: pagination.next_cursor, [params.limit]: size };
+            }
+
+            const next = nextQuery ? linkTo(req, nextQuery) : null;
+            pagination.next = next;
+            return { data, pagination, next };
+        }
+    };
+}
+
+/**
+ * Express helper: sets the Link header for a page when there is a next one.
+ */
+function setPageLinks(res, page) {
+    if (page.next) {
+        res.set('Link', `<${page.next}>; rel="next"`);
+    }
+}
+
+module.exports = {
+    STYLES,
+    resolvePagination,
+    createPaginator,
+    setPageLinks
+};
@@ -0,0 +1,122 @@
+const { resolvePagination, createPaginator, setPageLinks } = require('./index');
+
+const RECORDS = Array.from({ length: 25 }, (_, index) => ({ id: index + 1 }));
+
+// Just enough of an Express request for the paginator
+function request(query = {}) {
+    return {
+        query,
+        protocol: 'http',
+        baseUrl: '',
+        path: '/runs/run-1/data',
+        get: () => 'localhost:3000'
+    };
+}
+
+function paginator(style, overrides = {}) {
+    return createPaginator({ ...resolvePagination({}, { style, pageSize: 10 }), ...overrides });
+}
+
+describe('resolvePagination', () => {
+    afterEach(() => {
+        delete process.env.SIM_PAGINATION_STYLE;
+    });
+
+    test('returns null for unpaginated sources', () => {
+        expect(resolvePagination({}, {})).toBeNull();
+    });
+
+    test('lets the source configuration win over the simulator defaults', () => {
+        const pagination = resolvePagination(
+            { pagination_style: 'cursor', page_size: 20 },
+            { style: 'page', pageSize: 50, params: { limit: 'count' } }
+        );
+        expect(pagination).toEqual({
+            style: 'cursor',
+            pageSize: 20,
+            maxPageSize: 1000,
+            params: { page: 'page', offset: 'offset', cursor: 'cursor', limit: 'count' }
+        });
+    });
+
+    test('lets SIM_PAGINATION_STYLE override the style, including none', () => {
+        process.env.SIM_PAGINATION_STYLE = 'offset';
+        expect(resolvePagination({ pagination_style: 'page' }).style).toBe('offset');
+        process.env.SIM_PAGINATION_STYLE = 'none';
+        expect(resolvePagination({ pagination_style: 'page' })).toBeNull();
+    });
+
+    test('rejects unknown styles', () => {
+        expect(() => resolvePagination({ pagination_style: 'scroll' })).toThrow("Unknown pagination style 'scroll'");
+    });
+});
+
+describe('createPaginator', () => {
+    test('serves 1-based pages with a next link until the last page', () => {
+        const pages = paginator('page');
+
+        const first = pages.paginate(request(), RECORDS, 'run-1');
+        expect(first.data.map(record => record.id)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        expect(first.pagination).toMatchObject({ style: 'page', limit: 10, total: 25, count: 10, page: 1, total_pages: 3 });
+        expect(first.next).toBe('http://localhost:3000/runs/run-1/data?page=2&limit=10');
+
+        const last = pages.paginate(request({ page: '3' }), RECORDS, 'run-1');
+        expect(last.data.map(record => record.id)).toEqual([21, 22, 23, 24, 25]);
+        expect(last.next).toBeNull();
+        expect(last.pagination.next).toBeNull();
+    });
+
+    test('serves offset pages with the requested limit', () => {
+        const page = paginator('offset').paginate(request({ offset: '20', limit: '3' }), RECORDS, 'run-1');
+        expect(page.data.map(record => record.id)).toEqual([21, 22, 23]);
+        expect(page.pagination).toMatchObject({ offset: 20, limit: 3, count: 3 });
+        expect(page.next).toBe('http://localhost:3000/runs/run-1/data?offset=23&limit=3');
+    });
+
+    test('walks every record through cursors', () => {
+        const pages = paginator('cursor');
+        const seen = [];
+        let query = {};
+        for (;;) {
+            const page = pages.paginate(request(query), RECORDS, 'run-1');
+            seen.push(...page.data.map(record => record.id));
+            if (!page.pagination.has_more) break;
+            query = { cursor: page.pagination.next_cursor };
+        }
+        expect(seen).toEqual(RECORDS.map(record => record.id));
+    });
+
+    test('rejects cursors issued for another run', () => {
+        const pages = paginator('cursor');
+        const { pagination } = pages.paginate(request(), RECORDS, 'run-1');
+        const page = pages.paginate(request({ cursor: pagination.next_cursor }), RECORDS, 'run-2');
+        expect(page.error).toBe('cursor is not a valid cursor for this run');
+    });
+
+    test('rejects invalid paging parameters', () => {
+        const pages = paginator('page');
+        expect(pages.paginate(request({ limit: '0' }), RECORDS, 'run-1').error).toMatch(/^limit must be/);
+        expect(pages.paginate(request({ limit: '1001' }), RECORDS, 'run-1').error).toMatch(/^limit must be/);
+        expect(pages.paginate(request({ page: 'two' }), RECORDS, 'run-1').error).toBe('page must be a positive integer');
+    });
+
+    test('keeps other query parameters but drops the API key from next links', () => {
+        const page = paginator('page').paginate(request({ api_key: 'secret', fields: 'id' }), RECORDS, 'run-1');
+        expect(page.next).toBe('http://localhost:3000/runs/run-1/data?fields=id&page=2&limit=10');
+    });
+
+    test('drops the configured omitParams from next links', () => {
+        const page = paginator('page', { omitParams: ['token'] }).paginate(request({ token: 'secret' }), RECORDS, 'run-1');
+        expect(page.next).not.toContain('secret');
+    });
+});
+
+describe('setPageLinks', () => {
+    test('sets a rel="next" Link header only when there is a next page', () => {
+        const res = { set: jest.fn() };
+        setPageLinks(res, { next: 'http://localhost:3000/data?page=2' });
+        setPageLinks(res, { next: null });
+        expect(res.set).toHaveBeenCalledTimes(1);
+        expect(res.set).toHaveBeenCalledWith('Link', '<http://localhost:3000/data?page=2>; rel="next"');
+    });
+});
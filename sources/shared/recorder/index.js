@@ -0,0 +1,365 @@
+/**
+ * Record and Replay
+ * Captures the whole conversation of a run into a fixture file and serves it
+ * back later, so a flaky integration failure becomes a deterministic
+ * regression fixture. The mode is selected with SIM_RECORD_MODE:
+ *
+ * - record: every request that belongs to a run (the run request, then any
+ *           request carrying the run's id in its path, query or body) is saved
+ *           with its response, alongside the status sequence the client saw
+ *           and every webhook payload sent for the run
+ * - replay: a run request whose external run id has a fixture gets the
+ *           recorded response, later requests for the run get the recorded
+ *           responses for the same endpoint in order (the last one repeats),
+ *           and the recorded webhooks are re-sent at their recorded offsets
+ *           on the simulator clock. Run requests without a fixture are served
+ *           live.
+ *
+ * Fixtures are written to {SIM_FIXTURE_DIR}/{name}/{external run id}.json
+ * (default ./fixtures). Recording the same external run id again replaces its
+ * fixture. Credentials never land in a fixture: request headers are not
+ * recorded and the query-style API key is dropped from recorded queries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { clock } = require('../clock');
+const { onWebhook, deliverWebhook } = require('../webhooks');
+const { AUTH_DEFAULTS } = require('../auth');
+
+const DEFAULT_FIXTURE_DIR = path.join(process.cwd(), 'fixtures');
+const FLUSH_DELAY_MS = 200;
+const MODES = ['off', 'record', 'replay'];
+
+// Response headers worth keeping; the rest (dates, etags, lengths) would change on replay
+const RECORDED_HEADERS = ['content-type', 'content-disposition', 'content-encoding', 'retry-after', 'link', 'location', 'www-authenticate'];
+
+function resolveMode(mode) {
+    const value = (mode || process.env.SIM_RECORD_MODE || 'off').toLowerCase();
+    if (!MODES.includes(value)) {
+        throw new Error(`Unknown record mode '${value}' (expected ${MODES.join(', ')})`);
+    }
+    return value;
+}
+
+function fixtureFile(dir, externalRunId) {
+    return path.join(dir, `${encodeURIComponent(externalRunId)}.json`);
+}
+
+// Ids a request might carry: path segments, query values and top-level body strings
+function candidateIds(req) {
+    const values = [
+        ...req.path.split('/'),
+        ...Object.values(req.query || {}),
+        ...(req.body && typeof req.body === 'object' ? Object.values(req.body) : [])
+    ];
+    return values.filter(value => typeof value === 'string' && value !== '');
+}
+
+// Exact match key; the recorded query must match too (page 2 is not page 1)
+function exchangeKey(method, requestPath, query = {}) {
+    const search = Object.keys(query).sort().map(key => `${key}=${JSON.stringify(query[key])}`).join('&');
+    return `${method} ${requestPath}${search ? `?${search}` : ''}`;
+}
+
+// JSON and text bodies stay readable in the fixture; files are kept as base64
+function encodeBody(buffer, contentType = '') {
+    if (buffer.length === 0) return null;
+    if (/json/.test(contentType) && !/ndjson/.test(contentType)) {
+        try {
+            return JSON.parse(buffer.toString('utf8'));
+        } catch (error) {
+            return buffer.toString('utf8');
+        }
+    }
+    if (/^text\/|ndjson|csv|xml/.test(contentType)) return buffer.toString('utf8');
+    return { base64: buffer.toString('base64') };
+}
+
+function decodeBody(body) {
+    if (body === null || body === undefined) return '';
+    if (typeof body === 'string') return body;
+    if (body.base64 !== undefined && Object.keys(body).length === 1) return Buffer.from(body.base64, 'base64');
+    return JSON.stringify(body);
+}
+
+// Collects what the handler writes, including streamed (NDJSON, SSE) responses
+function captureResponse(res, onDone) {
+    const chunks = [];
+    const { write, end } = res;
+    const collect = (chunk, encoding) => {
+        if (chunk && typeof chunk !== 'function') {
+            chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+        }
+    };
+    res.write = function (chunk, encoding, ...rest) {
+        collect(chunk, encoding);
+        return write.call(this, chunk, encoding, ...rest);
+    };
+    res.end = function (chunk, encoding, ...rest) {
+        collect(chunk, encoding);
+        return end.call(this, chunk, encoding, ...rest);
+    };
+    res.once('close', () => onDone(Buffer.concat(chunks)));
+}
+
+/**
+ * Creates a simulator's recorder. Mount middleware() after the body parser and
+ * before authentication so rejected and faulted requests are recorded too, and
+ * replayMiddleware() after authentication so replayed runs need the same
+ * credentials as live ones.
+ *
+ * name                  fixture folder (the source id)
+ * options.runRoute      { method, path } of the run request
+ * options.runIdField    body field holding the external run id on the run
+ *                       request, and the response field holding the
+ *                       simulator's run id
+ * options.webhookField  run request field with the webhook URL; replayed
+ *                       webhooks go to the replaying request's URL
+ * options.runRequest    run request resolver (shared/run-request); when given,
+ *                       the external run id and webhook URL are read through
+ *                       the source's run_request_template instead of the
+ *                       two fields above
+ * options.webhookSecret signs replayed webhooks (configuration.auth_key)
+ * options.exclude       path prefixes never recorded (default /admin)
+ * options.omitParams    query parameters never recorded (the query-style API
+ *                       key parameter by default)
+ * options.mode / dir    override SIM_RECORD_MODE / SIM_FIXTURE_DIR
+ * options.onEvent       (message) => void, for logging
+ */
+function createRecorder(name, options = {}) {
+    const mode = resolveMode(options.mode);
+    const dir = path.join(options.dir || process.env.SIM_FIXTURE_DIR || DEFAULT_FIXTURE_DIR, name);
+    const runRoute = { method: 'POST', ...options.runRoute };
+    const { runIdField = 'run_id', webhookField = 'webhook_url', webhookSecret } = options;
+    const exclude = options.exclude || ['/admin'];
+    const omitParams = options.omitParams || [AUTH_DEFAULTS.queryParam];
+    const onEvent = options.onEvent || (() => {});
+    const fromRunRequest = (req, key, field) => (options.runRequest ? options.runRequest.extract(req)[key] : req.body && req.body[field]);
+
+    const fixtures = new Map(); // external run id -> fixture being recorded
+    const runFixtures = new Map(); // simulator run id -> fixture
+    const sessions = new Map(); // external run id -> replay session
+    const runSessions = new Map(); // recorded run id -> replay session
+    const dirty = new Set();
+    let flushTimer = null;
+
+    const isRunRequest = req => req.method === runRoute.method.toUpperCase() && req.path === runRoute.path;
+    const excluded = req => exclude.some(prefix => req.path.startsWith(prefix));
+    const recordedQuery = req => Object.fromEntries(Object.entries(req.query || {}).filter(([key]) => !omitParams.includes(key)));
+
+    function flush() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        dirty.forEach(fixture => {
+            try {
+                fs.mkdirSync(dir, { recursive: true });
+                const file = fixtureFile(dir, fixture.external_run_id);
+                fs.writeFileSync(`${file}.tmp`, JSON.stringify(fixture, null, 2));
+                fs.renameSync(`${file}.tmp`, file);
+            } catch (error) {
+                console.error(`[recorder] Failed to write fixture ${fixture.external_run_id}: ${error.message}`);
+            }
+        });
+        dirty.clear();
+    }
+
+    function save(fixture) {
+        dirty.add(fixture);
+        if (flushTimer) return;
+        flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+        flushTimer.unref();
+    }
+
+    function loadFixture(externalRunId) {
+        try {
+            return JSON.parse(fs.readFileSync(fixtureFile(dir, externalRunId), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`[recorder] Ignoring unreadable fixture for ${externalRunId}: ${error.message}`);
+            }
+            return null;
+        }
+    }
+
+    // Recording
+
+    function startFixture(externalRunId) {
+        const fixture = {
+            simulator: name,
+            external_run_id: externalRunId,
+            run_id: null,
+            recorded_at: new Date().toISOString(),
+            started_at_ms: clock.now(),
+            exchanges: [],
+            status_sequence: [],
+            webhooks: []
+        };
+        fixtures.set(externalRunId, fixture);
+        return fixture;
+    }
+
+    function recordExchange(fixture, req, res, buffer) {
+        const headers = {};
+        RECORDED_HEADERS.forEach(header => {
+            const value = res.getHeader(header);
+            if (value !== undefined) headers[header] = String(value);
+        });
+        const response = encodeBody(buffer, headers['content-type']);
+        const exchange = {
+            at_ms: clock.now() - fixture.started_at_ms,
+            method: req.method,
+            path: req.path,
+            query: recordedQuery(req),
+            body: req.body && Object.keys(req.body).length > 0 ? req.body : null,
+            status: res.statusCode,
+            headers,
+            response
+        };
+        fixture.exchanges.push(exchange);
+
+        if (isRunRequest(req) && response && typeof response === 'object' && typeof response[runIdField] === 'string') {
+            fixture.run_id = response[runIdField];
+            runFixtures.set(fixture.run_id, fixture);
+        }
+        // The statuses the client saw, without consecutive repeats
+        if (res.statusCode < 400 && response && typeof response === 'object' && typeof response.status === 'string') {
+            const last = fixture.status_sequence[fixture.status_sequence.length - 1];
+            if (last !== response.status) fixture.status_sequence.push(response.status);
+        }
+        save(fixture);
+    }
+
+    function record(req, res, next) {
+        let fixture = null;
+        if (isRunRequest(req)) {
+            const externalRunId = fromRunRequest(req, 'run_id', runIdField);
+            if (typeof externalRunId === 'string' && externalRunId !== '') {
+                // Retries with the same external run id join its fixture
+                fixture = fixtures.get(externalRunId) || startFixture(externalRunId);
+            }
+        } else {
+            const runId = candidateIds(req).find(value => runFixtures.has(value));
+            fixture = runId ? runFixtures.get(runId) : null;
+        }
+        if (fixture) {
+            captureResponse(res, buffer => recordExchange(fixture, req, res, buffer));
+        }
+        next();
+    }
+
+    if (mode === 'record') {
+        onWebhook(({ url, event, payload }) => {
+            const runId = Object.values(payload || {}).find(value => typeof value === 'string' && runFixtures.has(value));
+            if (!runId) return;
+            const fixture = runFixtures.get(runId);
+            fixture.webhooks.push({ at_ms: clock.now() - fixture.started_at_ms, event, url, payload });
+            save(fixture);
+        });
+    }
+
+    // Replay
+
+    function startSession(externalRunId, fixture, req) {
+        const session = { fixture, cursors: new Map(), runRequestsDone: false };
+        sessions.set(externalRunId, session);
+        if (fixture.run_id) runSessions.set(fixture.run_id, session);
+
+        const url = fromRunRequest(req, 'webhook_url', webhookField) || null;
+        fixture.webhooks.forEach(webhook => {
+            clock.setTimeout(() => {
+                deliverWebhook({
+                    url: url || webhook.url,
+                    event: webhook.event,
+                    payload: webhook.payload,
+                    secret: webhookSecret
+                }).then(delivery => {
+                    onEvent(`Replayed webhook ${webhook.event} for ${externalRunId}: ${delivery.delivered ? 'delivered' : 'failed'}`);
+                });
+            }, webhook.at_ms);
+        });
+        onEvent(`Replaying fixture for ${externalRunId} (${fixture.exchanges.length} exchanges, ${fixture.webhooks.length} webhooks)`);
+        return session;
+    }
+
+    // Recorded exchanges for the same endpoint are served in order; the last one repeats
+    function nextExchange(session, req) {
+        const { exchanges } = session.fixture;
+        const exact = exchangeKey(req.method, req.path, recordedQuery(req));
+        let matches = exchanges.filter(exchange => exchangeKey(exchange.method, exchange.path, exchange.query) === exact);
+        let key = exact;
+        if (matches.length === 0) {
+            key = `${req.method} ${req.path}`;
+            matches = exchanges.filter(exchange => exchange.method === req.method && exchange.path === req.path);
+        }
+        if (matches.length === 0) return null;
+
+        const cursor = session.cursors.get(key) || 0;
+        session.cursors.set(key, cursor + 1);
+        return { exchange: matches[Math.min(cursor, matches.length - 1)], exhausted: cursor + 1 >= matches.length };
+    }
+
+    function serve(res, exchange) {
+        res.status(exchange.status);
+        Object.entries(exchange.headers || {}).forEach(([header, value]) => res.set(header, value));
+        res.end(decodeBody(exchange.response));
+    }
+
+    function replay(req, res, next) {
+        if (isRunRequest(req)) {
+            const externalRunId = fromRunRequest(req, 'run_id', runIdField);
+            if (typeof externalRunId !== 'string' || externalRunId === '') return next();
+
+            // Once every recorded run request was played back, the conversation starts over
+            let session = sessions.get(externalRunId);
+            if (!session || session.runRequestsDone) {
+                const fixture = loadFixture(externalRunId);
+                if (!fixture) return next();
+                session = startSession(externalRunId, fixture, req);
+            }
+            const match = nextExchange(session, req);
+            if (!match) return next();
+            session.runRequestsDone = match.exhausted;
+            return serve(res, match.exchange);
+        }
+
+        const runId = candidateIds(req).find(value => runSessions.has(value));
+        if (!runId) return next();
+        const match = nextExchange(runSessions.get(runId), req);
+        if (!match) {
+            return res.status(404).json({
+                error: 'Not recorded',
+                message: `The fixture for run ${runId} has no ${req.method} ${req.path} exchange`
+            });
+        }
+        return serve(res, match.exchange);
+    }
+
+    if (mode === 'record') {
+        process.on('exit', flush);
+    }
+
+    return {
+        mode,
+        dir,
+        middleware() {
+            return (req, res, next) => {
+                if (mode !== 'record' || excluded(req)) return next();
+                return record(req, res, next);
+            };
+        },
+        replayMiddleware() {
+            return (req, res, next) => {
+                if (mode !== 'replay' || excluded(req)) return next();
+                return replay(req, res, next);
+            };
+        },
+        flush
+    };
+}
+
+module.exports = {
+    createRecorder
+};
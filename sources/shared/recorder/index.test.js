@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { requireApiKey } = require('../auth');
+const { createRecorder } = require('./index');
+
+// A provider with query-style auth, mounted the way the kernel mounts the recorder
+function startProvider(recorder) {
+    const app = express();
+    app.use(express.json());
+    app.use(recorder.middleware());
+    app.use(requireApiKey({ key: 'secret', style: 'query' }));
+    app.use(recorder.replayMiddleware());
+    app.post('/v1/runs', (req, res) => res.json({ run_id: 'run-1', status: 'live' }));
+    app.get('/v1/runs/:run_id', (req, res) => res.json({ status: 'live' }));
+
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+async function call(baseUrl, method, requestPath, body) {
+    const response = await fetch(`${baseUrl}${requestPath}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+describe('createRecorder', () => {
+    let dir;
+    let provider;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    });
+
+    afterEach(done => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        provider.server.close(done);
+    });
+
+    test('records the run without the query-style API key', async () => {
+        const recorder = createRecorder('source', { mode: 'record', dir, runRoute: { path: '/v1/runs' } });
+        provider = await startProvider(recorder);
+
+        await call(provider.baseUrl, 'POST', '/v1/runs?api_key=secret', { run_id: 'external-1' });
+        await call(provider.baseUrl, 'GET', '/v1/runs/run-1?api_key=secret&verbose=1');
+        await new Promise(resolve => setImmediate(resolve));
+        recorder.flush();
+
+        const text = fs.readFileSync(path.join(dir, 'source', 'external-1.json'), 'utf8');
+        expect(text).not.toContain('secret');
+        const fixture = JSON.parse(text);
+        expect(fixture.run_id).toBe('run-1');
+        expect(fixture.exchanges.map(exchange => exchange.query)).toEqual([{}, { verbose: '1' }]);
+    });
+
+    test('records requests the API key check rejects', async () => {
+        const recorder = createRecorder('source', { mode: 'record', dir, runRoute: { path: '/v1/runs' } });
+        provider = await startProvider(recorder);
+
+        await call(provider.baseUrl, 'POST', '/v1/runs', { run_id: 'external-1' });
+        await new Promise(resolve => setImmediate(resolve));
+        recorder.flush();
+
+        const fixture = JSON.parse(fs.readFileSync(path.join(dir, 'source', 'external-1.json'), 'utf8'));
+        expect(fixture.exchanges.map(exchange => exchange.status)).toEqual([401]);
+    });
+
+    test('replays fixtures only to requests with a valid API key', async () => {
+        fs.mkdirSync(path.join(dir, 'source'));
+        fs.writeFileSync(path.join(dir, 'source', 'external-1.json'), JSON.stringify({
+            external_run_id: 'external-1',
+            run_id: 'run-1',
+            exchanges: [
+                { method: 'POST', path: '/v1/runs', query: {}, status: 200, headers: { 'content-type': 'application/json' }, response: { run_id: 'run-1', status: 'recorded' } },
+                { method: 'GET', path: '/v1/runs/run-1', query: {}, status: 200, headers: { 'content-type': 'application/json' }, response: { status: 'recorded' } }
+            ],
+            status_sequence: ['recorded'],
+            webhooks: []
+        }));
+        const recorder = createRecorder('source', { mode: 'replay', dir, runRoute: { path: '/v1/runs' } });
+        provider = await startProvider(recorder);
+
+        expect(await call(provider.baseUrl, 'POST', '/v1/runs', { run_id: 'external-1' })).toMatchObject({ status: 401 });
+        expect(await call(provider.baseUrl, 'POST', '/v1/runs?api_key=wrong', { run_id: 'external-1' })).toMatchObject({ status: 401 });
+
+        expect(await call(provider.baseUrl, 'POST', '/v1/runs?api_key=secret', { run_id: 'external-1' }))
+            .toEqual({ status: 200, body: { run_id: 'run-1', status: 'recorded' } });
+        expect(await call(provider.baseUrl, 'GET', '/v1/runs/run-1?api_key=secret'))
+            .toEqual({ status: 200, body: { status: 'recorded' } });
+    });
+});
@@ -0,0 +1,517 @@
+/**
+ * Run Lifecycle
+ * The run handling shared by the class-based simulators (LinkedIn People
+ * Dataset, Real Estate API, AI Company Researcher). Those servers keep their
+ * provider routes, contracts, auth and response shapes; everything a run goes
+ * through between the run request and its terminal status lives here:
+ *
+ * - the run store, concurrency limiter, metrics, recorder, health and fault
+ *   engine, wired the same way for every server (middleware() mounts the
+ *   metrics, recorder and health middleware, in that order, before auth;
+ *   replayMiddleware() serves recorded fixtures and is mounted after auth)
+ * - submitRun: stores a run and admits or queues it; rejectOverCapacity
+ *   answers 429 with Retry-After when the limiter rejects instead of queueing
+ * - processing: a run waits out processingTime on the simulator clock and is
+ *   then generated; planned run faults fail or stall it part-way, and a run
+ *   still in progress at its timeout (the source's configuration.timeout)
+ *   ends as timedout
+ * - completeRun / failRun / cancelRun, each freeing the run's slot, recording
+ *   metrics and sending the signed webhook for its terminal status
+ * - run progress and the status view served by status and event endpoints
+ * - resuming in-flight runs from the run store on boot, the hourly cleanup of
+ *   day-old runs and the /admin adapter
+ *
+ * options:
+ *   label             display name for startup logs
+ *   processingTime    simulated processing time per run, in ms
+ *   timeout           run timeout in seconds when the source detail file has none
+ *   inProgressStatus  status while processing ('in_progress', 'processing')
+ *   idField           key naming the run in webhook payloads
+ *   generator         the simulator's generator (requiredFields, objectType)
+ *   generate(runInfo) { data, total_records, metadata } for the run, called
+ *                     inside the run's seed
+ *   runRequest        run_request_template resolver (shared/run-request)
+ *   runRoute          { method, path } of the run request, for the recorder
+ *   runIdField        provider field carrying the external run id
+ *   webhookField      provider field carrying the webhook URL
+ *   concurrency       resolveConcurrency defaults ({ limit, mode })
+ *   health            { sourceType, unavailable } for /api/health
+ */
+
+const { SimulatorLogger, calculateFieldCompleteness, calculateDataQualityMetrics } = require('../logging');
+const { resolveSeed, withSeed } = require('../data-generators');
+const { loadSourceConfiguration } = require('../source-config');
+const { deliverWebhook, attemptsFromConfiguration } = require('../webhooks');
+const { createFaultEngine } = require('../faults');
+const { resolveConcurrency, createRunLimiter } = require('../concurrency');
+const { clock } = require('../clock');
+const { createAdminRouter, TERMINAL_STATUSES } = require('../admin');
+const { createRunStore } = require('../run-store');
+const { createRecorder } = require('../recorder');
+const { createMetrics } = require('../metrics');
+const { resolveHealth, createHealth } = require('../health');
+
+const MAX_RUN_AGE_MS = 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Webhook event per terminal status; failed and timed-out runs share run.failed
+const WEBHOOK_EVENTS = { ready: 'run.completed', cancelled: 'run.cancelled' };
+
+function createRunLifecycle(sourceId, options) {
+    const {
+        label,
+        processingTime,
+        timeout: defaultTimeout,
+        inProgressStatus = 'in_progress',
+        idField = 'run_id',
+        generator,
+        generate,
+        runRequest,
+        runRoute,
+        runIdField = idField,
+        webhookField = 'webhook_url',
+        concurrency = {},
+        health: healthOptions = {}
+    } = options;
+
+    const logger = new SimulatorLogger(sourceId);
+    const sourceConfiguration = loadSourceConfiguration(sourceId);
+    const timeout = Number(sourceConfiguration.timeout) || defaultTimeout;
+    const timeoutTimers = new Map(); // Per run; never persisted
+
+    // Store for active runs (SIM_RUN_STORE=file keeps them across restarts)
+    const runs = createRunStore(sourceId);
+
+    // max_concurrent_runs from the source detail file; excess runs are queued or get a 429
+    const limiter = createRunLimiter(resolveConcurrency(sourceConfiguration, concurrency));
+
+    // Prometheus metrics at /metrics: requests, runs by status, durations, records, webhooks, faults
+    const metrics = createMetrics(sourceId, {
+        runs,
+        statuses: ['queued', 'waiting', inProgressStatus, 'ready', 'failed', 'timedout', 'cancelled']
+    });
+
+    // SIM_RECORD_MODE=record|replay captures runs into fixtures keyed by the external run id, or serves them back
+    const recorder = createRecorder(sourceId, {
+        runRoute,
+        runIdField,
+        webhookField,
+        runRequest,
+        webhookSecret: sourceConfiguration.auth_key,
+        onEvent: message => console.log(message)
+    });
+
+    // /api/health reflects capacity, queue depth and error rate; configuration.health
+    // scripts degraded/down windows and maintenance mode (503 before authentication)
+    const health = createHealth({
+        limiter,
+        settings: resolveHealth(sourceConfiguration),
+        details: () => ({ source_type: healthOptions.sourceType, timeout, simulator_name: sourceId }),
+        unavailable: healthOptions.unavailable,
+        onChange: (state, previous) => logger.write('health_transition', null, { status_from: previous, status_to: state.status, reason: state.reason, message: state.message })
+    });
+
+    // Fault injection (SIM_FAULTS, simulate_faults body flag, X-Simulator-Faults header)
+    const faults = createFaultEngine({
+        onInject: (fault, details) => {
+            metrics.faultInjected(fault);
+            logger.logError(null, 'fault_injection', `Injected fault '${fault}' ${JSON.stringify(details)}`);
+        }
+    });
+
+    function middleware() {
+        return [metrics.middleware(), recorder.middleware(), health.middleware()];
+    }
+
+    function replayMiddleware() {
+        return recorder.replayMiddleware();
+    }
+
+    /**
+     * Progress from elapsed processing time: 0 while queued, frozen where a stall,
+     * failure or cancellation stopped the run
+     */
+    function runProgress(runInfo) {
+        if (runInfo.status === 'ready') return 100;
+        if (runInfo.deadlines.completion === null) return 0;
+        const stoppedAt = runInfo.failed_at || runInfo.cancelled_at;
+        const until = stoppedAt ? new Date(stoppedAt).getTime() : clock.now();
+        const elapsed = processingTime - (runInfo.deadlines.completion - until);
+        let progress = Math.min(Math.floor((elapsed / processingTime) * 100), 100);
+        if (runInfo.stalled_progress !== undefined) {
+            progress = Math.min(progress, runInfo.stalled_progress);
+        }
+        return progress;
+    }
+
+    // Status view shared by status endpoints and event streams
+    function statusView(runId, runInfo) {
+        const view = {
+            status: runInfo.status,
+            progress: runProgress(runInfo),
+            timestamp: clock.date().toISOString()
+        };
+        if (runInfo.status === 'queued') {
+            view.queue_position = limiter.position(runId);
+        }
+        return view;
+    }
+
+    // Simulator seconds since the run was created, for the run duration histogram
+    function runSeconds(runInfo) {
+        return (clock.now() - new Date(runInfo.created_at).getTime()) / 1000;
+    }
+
+    /**
+     * Answers 429 with Retry-After when the limiter rejects new runs; true
+     * when the request was answered
+     */
+    function rejectOverCapacity(res) {
+        if (!limiter.shouldReject()) return false;
+        res.set('Retry-After', String(limiter.retryAfter));
+        res.status(429).json({
+            error: 'Too many requests',
+            message: `Concurrency limit of ${limiter.limit} runs reached. Retry after ${limiter.retryAfter} seconds.`
+        });
+        return true;
+    }
+
+    /**
+     * Stores a new run and starts processing it, or queues it until a slot
+     * frees up. Returns the limiter's admission ({ queued, position }).
+     */
+    function submitRun(req, runId, { externalId, webhookUrl, requestParams, seed }) {
+        const runInfo = {
+            id: runId,
+            external_id: externalId || runId,
+            status: 'waiting',
+            created_at: clock.date().toISOString(),
+            estimated_duration: clock.toRealSeconds(processingTime / 1000),
+            request_params: requestParams,
+            webhook_url: webhookUrl,
+            webhook_deliveries: [],
+            deadlines: { completion: null, timeout: null },
+            seed: resolveSeed(seed),
+            faults: faults.resolve(req)
+        };
+        runInfo.fault_plan = faults.planRun(runInfo.faults);
+        runs.set(runId, runInfo);
+        logger.trackRun(runId, runInfo.external_id);
+
+        const admission = limiter.admit(runId, () => processRun(runId));
+        if (admission.queued) {
+            runInfo.status = 'queued';
+            runs.save(runId);
+        }
+        return admission;
+    }
+
+    /**
+     * Processes an admitted run: it waits out the processing time, then its
+     * data is generated. A run restored from the store in progress only waits
+     * out the rest.
+     */
+    async function processRun(runId) {
+        const runInfo = runs.get(runId);
+        if (!runInfo) return;
+
+        try {
+            if (runInfo.status !== inProgressStatus) {
+                const previousStatus = runInfo.status;
+                runInfo.status = inProgressStatus;
+                runInfo.started_at = clock.date().toISOString();
+                runInfo.deadlines.completion = clock.now() + processingTime;
+                runInfo.deadlines.timeout = clock.now() + timeout * 1000;
+                runs.save(runId);
+
+                logger.logStatusTransition(runId, previousStatus, inProgressStatus, 0);
+            }
+            scheduleTimeout(runId);
+
+            // Injected run faults halt processing part-way: a failure falls through to
+            // the error path below, a stall leaves the run in progress until it times out
+            const { failAt, stallAt } = runInfo.fault_plan;
+            const haltAt = failAt !== null ? failAt : stallAt;
+            const haltedEarlyBy = processingTime * (1 - (haltAt !== null ? haltAt : 1));
+            await clock.sleep(runInfo.deadlines.completion - haltedEarlyBy - clock.now());
+
+            // The admin API may have finished, failed, stalled or purged the run meanwhile
+            if (runs.get(runId) !== runInfo || runInfo.status !== inProgressStatus || runInfo.stalled_progress !== undefined) {
+                return;
+            }
+            if (failAt !== null) {
+                throw new Error('Run failed during processing');
+            }
+            if (stallAt !== null) {
+                runInfo.stalled_progress = Math.floor(stallAt * 100);
+                runs.save(runId);
+                return;
+            }
+
+            completeRun(runId);
+
+        } catch (error) {
+            failRun(runId, 'failed', error.message);
+        }
+    }
+
+    function scheduleTimeout(runId) {
+        const runInfo = runs.get(runId);
+        clock.clearTimeout(timeoutTimers.get(runId));
+        timeoutTimers.set(runId, clock.setTimeout(() => timeoutRun(runId), runInfo.deadlines.timeout - clock.now()));
+    }
+
+    function clearTimeoutTimer(runId) {
+        clock.clearTimeout(timeoutTimers.get(runId));
+        timeoutTimers.delete(runId);
+    }
+
+    // Fails a run still pending at its deadline, stalled runs included, which frees its slot
+    function timeoutRun(runId) {
+        timeoutTimers.delete(runId);
+        const runInfo = runs.get(runId);
+        if (!runInfo || TERMINAL_STATUSES.includes(runInfo.status)) return;
+        console.warn(`Run ${runId} timed out after ${timeout} seconds`);
+        failRun(runId, 'timedout', `Run ${runId} timed out after ${timeout} seconds`);
+    }
+
+    /**
+     * Generate the run's data and mark it ready
+     */
+    function completeRun(runId) {
+        const runInfo = runs.get(runId);
+        const previousStatus = runInfo.status;
+        clearTimeoutTimer(runId);
+
+        const response = withSeed(runInfo.seed, () => generate(runInfo));
+
+        // Injected missing-field faults; quality metrics are recomputed to match
+        const records = response.data.map(record => faults.dropFields(record, runInfo.faults, generator.requiredFields));
+        if (records.some((record, index) => record !== response.data[index])) {
+            response.metadata.field_completeness = calculateFieldCompleteness(records, generator.requiredFields);
+            response.metadata.data_quality = calculateDataQualityMetrics(records, generator.objectType);
+        }
+
+        runInfo.status = 'ready';
+        runInfo.data = records;
+        runInfo.record_count = response.total_records;
+        runInfo.completed_at = clock.date().toISOString();
+        runInfo.metadata = { ...response.metadata, seed: runInfo.seed };
+        runs.save(runId);
+        limiter.release(runId);
+        metrics.recordsGenerated(records.length);
+        metrics.runFinished('ready', runSeconds(runInfo));
+
+        logger.logStatusTransition(runId, previousStatus, 'ready', processingTime);
+        logger.logDataGeneration(
+            runId,
+            generator.objectType,
+            response.total_records,
+            response.metadata.field_completeness,
+            response.metadata.data_quality
+        );
+
+        sendRunWebhook(runId, 'webhook_delivery', {
+            [idField]: runId,
+            status: 'completed',
+            total_records: runInfo.record_count,
+            completed_at: runInfo.completed_at,
+            data: runInfo.data,
+            metadata: runInfo.metadata
+        }, runInfo.record_count);
+    }
+
+    /**
+     * Mark the run failed or timed out and notify the webhook
+     */
+    function failRun(runId, status, message) {
+        const runInfo = runs.get(runId);
+        clearTimeoutTimer(runId);
+        runInfo.status = status;
+        runInfo.error = message;
+        runInfo.failed_at = clock.date().toISOString();
+        runs.save(runId);
+        limiter.release(runId);
+        metrics.runFinished(status, runSeconds(runInfo));
+
+        logger.logError(runId, 'data_generation', message, true, false);
+
+        sendRunWebhook(runId, 'error_webhook_delivery', {
+            [idField]: runId,
+            status: runInfo.status,
+            error: runInfo.error,
+            failed_at: runInfo.failed_at
+        });
+    }
+
+    /**
+     * Cancel the run: processing stops where it is and its slot frees up
+     */
+    function cancelRun(runId) {
+        const runInfo = runs.get(runId);
+        const previousStatus = runInfo.status;
+        clearTimeoutTimer(runId);
+        runInfo.status = 'cancelled';
+        runInfo.cancelled_at = clock.date().toISOString();
+        runs.save(runId);
+        limiter.release(runId);
+        metrics.runFinished('cancelled', runSeconds(runInfo));
+
+        logger.logStatusTransition(runId, previousStatus, 'cancelled', 0);
+
+        sendRunWebhook(runId, 'cancel_webhook_delivery', {
+            [idField]: runId,
+            status: 'cancelled',
+            cancelled_at: runInfo.cancelled_at
+        });
+    }
+
+    /**
+     * POST a webhook payload with retries and exponential backoff, signed with the
+     * source's auth_key, when the run has a webhook URL. Every attempt is recorded
+     * on runInfo.webhook_deliveries.
+     */
+    async function sendRunWebhook(runId, endpoint, payload, recordCount = null) {
+        const runInfo = runs.get(runId);
+        if (!runInfo.webhook_url) return;
+
+        try {
+            const event = WEBHOOK_EVENTS[runInfo.status] || 'run.failed';
+            const delivery = await deliverWebhook({
+                url: runInfo.webhook_url,
+                event,
+                payload,
+                secret: sourceConfiguration.auth_key,
+                maxAttempts: attemptsFromConfiguration(sourceConfiguration),
+                deliveries: runInfo.webhook_deliveries,
+                onAttempt: attempt => {
+                    runs.save(runId);
+                    metrics.webhookAttempt(event, attempt.outcome);
+                    logger.logApiCall(runId, endpoint, 'POST', attempt.outcome, attempt.duration_ms, recordCount);
+                    if (attempt.outcome !== 'success') {
+                        logger.logError(runId, endpoint, `Attempt ${attempt.attempt} failed: ${attempt.error}`, attempt.next_retry_in_ms !== null, false);
+                    }
+                }
+            });
+
+            if (!delivery.delivered) {
+                logger.logError(runId, endpoint, `Webhook not delivered after ${delivery.attempts.length} attempts`, true, false);
+            }
+        } catch (error) {
+            logger.logError(runId, endpoint, error.message);
+        }
+    }
+
+    /**
+     * Resume runs restored from the run store: runs that were in progress reclaim
+     * their concurrency slot first, queued runs rejoin the queue in arrival order
+     */
+    function resumeRuns() {
+        const pending = [...runs.entries()]
+            .filter(([, runInfo]) => !TERMINAL_STATUSES.includes(runInfo.status))
+            .sort(([, a], [, b]) => (a.status === 'queued') - (b.status === 'queued') || a.created_at.localeCompare(b.created_at));
+
+        pending.forEach(([runId, runInfo]) => {
+            logger.trackRun(runId, runInfo.external_id);
+            limiter.admit(runId, () => processRun(runId));
+        });
+        if (pending.length > 0) {
+            console.log(`Resumed ${pending.length} in-flight run(s) from the ${runs.driver} run store`);
+        }
+    }
+
+    function purgeRun(runId) {
+        clearTimeoutTimer(runId);
+        runs.delete(runId);
+        limiter.release(runId);
+        logger.forgetRun(runId);
+    }
+
+    /**
+     * Admin API (/admin): list, inspect, steer and purge runs
+     */
+    function adminRouter() {
+        return createAdminRouter({
+            runs,
+            summarize: (runId, runInfo) => ({
+                run_id: runId,
+                external_run_id: runInfo.external_id,
+                status: runInfo.status,
+                progress: runProgress(runInfo),
+                created_at: runInfo.created_at,
+                completed_at: runInfo.completed_at || runInfo.failed_at || runInfo.cancelled_at || null,
+                error: runInfo.error || null
+            }),
+            inspect: runId => ({ queue_position: limiter.position(runId) }),
+            complete: completeRun,
+            fail: failRun,
+            stall: runId => {
+                const runInfo = runs.get(runId);
+                if (runInfo.status !== inProgressStatus) return false;
+                runInfo.stalled_progress = runProgress(runInfo);
+                runs.save(runId);
+                return true;
+            },
+            purge: purgeRun
+        });
+    }
+
+    /**
+     * Start the server with clean shutdown on signals, so the run store
+     * flushes its last writes; extra startup lines follow the port line
+     */
+    function listen(app, port, lines = []) {
+        ['SIGTERM', 'SIGINT'].forEach(signal => {
+            process.once(signal, () => {
+                console.log(`${signal} received, shutting down gracefully`);
+                process.exit(0);
+            });
+        });
+        return app.listen(port, () => {
+            console.log(`${label} Simulator running on port ${port}`);
+            console.log(`Health check: http://localhost:${port}/api/health`);
+            lines.forEach(line => console.log(line));
+            if (recorder.mode !== 'off') {
+                console.log(`${recorder.mode === 'record' ? 'Recording' : 'Replaying'} fixtures in ${recorder.dir}`);
+            }
+        });
+    }
+
+    // Drop runs older than a day
+    clock.setInterval(() => {
+        const now = clock.now();
+        for (const [runId, runInfo] of runs.entries()) {
+            if (now - new Date(runInfo.created_at).getTime() > MAX_RUN_AGE_MS) {
+                clearTimeoutTimer(runId);
+                runs.delete(runId);
+                logger.forgetRun(runId);
+            }
+        }
+    }, CLEANUP_INTERVAL_MS);
+
+    resumeRuns();
+
+    return {
+        logger,
+        sourceConfiguration,
+        runs,
+        limiter,
+        metrics,
+        recorder,
+        health,
+        faults,
+        middleware,
+        replayMiddleware,
+        runProgress,
+        statusView,
+        rejectOverCapacity,
+        submitRun,
+        cancelRun,
+        adminRouter,
+        listen
+    };
+}
+
+module.exports = {
+    createRunLifecycle
+};
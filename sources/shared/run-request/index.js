@@ -0,0 +1,166 @@
+/**
+ * Run Request Templates
+ * Reads run requests the way the platform writes them. A source's
+ * source-setup.json declares in run_request_template.request where the run's
+ * settings (run_setup), webhook URL (webhook_url) and external run id (run_id)
+ * go, as path arrays:
+ *
+ *   "request": {
+ *     "run_setup": ["body", "filter", "filters"],
+ *     "webhook_url": ["webhook_url"],
+ *     "run_id": ["id"]
+ *   }
+ *
+ * Paths start at the request body unless their first segment is body, query,
+ * headers or url. Each value is read from the template path first and from the
+ * simulator's own provider field when the template path is empty, so requests
+ * built by the platform and hand-written provider-style requests both work,
+ * and editing a template changes what a simulator reads without code changes.
+ */
+
+const { loadSourceSetups } = require('../source-config');
+
+const TEMPLATE_KEYS = ['run_setup', 'webhook_url', 'run_id'];
+const PATH_ROOTS = ['body', 'url', 'query', 'headers'];
+
+/**
+ * { root, path } for a template path: ['filter', 'filters'] and
+ * ['body', 'filter', 'filters'] both read filter.filters from the body.
+ */
+function splitPath(segments) {
+    if (PATH_ROOTS.includes(segments[0])) return { root: segments[0], path: segments.slice(1) };
+    return { root: 'body', path: segments };
+}
+
+// The value at a path array below value, or undefined where the path breaks off
+function getPath(value, segments) {
+    return segments.reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+}
+
+function isPresent(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * The value a template path points at in an Express request. Run requests
+ * carry no run id in their URL, so url paths resolve to nothing.
+ */
+function valueAt(req, segments) {
+    const { root, path } = splitPath(segments);
+    switch (root) {
+        case 'query': return getPath(req.query || {}, path);
+        case 'headers': return path.length > 0 ? req.get(path[0]) : undefined;
+        case 'url': return undefined;
+        default: return getPath(req.body || {}, path);
+    }
+}
+
+/**
+ * run_request_template.request from the source's source-setup.json (the first
+ * setup, or setupId), or null when the source has none.
+ */
+function loadRunRequestTemplate(sourceId, setupId) {
+    const setups = loadSourceSetups(sourceId);
+    const setup = setupId ? setups.find(candidate => candidate.setupId === setupId) : setups[0];
+    const template = setup && setup.templates.run_request_template;
+    return (template && template.request) || null;
+}
+
+/**
+ * Fields a simulator reads from the run setup, each taken from the run_setup
+ * object when it has it and from the request body otherwise. With the common
+ * ["body"] template that is the body itself; a run_setup nested deeper (say
+ * filters.pagination) still leaves the provider's top-level fields readable.
+ */
+function pickFields(runSetup, body, fields) {
+    const setup = runSetup && typeof runSetup === 'object' && !Array.isArray(runSetup) ? runSetup : {};
+    const picked = {};
+    fields.forEach(field => {
+        picked[field] = Object.prototype.hasOwnProperty.call(setup, field) ? setup[field] : (body || {})[field];
+    });
+    return picked;
+}
+
+/**
+ * outerPath when innerPath lies strictly below it (same root, outerPath
+ * non-empty), else null.
+ */
+function enclosingPath(innerPath, outerPath) {
+    if (!Array.isArray(innerPath) || !Array.isArray(outerPath)) return null;
+    const inner = splitPath(innerPath);
+    const outer = splitPath(outerPath);
+    const within = outer.path.length > 0
+        && inner.root === outer.root
+        && inner.path.length > outer.path.length
+        && outer.path.every((segment, index) => inner.path[index] === segment);
+    return within ? outerPath : null;
+}
+
+/**
+ * Creates a run request resolver for a source.
+ *
+ * sourceId        source folder with the source-setup.json (sources without one
+ *                 read only their own fields)
+ * native          the simulator's own paths for each key, e.g.
+ *                 { run_setup: ['filters'], webhook_url: ['callback_url'], run_id: ['request_id'] }
+ * options.setupId which setup to follow when the file declares several
+ *
+ * A template run_setup path that points inside the provider's own run_setup
+ * object (Real Estate's ["body","filters","location","price_range"] inside
+ * filters) resolves to that enclosing object, so the settings next to it
+ * still reach the simulator.
+ *
+ * extract(req) returns { run_setup, webhook_url, run_id }; fields(key) lists
+ * the top-level body fields a key may arrive in (template first), for
+ * contracts that document or require them, and schemaProperties() types the
+ * run id and webhook URL fields for a contract to merge under its own.
+ */
+function createRunRequestResolver(sourceId, native = {}, options = {}) {
+    const template = loadRunRequestTemplate(sourceId, options.setupId);
+    const paths = Object.fromEntries(TEMPLATE_KEYS.map(key => [key, [
+        ...(template && Array.isArray(template[key]) ? [template[key]] : []),
+        ...(native[key] ? [native[key]] : [])
+    ]]));
+
+    const enclosingSetup = enclosingPath(template && template.run_setup, native.run_setup);
+
+    function fields(key) {
+        const names = paths[key]
+            .map(splitPath)
+            .filter(({ root, path }) => root === 'body' && path.length > 0)
+            .map(({ path }) => path[0]);
+        return [...new Set(names)];
+    }
+
+    return {
+        template,
+        paths,
+        fields,
+        extract(req) {
+            return Object.fromEntries(TEMPLATE_KEYS.map(key => {
+                const value = paths[key].map(segments => valueAt(req, segments)).find(isPresent);
+                if (key === 'run_setup' && enclosingSetup && isPresent(value)) {
+                    return [key, valueAt(req, enclosingSetup)];
+                }
+                return [key, value];
+            }));
+        },
+        schemaProperties() {
+            return {
+                ...Object.fromEntries(fields('run_id').map(field => [field, { type: 'string', description: 'External run id' }])),
+                ...Object.fromEntries(fields('webhook_url').map(field => [field, { type: 'string', format: 'uri' }]))
+            };
+        }
+    };
+}
+
+module.exports = {
+    TEMPLATE_KEYS,
+    PATH_ROOTS,
+    splitPath,
+    getPath,
+    valueAt,
+    loadRunRequestTemplate,
+    pickFields,
+    createRunRequestResolver
+};
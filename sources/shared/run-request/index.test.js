@@ -0,0 +1,124 @@
+const { splitPath, getPath, valueAt, pickFields, createRunRequestResolver } = require('./index');
+
+// Just enough of an Express request for the resolver
+function request({ body = {}, query = {}, headers = {} } = {}) {
+    return {
+        body,
+        query,
+        get: name => headers[name.toLowerCase()]
+    };
+}
+
+describe('splitPath', () => {
+    test('reads from the body unless the path names a root', () => {
+        expect(splitPath(['filter', 'filters'])).toEqual({ root: 'body', path: ['filter', 'filters'] });
+        expect(splitPath(['body', 'filter', 'filters'])).toEqual({ root: 'body', path: ['filter', 'filters'] });
+        expect(splitPath(['query', 'id'])).toEqual({ root: 'query', path: ['id'] });
+        expect(splitPath(['body'])).toEqual({ root: 'body', path: [] });
+    });
+});
+
+describe('getPath', () => {
+    test('walks the path and stops where it breaks off', () => {
+        const value = { filter: { filters: { city: 'Austin' }, tags: ['a', 'b'] } };
+        expect(getPath(value, ['filter', 'filters', 'city'])).toBe('Austin');
+        expect(getPath(value, ['filter', 'tags', 1])).toBe('b');
+        expect(getPath(value, ['filter', 'missing', 'city'])).toBeUndefined();
+        expect(getPath(value, [])).toBe(value);
+    });
+});
+
+describe('valueAt', () => {
+    const req = request({
+        body: { filter: { filters: { city: 'Austin' } } },
+        query: { id: 'run-7' },
+        headers: { 'x-run-id': 'run-9' }
+    });
+
+    test('reads body, query and header paths', () => {
+        expect(valueAt(req, ['filter', 'filters', 'city'])).toBe('Austin');
+        expect(valueAt(req, ['body', 'filter', 'filters'])).toEqual({ city: 'Austin' });
+        expect(valueAt(req, ['query', 'id'])).toBe('run-7');
+        expect(valueAt(req, ['headers', 'X-Run-Id'])).toBe('run-9');
+    });
+
+    test('resolves url paths and a bare headers root to nothing', () => {
+        expect(valueAt(req, ['url', 'run_id'])).toBeUndefined();
+        expect(valueAt(req, ['headers'])).toBeUndefined();
+    });
+});
+
+describe('pickFields', () => {
+    test('prefers the run setup and falls back to the body per field', () => {
+        const body = { query: 'Acme', depth: 2, pagination: { limit: 5 } };
+        expect(pickFields({ depth: 3 }, body, ['query', 'depth'])).toEqual({ query: 'Acme', depth: 3 });
+    });
+
+    test('keeps explicit falsy run setup values', () => {
+        expect(pickFields({ depth: 0 }, { depth: 2 }, ['depth'])).toEqual({ depth: 0 });
+    });
+
+    test('ignores a run setup that is not an object', () => {
+        expect(pickFields('Acme', { query: 'Beta' }, ['query'])).toEqual({ query: 'Beta' });
+        expect(pickFields(['a'], null, ['query'])).toEqual({ query: undefined });
+    });
+});
+
+describe('createRunRequestResolver', () => {
+    test('reads only the provider fields for sources without a source-setup.json', () => {
+        const resolver = createRunRequestResolver(null, {
+            run_setup: ['filters'],
+            webhook_url: ['callback_url'],
+            run_id: ['request_id']
+        });
+        const req = request({ body: { filters: { city: 'Austin' }, callback_url: 'http://localhost/hook', request_id: 'r-1' } });
+
+        expect(resolver.template).toBeNull();
+        expect(resolver.extract(req)).toEqual({
+            run_setup: { city: 'Austin' },
+            webhook_url: 'http://localhost/hook',
+            run_id: 'r-1'
+        });
+        expect(resolver.fields('run_id')).toEqual(['request_id']);
+    });
+
+    describe('with the Real Estate template', () => {
+        const resolver = createRunRequestResolver('real-estate-api', {
+            run_setup: ['filters'],
+            webhook_url: ['callback_url'],
+            run_id: ['request_id']
+        });
+
+        test('reads the template paths before the provider fields', () => {
+            const req = request({ body: { id: 'ext-1', request_id: 'r-1', webhook_url: 'http://localhost/a', callback_url: 'http://localhost/b' } });
+            const { webhook_url, run_id } = resolver.extract(req);
+            expect(run_id).toBe('ext-1');
+            expect(webhook_url).toBe('http://localhost/a');
+            expect(resolver.fields('run_id')).toEqual(['id', 'request_id']);
+        });
+
+        test('falls back to the provider fields when the template paths are empty', () => {
+            const req = request({ body: { request_id: 'r-1', callback_url: 'http://localhost/b' } });
+            expect(resolver.extract(req)).toMatchObject({ run_id: 'r-1', webhook_url: 'http://localhost/b' });
+        });
+
+        test('resolves run_setup to the filters object around the template path', () => {
+            const filters = { property_type: 'condo', location: { city: 'Austin', price_range: { min: 1, max: 2 } } };
+            expect(resolver.extract(request({ body: { filters } })).run_setup).toEqual(filters);
+        });
+
+        test('reads the provider filters when the template path is absent', () => {
+            const filters = { property_type: 'condo' };
+            expect(resolver.extract(request({ body: { filters } })).run_setup).toEqual(filters);
+        });
+
+        test('types the run id and webhook URL fields', () => {
+            expect(resolver.schemaProperties()).toEqual({
+                id: { type: 'string', description: 'External run id' },
+                request_id: { type: 'string', description: 'External run id' },
+                webhook_url: { type: 'string', format: 'uri' },
+                callback_url: { type: 'string', format: 'uri' }
+            });
+        });
+    });
+});
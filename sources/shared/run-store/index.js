@@ -0,0 +1,158 @@
+/**
+ * Run Store
+ * Map-like storage for a simulator's runs with a pluggable persistence driver,
+ * selected with SIM_RUN_STORE:
+ *
+ * - memory: runs live in the process only (default)
+ * - file:   runs are snapshotted to {SIM_RUN_STORE_DIR}/{name}.json (default
+ *           ./run-store) and restored when the simulator boots
+ *
+ * Runs must be plain JSON. Simulators mutate runs in place and call save(runId)
+ * after each change; writes are batched and flushed on exit. Timer deadlines
+ * are kept on the run as simulator-clock timestamps under run.deadlines; on
+ * restore they are pushed back by the downtime so in-flight runs pick up
+ * where their lifecycle left off.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { clock } = require('../clock');
+
+const DEFAULT_STORE_DIR = path.join(process.cwd(), 'run-store');
+const FLUSH_DELAY_MS = 200;
+
+function createFileDriver(name, options) {
+    const dir = options.dir || process.env.SIM_RUN_STORE_DIR || DEFAULT_STORE_DIR;
+    const file = path.join(dir, `${name}.json`);
+
+    return {
+        persistent: true,
+        location: file,
+
+        load() {
+            try {
+                return JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.warn(`[run-store] Ignoring unreadable snapshot ${file}: ${error.message}`);
+                }
+                return null;
+            }
+        },
+
+        // Write-then-rename so a crash mid-write keeps the previous snapshot
+        write(snapshot) {
+            fs.mkdirSync(dir, { recursive: true });
+            const temporary = `${file}.tmp`;
+            fs.writeFileSync(temporary, JSON.stringify(snapshot));
+            fs.renameSync(temporary, file);
+        }
+    };
+}
+
+const DRIVERS = {
+    memory: () => ({ persistent: false, location: null, load: () => null, write: () => {} }),
+    file: createFileDriver
+};
+
+/**
+ * Creates the store for one simulator.
+ *
+ * name            snapshot name (the source id)
+ * options.driver  memory | file; defaults to SIM_RUN_STORE
+ * options.dir     snapshot directory for the file driver
+ * options.revive  (run) => run, applied to each restored run (e.g. to turn
+ *                 ISO strings back into Dates)
+ */
+function createRunStore(name, options = {}) {
+    const driverName = options.driver || process.env.SIM_RUN_STORE || 'memory';
+    if (!DRIVERS[driverName]) {
+        throw new Error(`Unknown run store '${driverName}'`);
+    }
+    const backend = DRIVERS[driverName](name, options);
+    const runs = new Map();
+    let flushTimer = null;
+    let downtime = 0;
+
+    const snapshot = backend.load();
+    if (snapshot) {
+        clock.resumeFrom(snapshot.clock_time);
+        downtime = Math.max(0, clock.now() - snapshot.clock_time);
+        Object.entries(snapshot.runs || {}).forEach(([runId, run]) => {
+            if (run.deadlines) {
+                Object.keys(run.deadlines).forEach(key => {
+                    if (typeof run.deadlines[key] === 'number') run.deadlines[key] += downtime;
+                });
+            }
+            runs.set(runId, options.revive ? options.revive(run) : run);
+        });
+    }
+
+    function flush() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        if (!backend.persistent) return;
+        try {
+            backend.write({
+                saved_at: new Date().toISOString(),
+                clock_time: clock.now(),
+                runs: Object.fromEntries(runs)
+            });
+        } catch (error) {
+            console.error(`[run-store] Failed to write ${backend.location}: ${error.message}`);
+        }
+    }
+
+    // Batches writes; the run id is accepted for readability at call sites
+    function save() {
+        if (!backend.persistent || flushTimer) return;
+        flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+        flushTimer.unref();
+    }
+
+    if (backend.persistent) {
+        process.on('exit', flush);
+    }
+
+    return {
+        driver: driverName,
+        location: backend.location,
+        restored: Boolean(snapshot),
+        downtime,
+
+        get size() {
+            return runs.size;
+        },
+        get: runId => runs.get(runId),
+        has: runId => runs.has(runId),
+        set(runId, run) {
+            runs.set(runId, run);
+            save(runId);
+            return this;
+        },
+        delete(runId) {
+            const deleted = runs.delete(runId);
+            save(runId);
+            return deleted;
+        },
+        clear() {
+            runs.clear();
+            save();
+        },
+        keys: () => runs.keys(),
+        values: () => runs.values(),
+        entries: () => runs.entries(),
+        forEach: callback => runs.forEach(callback),
+        [Symbol.iterator]: () => runs.entries(),
+
+        save,
+        flush
+    };
+}
+
+module.exports = {
+    DRIVERS,
+    createRunStore
+};
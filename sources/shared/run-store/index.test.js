@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { clock } = require('../clock');
+const { createRunStore } = require('./index');
+
+describe('createRunStore', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-store-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('keeps runs in memory by default', () => {
+        const runs = createRunStore('memory-source');
+        runs.set('run-1', { status: 'waiting' });
+        runs.flush();
+
+        expect(runs.driver).toBe('memory');
+        expect(runs.location).toBeNull();
+        expect(runs.get('run-1')).toEqual({ status: 'waiting' });
+        expect([...runs.keys()]).toEqual(['run-1']);
+        expect(fs.readdirSync(dir)).toEqual([]);
+    });
+
+    test('rejects unknown drivers', () => {
+        expect(() => createRunStore('source', { driver: 'redis' })).toThrow("Unknown run store 'redis'");
+    });
+
+    test('restores runs from the file snapshot', () => {
+        const runs = createRunStore('file-source', { driver: 'file', dir });
+        runs.set('run-1', { status: 'ready', data: [{ id: 1 }] });
+        runs.set('run-2', { status: 'cancelled' });
+        runs.delete('run-2');
+        runs.flush();
+
+        const restored = createRunStore('file-source', { driver: 'file', dir });
+        expect(restored.location).toBe(path.join(dir, 'file-source.json'));
+        expect(restored.restored).toBe(true);
+        expect(restored.size).toBe(1);
+        expect(restored.get('run-1')).toEqual({ status: 'ready', data: [{ id: 1 }] });
+    });
+
+    test('pushes deadlines back by the downtime so in-flight runs resume where they left off', () => {
+        const savedAt = clock.now() - 5000;
+        fs.writeFileSync(path.join(dir, 'resumed-source.json'), JSON.stringify({
+            clock_time: savedAt,
+            runs: {
+                'run-1': { status: 'scraping', deadlines: { start: null, timeout: savedAt + 2000 } }
+            }
+        }));
+
+        const restored = createRunStore('resumed-source', { driver: 'file', dir });
+        expect(restored.downtime).toBeGreaterThanOrEqual(5000);
+        expect(restored.get('run-1').deadlines).toEqual({ start: null, timeout: savedAt + 2000 + restored.downtime });
+    });
+
+    test('applies revive to every restored run', () => {
+        const runs = createRunStore('revived-source', { driver: 'file', dir });
+        runs.set('run-1', { createdAt: new Date('2024-01-01T00:00:00.000Z') });
+        runs.flush();
+
+        const restored = createRunStore('revived-source', {
+            driver: 'file',
+            dir,
+            revive: run => ({ ...run, createdAt: new Date(run.createdAt) })
+        });
+        expect(restored.get('run-1').createdAt).toEqual(new Date('2024-01-01T00:00:00.000Z'));
+    });
+
+    test('ignores an unreadable snapshot', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        fs.writeFileSync(path.join(dir, 'broken-source.json'), '{ not json');
+
+        const restored = createRunStore('broken-source', { driver: 'file', dir });
+        expect(restored.restored).toBe(false);
+        expect(restored.size).toBe(0);
+        expect(console.warn).toHaveBeenCalled();
+        console.warn.mockRestore();
+    });
+});
@@ -0,0 +1,186 @@
+/**
+ * The OpenAPI contract of a descriptor-based simulator: one operation per
+ * kernel route, with the run request body built from runIdField, webhookField,
+ * the fields the source's run_request_template reads them from, and the
+ * descriptor's requestSchema, and response schemas that follow the
+ * descriptor's statuses and object type. Returns the document plus one
+ * validator middleware per route.
+ */
+
+const { OPERATION_IDS, createOpenApi, objectTypeSchema } = require('../openapi');
+const { FORMAT_NAMES } = require('../formats');
+
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const error = description => json(description, { $ref: '#/components/schemas/Error' });
+
+// Require one of the fields a value may arrive in
+function requireOneOf(fields) {
+    return fields.length === 1 ? { required: fields } : { anyOf: fields.map(field => ({ required: [field] })) };
+}
+
+function createContract(config, { runRequest, authStyle, secured, pagination, onInvalid }) {
+    const { name, routes, runLabel, idParam, runIdField, webhookField } = config;
+    const requestSchema = config.requestSchema || {};
+
+    const openApi = createOpenApi({
+        title: `${name} Simulator`,
+        description: `Simulated ${name} API (${config.sourceType || 'source'}).`,
+        port: config.port,
+        auth: secured ? { ...config.auth, style: authStyle } : null,
+        error: config.validation && config.validation.error,
+        onInvalid
+    });
+    const { schemas } = openApi.document.components;
+
+    const statuses = [...new Set(['queued', config.acceptedStatus, 'waiting', config.inProgressStatus, 'ready', 'failed', 'timedout', config.cancellation.status].filter(Boolean))];
+    schemas.Record = config.objectType ? objectTypeSchema(config.objectType) : { type: 'object' };
+
+    const runIdFields = runRequest ? runRequest.fields('run_id') : [runIdField];
+    const webhookFields = runRequest ? runRequest.fields('webhook_url') : [webhookField];
+    const runIdSchema = { type: 'string', minLength: 1, description: 'External run id, echoed in webhooks' };
+    const webhookSchema = { type: 'string', format: 'uri', description: 'Receives the run.completed, run.failed and run.cancelled webhooks' };
+
+    schemas.RunRequest = {
+        type: 'object',
+        required: requestSchema.required || [],
+        allOf: [requireOneOf(runIdFields), ...(config.webhookRequired ? [requireOneOf(webhookFields)] : [])],
+        properties: {
+            ...Object.fromEntries(runIdFields.map(field => [field, runIdSchema])),
+            ...Object.fromEntries(webhookFields.map(field => [field, webhookSchema])),
+            seed: { type: ['integer', 'string'], description: 'Reproducible data for the same request' },
+            simulate_faults: { type: ['object', 'string'], description: 'Fault-injection profile kept for the whole run' },
+            ...Object.fromEntries(config.requestFields.map(field => [field, {}])),
+            ...requestSchema.properties
+        }
+    };
+    schemas.RunAccepted = {
+        type: 'object',
+        required: ['status', runIdField],
+        properties: {
+            status: { type: 'string', enum: [config.acceptedStatus, 'queued'] },
+            [runIdField]: { type: 'string', format: 'uuid' },
+            estimated_duration: { type: 'number' },
+            queue_position: { type: 'integer' }
+        }
+    };
+    schemas.RunStatus = {
+        type: 'object',
+        required: ['status', 'progress', 'timestamp'],
+        properties: {
+            status: { type: 'string', enum: statuses },
+            progress: { type: 'integer', minimum: 0, maximum: 100 },
+            timestamp: { type: 'string', format: 'date-time' },
+            queue_position: { type: 'integer' },
+            error: { type: 'string' }
+        }
+    };
+    schemas.Delivery = {
+        type: 'object',
+        required: ['status', 'data', 'generated_at'],
+        properties: {
+            status: { type: 'string', enum: [config.deliveryStatus] },
+            data: config.lifecycle === 'records'
+                ? { type: 'array', items: { $ref: '#/components/schemas/Record' } }
+                : { type: ['object', 'array'] },
+            total_records: { type: 'integer' },
+            pagination: { type: 'object' },
+            generated_at: { type: 'string', format: 'date-time' },
+            metadata: { type: 'object' }
+        }
+    };
+
+    // Routes without the id in their path take it from the query (GET) or body (POST)
+    const idInPath = route => route.includes(`:${idParam}`);
+    const idQuery = route => (idInPath(route) ? [] : [{ name: idParam, in: 'query', required: true, schema: { type: 'string' } }]);
+    const idBody = route => (idInPath(route) ? undefined : { type: 'object', required: [idParam], properties: { [idParam]: { type: 'string' } } });
+
+    const pageParameters = pagination
+        ? Object.entries(pagination.params)
+            .filter(([role]) => role === 'limit' || role === pagination.style)
+            .map(([role, param]) => ({ name: param, in: 'query', schema: role === 'cursor' ? { type: 'string' } : { type: 'integer', minimum: role === 'page' || role === 'limit' ? 1 : 0 } }))
+        : [];
+
+    // Delivery of a cancelled run answers with the cancellation error status
+    const deliveryErrors = {
+        400: 'Invalid request',
+        404: `${runLabel} not found`,
+        409: `${runLabel} not ready yet`,
+        500: `${runLabel} failed or timed out`
+    };
+    if (routes.cancel) {
+        const status = config.cancellation.errorStatus;
+        deliveryErrors[status] = deliveryErrors[status] ? `${deliveryErrors[status]} or cancelled` : `${runLabel} cancelled`;
+    }
+
+    const validators = {
+        run: openApi.operation('post', routes.run, {
+            operationId: OPERATION_IDS.run,
+            summary: `Start a ${runLabel.toLowerCase()}`,
+            requestSchema: { $ref: '#/components/schemas/RunRequest' },
+            responses: {
+                202: json(`${runLabel} accepted`, { $ref: '#/components/schemas/RunAccepted' }),
+                429: error('Concurrency limit reached')
+            }
+        }),
+        status: openApi.operation('get', routes.status, {
+            operationId: OPERATION_IDS.status,
+            summary: `${runLabel} status`,
+            parameters: idQuery(routes.status),
+            responses: {
+                200: json(`${runLabel} status`, { $ref: '#/components/schemas/RunStatus' }),
+                404: error(`${runLabel} not found`)
+            }
+        }),
+        delivery: openApi.operation('get', routes.delivery, {
+            operationId: OPERATION_IDS.delivery,
+            summary: `${runLabel} results`,
+            parameters: [
+                ...idQuery(routes.delivery),
+                { name: 'format', in: 'query', description: 'Download the records as a file', schema: { type: 'string', enum: FORMAT_NAMES } },
+                ...pageParameters
+            ],
+            responses: {
+                200: {
+                    description: `${runLabel} results (Accept: application/x-ndjson streams them)`,
+                    content: {
+                        'application/json': { schema: { $ref: '#/components/schemas/Delivery' } },
+                        'application/x-ndjson': { schema: { $ref: '#/components/schemas/Record' } }
+                    }
+                },
+                ...Object.fromEntries(Object.entries(deliveryErrors).map(([status, description]) => [status, error(description)]))
+            }
+        })
+    };
+
+    if (routes.cancel) {
+        const { method } = config.cancellation;
+        validators.cancel = openApi.operation(method, routes.cancel, {
+            operationId: OPERATION_IDS.cancel,
+            summary: `Cancel a ${runLabel.toLowerCase()}`,
+            parameters: method === 'get' ? idQuery(routes.cancel) : [],
+            requestSchema: method === 'get' ? undefined : idBody(routes.cancel),
+            responses: {
+                200: json(`${runLabel} cancelled`, { type: 'object' }),
+                404: error(`${runLabel} not found`),
+                409: error(`${runLabel} already finished`)
+            }
+        });
+    }
+    if (routes.events) {
+        validators.events = openApi.operation('get', routes.events, {
+            operationId: OPERATION_IDS.events,
+            summary: `${runLabel} status events`,
+            parameters: idQuery(routes.events),
+            responses: {
+                200: { description: 'Server-Sent Events: status, progress and end', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+                404: error(`${runLabel} not found`)
+            }
+        });
+    }
+
+    return { openApi, validators };
+}
+
+module.exports = {
+    createContract
+};
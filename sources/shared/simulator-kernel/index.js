@@ -0,0 +1,791 @@
+/**
+ * Simulator Kernel
+ * Builds the Express app shared by the function-style simulators from a
+ * declarative descriptor: routes, request field names, custom in-progress
+ * status, generator and timeout. sourceId points at the source folder whose
+ * detail JSON supplies the API key (auth_key, also used to sign webhooks) and
+ * webhook retry budget (max_retries); webhookRequired rejects run requests
+ * without a webhook URL (webhook-delivered sources). When the source has a
+ * source-setup.json, the run setup, webhook URL and external run id are read
+ * from its run_request_template paths before runIdField and webhookField (see
+ * shared/run-request).
+ * faults sets the simulator's default fault-injection profile; concurrency
+ * ({ mode: 'queue' | 'reject', retryAfter }) decides what happens to runs over
+ * max_concurrent_runs. routes.cancel plus cancellation ({ method, status,
+ * response, errorStatus, error }) add the provider's cancel endpoint and the
+ * error delivery returns for a cancelled run. pagination ({ style, pageSize,
+ * maxPageSize, params }) pages array deliveries in the vendor's style.
+ * Delivery streams NDJSON for Accept: application/x-ndjson, and routes.events
+ * adds a Server-Sent Events feed of the run's status and progress. ?format=
+ * (csv, ndjson, xlsx, json, optionally .gz) delivers the data as a file.
+ * GET /openapi.json publishes the simulator's OpenAPI contract (contract.js);
+ * requests are validated against it, with requestSchema ({ properties,
+ * required }) typing the request fields and validation.error(message, errors)
+ * shaping the provider's 400 body.
+ * SIM_RECORD_MODE=record saves each run's requests, responses, statuses and
+ * webhooks to a fixture keyed by the external run id; replay serves them back.
+ * GET /api/health reports active runs, queue depth and the recent error rate;
+ * health ({ windows, maintenance, unavailable(message, state), ... }) scripts
+ * degraded/down windows and the provider's 503 body (see shared/health).
+ * GET /metrics serves Prometheus metrics: requests by route and status, runs
+ * by status, run durations, generated records, webhook attempts and faults.
+ * All run timers go through the shared simulator clock (SIM_TIME_SCALE,
+ * POST /admin/clock/advance). Runs live in the shared run store (SIM_RUN_STORE)
+ * and in-flight runs restored from it resume on boot; the /admin API lists,
+ * inspects, steers and purges them.
+ */
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const { v4: uuidv4 } = require('uuid');
+const {
+    logRequest,
+    logResponse,
+    logError,
+    calculateFieldCompleteness,
+    calculateDataQualityMetrics
+} = require('../logging');
+const { faker, resolveSeed, withSeed } = require('../data-generators');
+const { loadSourceConfiguration } = require('../source-config');
+const { deliverWebhook, attemptsFromConfiguration } = require('../webhooks');
+const { createFaultEngine } = require('../faults');
+const { AUTH_DEFAULTS, requireApiKey } = require('../auth');
+const { resolveConcurrency, createRunLimiter } = require('../concurrency');
+const { clock } = require('../clock');
+const { createRunStore } = require('../run-store');
+const { createAdminRouter, TERMINAL_STATUSES } = require('../admin');
+const { resolvePagination, createPaginator, setPageLinks } = require('../pagination');
+const { wantsNdjson, streamNdjson, streamEvents } = require('../streaming');
+const { FORMAT_NAMES, parseFormat, sendRecords } = require('../formats');
+const { createRecorder } = require('../recorder');
+const { createMetrics } = require('../metrics');
+const { resolveHealth, createHealth } = require('../health');
+const { createRunRequestResolver, pickFields } = require('../run-request');
+const { createContract } = require('./contract');
+
+const DEFAULTS = {
+    runLabel: 'Run',
+    idParam: 'run_id',
+    runIdField: 'run_id',
+    webhookField: 'webhook_url',
+    requestFields: [],
+    acceptedStatus: 'waiting',
+    deliveryStatus: 'ready',
+    lifecycle: 'records',
+    startDelay: { min: 1000, max: 5000 },
+    cancellation: {
+        method: 'post',
+        status: 'cancelled',
+        response: null, // (runId, run) => body; defaults to { [runIdField], status }
+        errorStatus: 409,
+        error: message => ({ error: message })
+    }
+};
+
+/**
+ * Lifecycles drive a run from the custom in-progress status to 'ready'.
+ * Each one returns the timer handles it owns so the kernel can clear them,
+ * and continues from the run's stored state when a restored run resumes.
+ * The kernel supplies four hooks:
+ *
+ * - generate(scope):      one seeded generation call (with missing-field faults)
+ * - checkpoint(fraction): reports progress; false means the run was halted by an
+ *                         injected failure or stall and the lifecycle must stop
+ * - save():               persists the run after the lifecycle changed it
+ * - complete():           marks the run ready
+ *
+ * - records:  pushes one generated record per tick until max_objects is reached
+ * - progress: bumps progress by a random step per tick, generates once at the end
+ * - single:   generates once after a short random processing delay
+ */
+const LIFECYCLES = {
+    records(run, config, { generate, checkpoint, save, complete }) {
+        // Spread over max_objects + 1 slots so the last record lands one tick
+        // before the timeout instead of racing it.
+        let generatedCount = run.data.length;
+        const interval = clock.setInterval(() => {
+            if (!checkpoint(generatedCount / run.max_objects)) return clock.clearInterval(interval);
+            run.data.push(generate(generatedCount));
+            generatedCount++;
+            run.progress = Math.min(90, Math.floor((generatedCount / run.max_objects) * 100));
+            save();
+            if (generatedCount >= run.max_objects) {
+                clock.clearInterval(interval);
+                complete();
+            }
+        }, config.timeout / (run.max_objects + 1));
+        return { interval };
+    },
+
+    progress(run, config, { generate, checkpoint, save, complete }) {
+        const { steps = 10, step = { min: 5, max: 15 } } = config.progress || {};
+        let progress = run.progress;
+        const interval = clock.setInterval(() => {
+            if (!checkpoint(progress / 100)) return clock.clearInterval(interval);
+            if (progress < 90) {
+                progress += faker.number.int(step);
+                run.progress = Math.min(90, progress);
+                save();
+            } else {
+                clock.clearInterval(interval);
+                run.data = generate();
+                complete();
+            }
+        }, config.timeout / steps);
+        return { interval };
+    },
+
+    single(run, config, { generate, checkpoint, save, complete }) {
+        const { processingDelay = { min: 2000, max: 10000 } } = config.single || {};
+        if (run.deadlines.processing === null) {
+            run.deadlines.processing = clock.now() + faker.number.int(processingDelay);
+            save();
+        }
+        const timer = clock.setTimeout(() => {
+            if (!checkpoint(1)) return;
+            run.data = generate();
+            complete();
+        }, run.deadlines.processing - clock.now());
+        return { timer };
+    }
+};
+
+function resolvePath(routePath, runId) {
+    return routePath.replace(/:[A-Za-z_]+/, runId);
+}
+
+function buildRunMetadata(run, config) {
+    const records = Array.isArray(run.data) ? run.data : [run.data];
+    return {
+        seed: run.seed,
+        total_records: records.length,
+        field_completeness: calculateFieldCompleteness(records, config.requiredFields),
+        data_quality: calculateDataQualityMetrics(records, config.objectType)
+    };
+}
+
+// Run dates come back from the store as ISO strings
+function reviveRun(run) {
+    ['createdAt', 'startedAt', 'completedAt'].forEach(field => {
+        if (run[field]) run[field] = new Date(run[field]);
+    });
+    return run;
+}
+
+function createSimulator(descriptor) {
+    const config = { ...DEFAULTS, ...descriptor };
+    config.cancellation = { ...DEFAULTS.cancellation, ...descriptor.cancellation };
+    const { name, routes, runLabel, idParam, runIdField, webhookField } = config;
+
+    if (!LIFECYCLES[config.lifecycle]) {
+        throw new Error(`Unknown lifecycle '${config.lifecycle}' for ${name}`);
+    }
+
+    const app = express();
+    app.use(bodyParser.json());
+
+    const runs = createRunStore(config.sourceId || name, { revive: reviveRun });
+    const runTimers = new Map(); // Timer handles per run; never persisted
+
+    const metrics = createMetrics(config.sourceId || name, {
+        runs,
+        statuses: ['queued', config.acceptedStatus, 'waiting', config.inProgressStatus, 'ready', 'failed', 'timedout', config.cancellation.status]
+    });
+    app.use(metrics.middleware());
+
+    const sourceConfiguration = loadSourceConfiguration(config.sourceId);
+    const runRequest = createRunRequestResolver(config.sourceId, {
+        run_setup: ['body'],
+        webhook_url: [webhookField],
+        run_id: [runIdField]
+    });
+    const webhookOptions = {
+        maxAttempts: attemptsFromConfiguration(sourceConfiguration),
+        ...config.webhook
+    };
+
+    const faults = createFaultEngine({
+        defaults: config.faults,
+        onInject: (fault, details) => {
+            metrics.faultInjected(fault);
+            logError(name, details.path || '-', details.method || '-', `Injected fault '${fault}' ${JSON.stringify(details)}`);
+        }
+    });
+
+    const limiter = createRunLimiter(resolveConcurrency(sourceConfiguration, {
+        limit: config.maxConcurrentRuns,
+        ...config.concurrency
+    }));
+
+    const pagination = resolvePagination(sourceConfiguration, config.pagination);
+    const auth = config.auth || {};
+    const authStyle = sourceConfiguration.auth_style || auth.style || 'any';
+
+    // SIM_RECORD_MODE=record|replay captures runs into fixtures or serves them
+    // back (replay is mounted after authentication below)
+    const recorder = createRecorder(config.sourceId || name, {
+        runRoute: { method: 'POST', path: routes.run },
+        runIdField,
+        webhookField,
+        runRequest,
+        webhookSecret: sourceConfiguration.auth_key,
+        omitParams: [auth.queryParam || AUTH_DEFAULTS.queryParam],
+        onEvent: message => console.log(`[${name}] ${message}`)
+    });
+    app.use(recorder.middleware());
+
+    // Scripted outages and maintenance answer 503 before authentication, like a provider's edge
+    const { unavailable, ...healthSettings } = config.health || {};
+    const health = createHealth({
+        limiter,
+        settings: resolveHealth(sourceConfiguration, healthSettings),
+        details: () => ({ source_type: config.sourceType, timeout: config.timeout / 1000 }),
+        unavailable,
+        onChange: (state, previous) => console.warn(`[${name}] Health ${previous} -> ${state.status}${state.message ? ` (${state.message})` : ''}`)
+    });
+    app.use(health.middleware());
+
+    // Page links never carry a query-style API key
+    const paginator = pagination && createPaginator({ ...pagination, omitParams: [auth.queryParam || AUTH_DEFAULTS.queryParam] });
+    app.use(requireApiKey({
+        ...auth,
+        key: sourceConfiguration.auth_key,
+        style: authStyle,
+        onReject: (req, reason) => logError(name, req.path, req.method, `Rejected request with ${reason} API key`)
+    }));
+    app.use(recorder.replayMiddleware());
+
+    const { openApi, validators } = createContract(config, {
+        runRequest,
+        authStyle,
+        secured: Boolean(sourceConfiguration.auth_key),
+        pagination,
+        onInvalid: (req, errors) => logError(name, req.path, req.method, `Invalid request: ${errors.map(error => error.message).join('; ')}`)
+    });
+
+    function timersFor(runId) {
+        if (!runTimers.has(runId)) runTimers.set(runId, {});
+        return runTimers.get(runId);
+    }
+
+    function clearRunTimers(runId) {
+        const timers = runTimers.get(runId);
+        if (!timers) return;
+        clock.clearTimeout(timers.start);
+        clock.clearTimeout(timers.timeout);
+        if (timers.lifecycle) {
+            clock.clearInterval(timers.lifecycle.interval);
+            clock.clearTimeout(timers.lifecycle.timer);
+        }
+        runTimers.delete(runId);
+    }
+
+    function completeRun(runId) {
+        const run = runs.get(runId);
+        clearRunTimers(runId);
+        run.status = 'ready';
+        run.progress = 100;
+        run.completedAt = clock.date();
+        run.metadata = buildRunMetadata(run, config);
+        runs.save(runId);
+        limiter.release(runId);
+        metrics.runFinished(run.status, (run.completedAt - run.createdAt) / 1000);
+
+        const payload = {
+            event: 'run.completed',
+            [runIdField]: runId,
+            external_run_id: run.external_run_id,
+            status: config.deliveryStatus,
+            data: run.data
+        };
+        if (Array.isArray(run.data)) {
+            payload.total_records = run.data.length;
+        }
+        payload.generated_at = run.completedAt.toISOString();
+        payload.metadata = run.metadata;
+        sendWebhook(runId, payload);
+    }
+
+    function sendWebhook(runId, payload) {
+        const run = runs.get(runId);
+        if (!run.webhook_url) return null;
+
+        return deliverWebhook({
+            ...webhookOptions,
+            url: run.webhook_url,
+            event: payload.event,
+            payload,
+            secret: sourceConfiguration.auth_key,
+            deliveries: run.webhook_deliveries,
+            onAttempt: attempt => {
+                runs.save(runId);
+                metrics.webhookAttempt(payload.event, attempt.outcome);
+                if (attempt.outcome === 'success') {
+                    logResponse(name, run.webhook_url, 'POST', { [runIdField]: runId, event: payload.event, ...attempt });
+                } else {
+                    logError(name, run.webhook_url, 'POST', `Webhook ${payload.event} attempt ${attempt.attempt} for ${runLabel.toLowerCase()} ${runId} failed: ${attempt.error}`);
+                }
+            }
+        });
+    }
+
+    function failRun(runId, status, error) {
+        const run = runs.get(runId);
+        clearRunTimers(runId);
+        run.status = status;
+        run.error = error;
+        run.completedAt = clock.date();
+        runs.save(runId);
+        limiter.release(runId);
+        metrics.runFinished(run.status, (run.completedAt - run.createdAt) / 1000);
+
+        sendWebhook(runId, {
+            event: 'run.failed',
+            [runIdField]: runId,
+            external_run_id: run.external_run_id,
+            status: run.status,
+            error,
+            failed_at: run.completedAt.toISOString()
+        });
+    }
+
+    function timeoutRun(runId) {
+        const run = runs.get(runId);
+        if (run.status !== 'ready' && run.status !== 'completed') {
+            console.warn(`[${name}] ${runLabel} ${runId} timed out.`);
+            logError(name, resolvePath(routes.status, runId), 'GET', `${runLabel} ${runId} timed out.`);
+            failRun(runId, 'timedout', `${runLabel} ${runId} timed out`);
+        }
+    }
+
+    function cancelRun(runId) {
+        const run = runs.get(runId);
+        clearRunTimers(runId);
+        run.status = config.cancellation.status;
+        run.completedAt = clock.date();
+        runs.save(runId);
+        limiter.release(runId);
+        metrics.runFinished(run.status, (run.completedAt - run.createdAt) / 1000);
+
+        sendWebhook(runId, {
+            event: 'run.cancelled',
+            [runIdField]: runId,
+            external_run_id: run.external_run_id,
+            status: run.status,
+            cancelled_at: run.completedAt.toISOString()
+        });
+    }
+
+    // Applies the run's planned fault: a failure ends the run, a stall stops
+    // the lifecycle so progress freezes until the timeout fires.
+    function checkpoint(runId, fraction) {
+        const run = runs.get(runId);
+        const { failAt, stallAt } = run.faultPlan;
+        if (failAt !== null && fraction >= failAt) {
+            logError(name, resolvePath(routes.status, runId), 'GET', `${runLabel} ${runId} failed (injected fault).`);
+            failRun(runId, 'failed', `${runLabel} ${runId} failed during processing`);
+            return false;
+        }
+        if (stallAt !== null && fraction >= stallAt) {
+            run.stalled = true;
+            runs.save(runId);
+            return false;
+        }
+        return true;
+    }
+
+    // Waits out the start delay once the run holds a concurrency slot
+    function admitRun(runId) {
+        const run = runs.get(runId);
+        run.status = 'waiting';
+        run.deadlines.start = clock.now() + faker.number.int(config.startDelay);
+        runs.save(runId);
+        scheduleStart(runId);
+    }
+
+    function scheduleStart(runId) {
+        const run = runs.get(runId);
+        timersFor(runId).start = clock.setTimeout(() => startRun(runId), run.deadlines.start - clock.now());
+    }
+
+    function startRun(runId) {
+        const run = runs.get(runId);
+        run.startedAt = clock.date();
+        run.status = config.inProgressStatus;
+        run.progress = 20;
+        run.deadlines.timeout = clock.now() + config.timeout;
+        runs.save(runId);
+
+        runLifecycle(runId);
+        scheduleTimeout(runId);
+    }
+
+    // One seeded generation call with the run's missing-field faults applied
+    // to each generated record (progress and single lifecycles return arrays)
+    function generateFor(runId, scope = []) {
+        const run = runs.get(runId);
+        const dropFields = record => faults.dropFields(record, run.faults, config.requiredFields);
+        const output = withSeed(run.seed, scope, () => config.generate(run.request));
+        const generated = Array.isArray(output) ? output.map(dropFields) : dropFields(output);
+        metrics.recordsGenerated(Array.isArray(generated) ? generated.length : 1);
+        return generated;
+    }
+
+    function runLifecycle(runId) {
+        const run = runs.get(runId);
+        timersFor(runId).lifecycle = LIFECYCLES[config.lifecycle](run, config, {
+            generate: scope => generateFor(runId, scope),
+            checkpoint: fraction => checkpoint(runId, fraction),
+            save: () => runs.save(runId),
+            complete: () => completeRun(runId)
+        });
+    }
+
+    function scheduleTimeout(runId) {
+        const run = runs.get(runId);
+        timersFor(runId).timeout = clock.setTimeout(() => timeoutRun(runId), run.deadlines.timeout - clock.now());
+    }
+
+    /**
+     * Picks restored in-flight runs back up. Runs that held a slot reclaim it
+     * first and continue from their stored deadlines and progress (stalled runs
+     * only wait for their timeout); queued runs rejoin the queue in arrival
+     * order.
+     */
+    function resumeRuns() {
+        const pending = [...runs.entries()]
+            .filter(([, run]) => !TERMINAL_STATUSES.includes(run.status))
+            .sort(([, a], [, b]) => (a.status === 'queued') - (b.status === 'queued') || a.createdAt - b.createdAt);
+
+        pending.forEach(([runId, run]) => {
+            limiter.admit(runId, () => {
+                if (run.status === 'queued') {
+                    admitRun(runId);
+                } else if (run.status === 'waiting') {
+                    scheduleStart(runId);
+                } else {
+                    if (!run.stalled) runLifecycle(runId);
+                    scheduleTimeout(runId);
+                }
+            });
+        });
+        if (pending.length > 0) {
+            console.log(`[${name}] Resumed ${pending.length} in-flight ${runLabel.toLowerCase()}(s) from the ${runs.driver} run store`);
+        }
+    }
+
+    // Path parameter, then query string, then body (MLflow-style POSTs)
+    function lookupRunId(req) {
+        if (req.params[idParam] !== undefined) return req.params[idParam];
+        if (req.query[idParam] !== undefined) return req.query[idParam];
+        return (req.body || {})[idParam];
+    }
+
+    // Status view shared by the status endpoint and the event stream
+    function statusView(runId, run) {
+        const view = {
+            status: run.status,
+            progress: run.progress,
+            timestamp: clock.date().toISOString()
+        };
+        if (run.status === 'queued') {
+            view.queue_position = limiter.position(runId);
+        }
+        if (run.error) {
+            view.error = run.error;
+        }
+        return view;
+    }
+
+    function lookupRunFaults(req) {
+        const run = runs.get(lookupRunId(req));
+        return run ? run.faults : null;
+    }
+
+    // Health Check Endpoint
+    app.get('/api/health', (req, res) => {
+        logRequest(name, '/api/health', 'GET', null);
+        const response = health.send(res);
+        logResponse(name, '/api/health', 'GET', response);
+    });
+
+    // OpenAPI Contract
+    openApi.serve(app);
+    metrics.serve(app);
+
+    // Run Request Endpoint (an external run id, and a webhook URL when webhookRequired, are required by the contract)
+    app.post(routes.run, faults.http('run'), validators.run, (req, res) => {
+        const body = req.body || {};
+        const { run_setup: runSetup, webhook_url: webhookUrl, run_id: externalRunId } = runRequest.extract(req);
+        logRequest(name, routes.run, 'POST', body);
+
+        if (limiter.shouldReject()) {
+            logError(name, routes.run, 'POST', `Concurrency limit of ${limiter.limit} runs reached`);
+            res.set('Retry-After', String(limiter.retryAfter));
+            return res.status(429).json({ error: `Concurrency limit of ${limiter.limit} runs reached. Retry after ${limiter.retryAfter} seconds.` });
+        }
+
+        const internalRunId = uuidv4();
+        const estimatedDuration = clock.toRealSeconds(config.timeout / 1000);
+        const seed = resolveSeed(body.seed);
+        const faultProfile = faults.resolve(req);
+        const request = pickFields(runSetup, body, config.requestFields);
+
+        runs.set(internalRunId, {
+            status: 'waiting',
+            progress: 0,
+            data: config.lifecycle === 'records' ? [] : null,
+            request,
+            webhook_url: webhookUrl,
+            external_run_id: externalRunId,
+            estimatedDuration,
+            createdAt: clock.date(),
+            startedAt: null,
+            completedAt: null,
+            deadlines: { start: null, processing: null, timeout: null },
+            metadata: null,
+            webhook_deliveries: [],
+            seed,
+            faults: faultProfile,
+            faultPlan: faults.planRun(faultProfile),
+            stalled: false,
+            error: null,
+            max_objects: config.maxObjects ? withSeed(seed, 'max_objects', () => config.maxObjects(request)) : null
+        });
+
+        // Simulate status progression and data generation once a slot is free
+        const admission = limiter.admit(internalRunId, () => admitRun(internalRunId));
+
+        const response = {
+            status: config.acceptedStatus,
+            [runIdField]: internalRunId,
+            estimated_duration: estimatedDuration
+        };
+        if (admission.queued) {
+            runs.get(internalRunId).status = 'queued';
+            runs.save(internalRunId);
+            response.status = 'queued';
+            response.queue_position = admission.position;
+        }
+        logResponse(name, routes.run, 'POST', response);
+        res.status(202).json(response);
+    });
+
+    // Status Check Endpoint
+    app.get(routes.status, faults.http('status', lookupRunFaults), validators.status, (req, res) => {
+        const runId = lookupRunId(req);
+        logRequest(name, req.path, 'GET', req.params[idParam] !== undefined ? null : { [idParam]: runId });
+
+        const run = runs.get(runId);
+        if (!run) {
+            logError(name, req.path, 'GET', `${runLabel} ${runId} not found.`);
+            return res.status(404).json({ error: `${runLabel} not found` });
+        }
+
+        const response = statusView(runId, run);
+        logResponse(name, req.path, 'GET', response);
+        res.json(response);
+    });
+
+    // Status Event Stream
+    if (routes.events) {
+        app.get(routes.events, validators.events, (req, res) => {
+            const runId = lookupRunId(req);
+            logRequest(name, req.path, 'GET', req.params[idParam] !== undefined ? null : { [idParam]: runId });
+
+            if (!runs.has(runId)) {
+                logError(name, req.path, 'GET', `${runLabel} ${runId} not found.`);
+                return res.status(404).json({ error: `${runLabel} not found` });
+            }
+
+            streamEvents(req, res, {
+                snapshot: () => (runs.has(runId) ? statusView(runId, runs.get(runId)) : null),
+                final: view => TERMINAL_STATUSES.includes(view.status) || view.status === config.cancellation.status
+            });
+        });
+    }
+
+    // Delivery Endpoint
+    app.get(routes.delivery, faults.http('delivery', lookupRunFaults), validators.delivery, (req, res) => {
+        const runId = lookupRunId(req);
+        logRequest(name, req.path, 'GET', req.params[idParam] !== undefined ? null : { [idParam]: runId });
+
+        const run = runs.get(runId);
+        if (!run) {
+            logError(name, req.path, 'GET', `${runLabel} ${runId} not found.`);
+            return res.status(404).json({ error: `${runLabel} not found` });
+        }
+
+        // NDJSON streams records as they are generated, so it starts before the run is ready
+        const ended = ['failed', 'timedout', config.cancellation.status].includes(run.status);
+        if (wantsNdjson(req) && !ended) {
+            logResponse(name, req.path, 'GET', { stream: 'ndjson', status: run.status });
+            return streamNdjson(req, res, {
+                poll: () => {
+                    const current = runs.get(runId);
+                    if (!current) return { done: true, error: `${runLabel} ${runId} was deleted` };
+                    const ready = current.status === 'ready' || current.status === 'completed';
+                    return {
+                        records: ready || Array.isArray(current.data) ? current.data : null,
+                        done: ready || TERMINAL_STATUSES.includes(current.status),
+                        error: ready ? null : current.error || `${runLabel} ${runId} ${current.status}`
+                    };
+                }
+            });
+        }
+
+        if ((run.status === 'ready' || run.status === 'completed') && req.query.format !== undefined) {
+            const format = parseFormat(req.query.format);
+            if (!format) {
+                const message = `Unsupported format '${req.query.format}'. Supported formats: ${FORMAT_NAMES.join(', ')}`;
+                logError(name, req.path, 'GET', message);
+                return res.status(400).json({ error: message });
+            }
+            const file = sendRecords(res, run.data, format, `${config.sourceId || 'run'}-${runId}`);
+            logResponse(name, req.path, 'GET', { file: file.filename, content_type: file.contentType, bytes: file.body.length });
+        } else if (run.status === 'ready' || run.status === 'completed') {
+            const response = {
+                status: config.deliveryStatus,
+                data: run.data
+            };
+            if (Array.isArray(run.data)) {
+                response.total_records = run.data.length;
+                if (paginator) {
+                    const page = paginator.paginate(req, run.data, runId);
+                    if (page.error) {
+                        logError(name, req.path, 'GET', page.error);
+                        return res.status(400).json({ error: page.error });
+                    }
+                    response.data = page.data;
+                    response.pagination = page.pagination;
+                    setPageLinks(res, page);
+                }
+            }
+            response.generated_at = run.completedAt.toISOString();
+            response.metadata = run.metadata;
+            logResponse(name, req.path, 'GET', response);
+            res.json(response);
+        } else if (run.status === config.cancellation.status) {
+            const message = `${runLabel} ${runId} was cancelled`;
+            logError(name, req.path, 'GET', message);
+            res.status(config.cancellation.errorStatus).json(config.cancellation.error(message, runId));
+        } else if (run.status === 'failed' || run.status === 'timedout') {
+            logError(name, req.path, 'GET', `${runLabel} ${runId} failed or timed out.`);
+            res.status(500).json({ error: `${runLabel} ${runId} ${run.status}` });
+        } else {
+            logError(name, req.path, 'GET', `${runLabel} ${runId} not ready yet. Current status: ${run.status}`);
+            res.status(409).json({ error: `${runLabel} ${runId} not ready yet. Current status: ${run.status}` });
+        }
+    });
+
+    // Cancel Endpoint
+    if (routes.cancel) {
+        const { method, status: cancelledStatus } = config.cancellation;
+        app[method](routes.cancel, validators.cancel, (req, res) => {
+            const runId = lookupRunId(req);
+            logRequest(name, req.path, method.toUpperCase(), req.params[idParam] !== undefined ? null : { [idParam]: runId });
+
+            const run = runs.get(runId);
+            if (!run) {
+                logError(name, req.path, method.toUpperCase(), `${runLabel} ${runId} not found.`);
+                return res.status(404).json({ error: `${runLabel} not found` });
+            }
+
+            // Cancelling twice is a no-op; finished runs cannot be cancelled
+            if (run.status !== cancelledStatus) {
+                if (TERMINAL_STATUSES.includes(run.status)) {
+                    const message = `${runLabel} ${runId} already ${run.status}`;
+                    logError(name, req.path, method.toUpperCase(), message);
+                    return res.status(409).json(config.cancellation.error(message, runId));
+                }
+                cancelRun(runId);
+            }
+
+            const response = config.cancellation.response
+                ? config.cancellation.response(runId, run)
+                : { [runIdField]: runId, status: run.status };
+            logResponse(name, req.path, method.toUpperCase(), response);
+            res.json(response);
+        });
+    }
+
+    resumeRuns();
+
+    // Admin API: the kernel's side of the shared run controls
+    app.use('/admin', createAdminRouter({
+        runs,
+        summarize: (runId, run) => ({
+            run_id: runId,
+            external_run_id: run.external_run_id,
+            status: run.status,
+            progress: run.progress,
+            created_at: run.createdAt.toISOString(),
+            completed_at: run.completedAt ? run.completedAt.toISOString() : null,
+            error: run.error
+        }),
+        inspect: (runId, run) => ({
+            queue_position: limiter.position(runId),
+            stalled: run.stalled,
+            pending_timers: Object.entries(runTimers.get(runId) || {})
+                .filter(([kind, timer]) => (kind === 'lifecycle' ? Object.values(timer).some(clock.isPending) : clock.isPending(timer)))
+                .map(([kind]) => kind)
+        }),
+        complete: runId => {
+            // Fills in whatever the lifecycle had not generated yet
+            const run = runs.get(runId);
+            if (config.lifecycle === 'records') {
+                while (run.data.length < run.max_objects) {
+                    run.data.push(generateFor(runId, run.data.length));
+                }
+            } else {
+                run.data = generateFor(runId);
+            }
+            logError(name, '/admin', 'POST', `${runLabel} ${runId} forced to ready.`);
+            completeRun(runId);
+        },
+        fail: (runId, status, message) => {
+            logError(name, '/admin', 'POST', `${runLabel} ${runId} forced to ${status}: ${message}`);
+            failRun(runId, status, message);
+        },
+        stall: runId => {
+            const run = runs.get(runId);
+            if (run.status !== config.inProgressStatus) return false;
+            const timers = runTimers.get(runId) || {};
+            if (timers.lifecycle) {
+                clock.clearInterval(timers.lifecycle.interval);
+                clock.clearTimeout(timers.lifecycle.timer);
+                delete timers.lifecycle;
+            }
+            run.stalled = true;
+            runs.save(runId);
+            return true;
+        },
+        purge: runId => {
+            clearRunTimers(runId);
+            runs.delete(runId);
+            limiter.release(runId);
+        }
+    }));
+
+    function listen(port = config.port) {
+        // Exit cleanly on signals so the run store flushes its last writes
+        ['SIGTERM', 'SIGINT'].forEach(signal => {
+            process.once(signal, () => {
+                console.log(`[${name}] ${signal} received, shutting down`);
+                process.exit(0);
+            });
+        });
+        return app.listen(port, () => {
+            console.log(`[${name}] Simulator running on port ${port}`);
+            if (recorder.mode !== 'off') {
+                console.log(`[${name}] ${recorder.mode === 'record' ? 'Recording' : 'Replaying'} fixtures in ${recorder.dir}`);
+            }
+        });
+    }
+
+    return { app, runs, config, recorder, metrics, health, listen };
+}
+
+module.exports = {
+    createSimulator
+};
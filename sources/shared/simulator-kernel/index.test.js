@@ -0,0 +1,96 @@
+const { createSimulator } = require('./index');
+
+// A minimal records-lifecycle simulator: 1 s start delay, 3 records over a 10 s timeout
+const simulator = createSimulator({
+    name: 'Kernel Test',
+    sourceType: 'Scraper',
+    maxConcurrentRuns: 1,
+    timeout: 10 * 1000,
+    startDelay: { min: 1000, max: 1000 },
+    routes: {
+        run: '/v1/runs',
+        status: '/v1/runs/:run_id/status',
+        delivery: '/v1/runs/:run_id/data'
+    },
+    inProgressStatus: 'scraping',
+    lifecycle: 'records',
+    maxObjects: () => 3,
+    generate: () => ({ title: 'Record' })
+});
+
+let server;
+let baseUrl;
+
+async function call(method, path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const advance = seconds => call('POST', '/admin/clock/advance', { seconds });
+const runStatus = async runId => (await call('GET', `/v1/runs/${runId}/status`)).body.status;
+
+beforeAll(done => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    server = simulator.app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+    });
+});
+
+afterEach(async () => {
+    await call('POST', '/admin/reset');
+});
+
+afterAll(done => {
+    jest.restoreAllMocks();
+    server.close(done);
+});
+
+describe('kernel run lifecycle on the simulator clock', () => {
+    test('moves a run from waiting through the custom status to ready', async () => {
+        const accepted = await call('POST', '/v1/runs', { run_id: 'external-1', seed: 7 });
+        expect(accepted.status).toBe(202);
+        expect(accepted.body.status).toBe('waiting');
+        const runId = accepted.body.run_id;
+
+        await advance(1);
+        expect(await runStatus(runId)).toBe('scraping');
+
+        await advance(10);
+        expect(await runStatus(runId)).toBe('ready');
+
+        const delivery = await call('GET', `/v1/runs/${runId}/data`);
+        expect(delivery.status).toBe(200);
+        expect(JSON.stringify(delivery.body)).toContain('Record');
+    });
+
+    test('times a stalled run out and starts the queued one in its slot', async () => {
+        const first = (await call('POST', '/v1/runs', { run_id: 'external-1' })).body;
+        const second = (await call('POST', '/v1/runs', { run_id: 'external-2' })).body;
+        expect(second).toMatchObject({ status: 'queued', queue_position: 1 });
+
+        await advance(1);
+        const stalled = await call('POST', `/admin/runs/${first.run_id}/faults`, { fault: 'stall' });
+        expect(stalled.status).toBe(200);
+
+        await advance(10);
+        expect(await runStatus(first.run_id)).toBe('timedout');
+        expect(await runStatus(second.run_id)).toBe('waiting');
+
+        await advance(11);
+        expect(await runStatus(second.run_id)).toBe('ready');
+    });
+
+    test('reports the advance and the timers it fired', async () => {
+        await call('POST', '/v1/runs', { run_id: 'external-1' });
+        const result = await advance(1);
+        expect(result.status).toBe(200);
+        expect(result.body).toMatchObject({ advanced_ms: 1000, timers_fired: 1 });
+    });
+});
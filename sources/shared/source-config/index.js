@@ -0,0 +1,67 @@
+/**
+ * Source Config
+ * Loads the data files that describe a source ({source-id}/{source-id}.json,
+ * {source-id}/source-setup.json and {source-id}/mappings.json) so simulators
+ * follow the same configuration the platform uses.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCES_ROOT = path.join(__dirname, '..', '..');
+
+function readJson(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function sourceDir(sourceId) {
+    return path.join(SOURCES_ROOT, sourceId);
+}
+
+/**
+ * Source detail JSON ({source-id}/{source-id}.json), or null when the source
+ * has no detail file (e.g. ml-model-trainer).
+ */
+function loadSourceDetail(sourceId) {
+    if (!sourceId) return null;
+    return readJson(path.join(sourceDir(sourceId), `${sourceId}.json`));
+}
+
+function loadSourceConfiguration(sourceId) {
+    const detail = loadSourceDetail(sourceId);
+    return (detail && detail.configuration) || {};
+}
+
+/**
+ * Setups from {source-id}/source-setup.json as [{ setupId, name, templates }]
+ * (templates: run_request_template, status_request_template, ...), or [] when
+ * the source has none.
+ */
+function loadSourceSetups(sourceId) {
+    if (!sourceId) return [];
+    const setups = readJson(path.join(sourceDir(sourceId), 'source-setup.json')) || {};
+    return Object.entries(setups).map(([setupId, { name, ...templates }]) => ({ setupId, name, templates }));
+}
+
+/**
+ * Sources from {source-id}/mappings.json (each with object_source_mappings
+ * and datapoint_source_mappings), or [] when the source has none.
+ */
+function loadSourceMappings(sourceId) {
+    if (!sourceId) return [];
+    const mappings = readJson(path.join(sourceDir(sourceId), 'mappings.json')) || {};
+    return mappings.sources || [];
+}
+
+module.exports = {
+    SOURCES_ROOT,
+    readJson,
+    sourceDir,
+    loadSourceDetail,
+    loadSourceConfiguration,
+    loadSourceSetups,
+    loadSourceMappings
+};
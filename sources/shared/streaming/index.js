@@ -0,0 +1,130 @@
+/**
+ * Streaming Delivery
+ * Two live views of a run, both fed by sampling the run on a short real-time
+ * interval (SIM_STREAM_INTERVAL_MS, default 250 ms) so they work the same for
+ * lifecycles that push records one by one and for runs whose progress is
+ * derived from elapsed time:
+ *
+ * - NDJSON delivery (Accept: application/x-ndjson): one record per line,
+ *   written as records are generated; the response ends with the run.
+ * - Server-Sent Events: status and progress events while the run is live,
+ *   then an end event and the stream closes.
+ */
+
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson'];
+const HEARTBEAT_MS = 15000;
+
+function intervalMs() {
+    return Number(process.env.SIM_STREAM_INTERVAL_MS) || 250;
+}
+
+// True when the client prefers NDJSON over a JSON body
+function wantsNdjson(req) {
+    const type = req.accepts(['application/json', ...NDJSON_TYPES]);
+    return NDJSON_TYPES.includes(type);
+}
+
+/**
+ * Samples poll() until the run is done and writes every record not sent yet.
+ * poll() returns { records, done, error }: records is what has been generated
+ * so far (an array, a single object, or null), done is true once the run is
+ * terminal and error explains a run that ended without its data, which is
+ * written as a final {"error": ...} line.
+ */
+function streamNdjson(req, res, { poll }) {
+    res.status(200);
+    res.set({ 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-cache' });
+    res.flushHeaders();
+
+    let sent = 0;
+    let timer = null;
+
+    function stop() {
+        clearInterval(timer);
+    }
+
+    function tick() {
+        const state = poll();
+        const records = state.records === null || state.records === undefined ? [] : [].concat(state.records);
+        while (sent < records.length) {
+            res.write(`${JSON.stringify(records[sent])}\n`);
+            sent++;
+        }
+        if (state.done) {
+            if (state.error) {
+                res.write(`${JSON.stringify({ error: state.error })}\n`);
+            }
+            stop();
+            res.end();
+        }
+    }
+
+    timer = setInterval(tick, intervalMs());
+    req.on('close', stop);
+    tick();
+}
+
+/**
+ * Server-Sent Events for one run. snapshot() returns the run's current status
+ * view (at least { status, progress }) or null once the run is gone; final()
+ * tells whether a snapshot is terminal. A changed status is sent as a status
+ * event, a changed progress alone as a progress event; the terminal snapshot
+ * is repeated as an end event before the stream closes. Idle streams get a
+ * comment line every 15 s so proxies keep them open.
+ */
+function streamEvents(req, res, { snapshot, final }) {
+    res.status(200);
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+
+    let last = null;
+    let eventId = 0;
+    let lastWrite = Date.now();
+    let timer = null;
+
+    function send(event, data) {
+        eventId++;
+        res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        lastWrite = Date.now();
+    }
+
+    function stop() {
+        clearInterval(timer);
+    }
+
+    function tick() {
+        const current = snapshot();
+        if (!current) {
+            send('end', { status: 'deleted' });
+            stop();
+            return res.end();
+        }
+
+        if (!last || current.status !== last.status) {
+            send('status', current);
+        } else if (current.progress !== last.progress) {
+            send('progress', current);
+        } else if (Date.now() - lastWrite >= HEARTBEAT_MS) {
+            res.write(': keep-alive\n\n');
+            lastWrite = Date.now();
+        }
+        last = current;
+
+        if (final(current)) {
+            send('end', current);
+            stop();
+            res.end();
+        }
+    }
+
+    timer = setInterval(tick, intervalMs());
+    req.on('close', stop);
+    tick();
+}
+
+module.exports = {
+    NDJSON_TYPES,
+    wantsNdjson,
+    streamNdjson,
+    streamEvents
+};
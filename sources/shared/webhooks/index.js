@@ -0,0 +1,157 @@
+/**
+ * Webhook Delivery
+ * POSTs completion and failure payloads to a run's webhook_url/callback_url,
+ * retrying non-2xx responses and network errors with exponential backoff. The
+ * body is signed with an HMAC-SHA256 of the source's configuration.auth_key.
+ * Backoff waits run on the simulator clock. onWebhook listeners see every
+ * delivery as it starts (the recorder uses them to capture payloads).
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { clock } = require('../clock');
+
+const SIGNATURE_HEADER = 'X-Simulator-Signature';
+const TIMESTAMP_HEADER = 'X-Simulator-Timestamp';
+
+const DEFAULTS = {
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 4,
+    baseDelayMs: Number(process.env.WEBHOOK_BACKOFF_MS) || 1000,
+    maxDelayMs: Number(process.env.WEBHOOK_MAX_BACKOFF_MS) || 30000,
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000
+};
+
+const listeners = new Set();
+
+/**
+ * Registers listener({ url, event, payload }) for every delivery; returns a
+ * function that removes it.
+ */
+function onWebhook(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Signature over `${timestamp}.${body}` so receivers can reject replays.
+ */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+function backoffDelay(attempt, options) {
+    return Math.min(options.baseDelayMs * Math.pow(2, attempt - 1), options.maxDelayMs);
+}
+
+function postJson(url, body, headers, timeoutMs) {
+    return new Promise(resolve => {
+        let target;
+        try {
+            target = new URL(url);
+        } catch (error) {
+            resolve({ statusCode: null, error: `Invalid webhook URL: ${url}` });
+            return;
+        }
+
+        const transport = target.protocol === 'https:' ? https : http;
+        const request = transport.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                ...headers
+            },
+            timeout: timeoutMs
+        }, response => {
+            let responseBody = '';
+            response.on('data', chunk => {
+                if (responseBody.length < 1024) responseBody += chunk;
+            });
+            response.on('end', () => resolve({ statusCode: response.statusCode, body: responseBody.slice(0, 1024) }));
+        });
+
+        request.on('timeout', () => request.destroy(new Error(`Timed out after ${timeoutMs}ms`)));
+        request.on('error', error => resolve({ statusCode: null, error: error.message }));
+        request.end(body);
+    });
+}
+
+/**
+ * Deliver a payload, retrying until a 2xx response or the attempt budget runs
+ * out. Resolves (never rejects) with the delivery record, including one entry
+ * per attempt. The record is pushed onto `deliveries` (the run's history)
+ * before the first attempt so in-flight retries are visible; onAttempt is
+ * called after each attempt for logging.
+ */
+async function deliverWebhook({ url, event, payload, secret, deliveries, onAttempt, ...overrides }) {
+    const options = { ...DEFAULTS, ...overrides };
+    const body = JSON.stringify(payload);
+    const delivery = {
+        event,
+        url,
+        signed: Boolean(secret),
+        delivered: false,
+        attempts: []
+    };
+    if (deliveries) deliveries.push(delivery);
+    listeners.forEach(listener => listener({ url, event, payload }));
+
+    for (let attempt = 1; attempt <= options.maxAttempts; attempt++) {
+        const timestamp = new Date().toISOString();
+        const headers = { [TIMESTAMP_HEADER]: timestamp };
+        if (secret) {
+            headers[SIGNATURE_HEADER] = signPayload(secret, timestamp, body);
+        }
+
+        const startTime = Date.now();
+        const result = await postJson(url, body, headers, options.timeoutMs);
+        const succeeded = result.statusCode >= 200 && result.statusCode < 300;
+        const record = {
+            attempt,
+            sent_at: timestamp,
+            status_code: result.statusCode,
+            duration_ms: Date.now() - startTime,
+            outcome: succeeded ? 'success' : 'failure',
+            error: succeeded ? null : (result.error || `HTTP ${result.statusCode}`),
+            next_retry_in_ms: null
+        };
+
+        if (!succeeded && attempt < options.maxAttempts) {
+            record.next_retry_in_ms = backoffDelay(attempt, options);
+        }
+        delivery.attempts.push(record);
+        if (onAttempt) onAttempt(record, delivery);
+
+        if (succeeded) {
+            delivery.delivered = true;
+            break;
+        }
+        if (record.next_retry_in_ms !== null) {
+            await clock.sleep(record.next_retry_in_ms);
+        }
+    }
+
+    delivery.completed_at = new Date().toISOString();
+    return delivery;
+}
+
+/**
+ * Attempt budget for a source: configuration.max_retries retries after the
+ * first attempt, unless WEBHOOK_MAX_ATTEMPTS overrides it.
+ */
+function attemptsFromConfiguration(configuration = {}) {
+    if (process.env.WEBHOOK_MAX_ATTEMPTS) return DEFAULTS.maxAttempts;
+    if (typeof configuration.max_retries === 'number') return configuration.max_retries + 1;
+    return DEFAULTS.maxAttempts;
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    signPayload,
+    onWebhook,
+    deliverWebhook,
+    attemptsFromConfiguration
+};
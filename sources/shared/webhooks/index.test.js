@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const http = require('http');
+const {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    signPayload,
+    onWebhook,
+    deliverWebhook,
+    attemptsFromConfiguration
+} = require('./index');
+
+// Receiver answering each request with the next status code (the last one repeats)
+function startReceiver(statuses) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = statuses[Math.min(received.length, statuses.length) - 1];
+            res.end();
+        });
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hook` });
+        });
+    });
+}
+
+describe('signPayload', () => {
+    test('signs the timestamp and body with HMAC-SHA256', () => {
+        expect(signPayload('secret', '2024-01-01T00:00:00.000Z', '{"a":1}'))
+            .toBe('sha256=' + crypto.createHmac('sha256', 'secret').update('2024-01-01T00:00:00.000Z.{"a":1}').digest('hex'));
+    });
+});
+
+describe('deliverWebhook', () => {
+    let receiver;
+
+    afterEach(done => {
+        receiver.server.close(done);
+    });
+
+    test('sends a signed payload the receiver can verify', async () => {
+        receiver = await startReceiver([200]);
+        const delivery = await deliverWebhook({ url: receiver.url, event: 'run.completed', payload: { run_id: 'run-1' }, secret: 'secret' });
+
+        expect(delivery).toMatchObject({ event: 'run.completed', signed: true, delivered: true });
+        expect(delivery.attempts).toHaveLength(1);
+
+        const [{ headers, body }] = receiver.received;
+        expect(JSON.parse(body)).toEqual({ run_id: 'run-1' });
+        expect(headers[SIGNATURE_HEADER.toLowerCase()]).toBe(signPayload('secret', headers[TIMESTAMP_HEADER.toLowerCase()], body));
+    });
+
+    test('leaves the payload unsigned without a secret', async () => {
+        receiver = await startReceiver([204]);
+        const delivery = await deliverWebhook({ url: receiver.url, event: 'run.completed', payload: {} });
+
+        expect(delivery.signed).toBe(false);
+        expect(receiver.received[0].headers[SIGNATURE_HEADER.toLowerCase()]).toBeUndefined();
+    });
+
+    test('retries failures with exponential backoff until a 2xx', async () => {
+        receiver = await startReceiver([500, 503, 200]);
+        const attempts = [];
+        const delivery = await deliverWebhook({
+            url: receiver.url,
+            event: 'run.completed',
+            payload: {},
+            baseDelayMs: 5,
+            onAttempt: record => attempts.push(record)
+        });
+
+        expect(delivery.delivered).toBe(true);
+        expect(attempts.map(record => [record.status_code, record.outcome, record.next_retry_in_ms])).toEqual([
+            [500, 'failure', 5],
+            [503, 'failure', 10],
+            [200, 'success', null]
+        ]);
+    });
+
+    test('caps the backoff and gives up after the attempt budget', async () => {
+        receiver = await startReceiver([500]);
+        const deliveries = [];
+        const delivery = await deliverWebhook({
+            url: receiver.url,
+            event: 'run.failed',
+            payload: {},
+            deliveries,
+            maxAttempts: 4,
+            baseDelayMs: 5,
+            maxDelayMs: 12
+        });
+
+        expect(deliveries).toEqual([delivery]);
+        expect(delivery.delivered).toBe(false);
+        expect(delivery.attempts.map(record => record.next_retry_in_ms)).toEqual([5, 10, 12, null]);
+        expect(delivery.attempts[3].error).toBe('HTTP 500');
+        expect(receiver.received).toHaveLength(4);
+    });
+
+    test('reports an invalid URL without throwing and notifies listeners', async () => {
+        receiver = await startReceiver([200]);
+        const listener = jest.fn();
+        const remove = onWebhook(listener);
+        const delivery = await deliverWebhook({ url: 'not a url', event: 'run.completed', payload: { ok: true }, maxAttempts: 1 });
+        remove();
+
+        expect(listener).toHaveBeenCalledWith({ url: 'not a url', event: 'run.completed', payload: { ok: true } });
+        expect(delivery.attempts[0]).toMatchObject({ status_code: null, error: 'Invalid webhook URL: not a url' });
+    });
+});
+
+describe('attemptsFromConfiguration', () => {
+    afterEach(() => {
+        delete process.env.WEBHOOK_MAX_ATTEMPTS;
+    });
+
+    test('allows max_retries retries after the first attempt', () => {
+        expect(attemptsFromConfiguration({ max_retries: 2 })).toBe(3);
+        expect(attemptsFromConfiguration({ max_retries: 0 })).toBe(1);
+    });
+
+    test('falls back to the default budget', () => {
+        expect(attemptsFromConfiguration({})).toBe(4);
+    });
+
+    test('lets WEBHOOK_MAX_ATTEMPTS override the configuration', () => {
+        process.env.WEBHOOK_MAX_ATTEMPTS = '7';
+        jest.isolateModules(() => {
+            expect(require('./index').attemptsFromConfiguration({ max_retries: 2 })).toBe(7);
+        });
+    });
+});